@@ -0,0 +1,80 @@
+/**
+ * Return the point on a side of the line at the sample.
+ * The normal is perpendicular to the direction between the neighbors to join the segments smoothly.
+ * @param {Array.<{point: Array.<number>, width: number}>} samples - the points [x, y] on the line and the widths there.
+ * @param {number} index - the index of the sample.
+ * @param {number} side - 1 for the left side and -1 for the right side in the SVG.
+ * @returns {Array.<number>} - the point [x, y] on the side.
+ */
+const sideOf = (samples, index, side) => {
+    const prev = samples[Math.max(0, index - 1)].point;
+    const next = samples[Math.min(samples.length - 1, index + 1)].point;
+    const dx = next[0] - prev[0];
+    const dy = next[1] - prev[1];
+    const length = Math.sqrt((dx * dx) + (dy * dy)) || 1;
+    const offset = side * samples[index].width / 2;
+    return [
+        samples[index].point[0] + ((dy / length) * offset),
+        samples[index].point[1] - ((dx / length) * offset)
+    ];
+};
+
+/**
+ * Return the outline of a line whose width changes along it.
+ * The outline goes along the left side, around the end, back along the right side and around the start,
+ * so it is filled with the nonzero rule even where the line turns sharply.
+ * @param {Array.<{point: Array.<number>, width: number}>} samples - the points [x, y] on the line and the widths there.
+ * @returns {Array.<Array>} - the path array of the outline or only the start point if the line has no length.
+ */
+const variableWidthOutline = samples => {
+    if (samples.length < 2) {
+        return samples.map(sample => ['M', ...sample.point]);
+    }
+    const last = samples.length - 1;
+    const outline = [['M', ...sideOf(samples, 0, 1)]];
+    for (let index = 1; index <= last; index++) {
+        outline.push(['L', ...sideOf(samples, index, 1)]);
+    }
+    const endRadius = samples[last].width / 2;
+    outline.push(['A', endRadius, endRadius, 0, 0, 1, ...sideOf(samples, last, -1)]);
+    for (let index = last - 1; index >= 0; index--) {
+        outline.push(['L', ...sideOf(samples, index, -1)]);
+    }
+    const startRadius = samples[0].width / 2;
+    outline.push(['A', startRadius, startRadius, 0, 0, 1, ...sideOf(samples, 0, 1)]);
+    outline.push(['Z']);
+    return outline;
+};
+
+/**
+ * Update the outline in place after samples were added to or removed from the end of the line.
+ * A sample moves only the sides of its neighbors, so the outline is made again only around the end.
+ * @param {Array.<Array>} outline - the path array of the outline which was made for the previous samples.
+ * @param {Array.<{point: Array.<number>, width: number}>} samples - the points [x, y] on the line and the widths there.
+ * @param {number} count - the number of the samples when the outline was made.
+ */
+const updateVariableWidthOutline = (outline, samples, count) => {
+    // The sides of the samples before the last two of both are not changed.
+    const kept = Math.min(count, samples.length) - 2;
+    if (kept < 1) {
+        outline.splice(0, outline.length, ...variableWidthOutline(samples));
+        return;
+    }
+    const last = samples.length - 1;
+    const end = [];
+    for (let index = kept; index <= last; index++) {
+        end.push(['L', ...sideOf(samples, index, 1)]);
+    }
+    const endRadius = samples[last].width / 2;
+    end.push(['A', endRadius, endRadius, 0, 0, 1, ...sideOf(samples, last, -1)]);
+    for (let index = last - 1; index >= kept; index--) {
+        end.push(['L', ...sideOf(samples, index, -1)]);
+    }
+    // The previous outline has the left sides from 0 to count - 1, the end, and the right sides from count - 2 to 0.
+    outline.splice(kept, 2 * (count - kept), ...end);
+};
+
+export {
+    variableWidthOutline,
+    updateVariableWidthOutline
+};
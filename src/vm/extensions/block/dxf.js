@@ -0,0 +1,145 @@
+/**
+ * The RGB colors of the AutoCAD Color Index (ACI) 1-255.
+ * @type {Array.<Array.<number>>}
+ */
+const ACI_COLORS = (() => {
+    const colors = [
+        null, // 0: BYBLOCK
+        [255, 0, 0],
+        [255, 255, 0],
+        [0, 255, 0],
+        [0, 255, 255],
+        [0, 0, 255],
+        [255, 0, 255],
+        [0, 0, 0], // 7: black or white by the background
+        [128, 128, 128],
+        [192, 192, 192]
+    ];
+    // 10-249: 24 hues with 5 levels of brightness in full and half saturation
+    const brightnessLevels = [1, 0.65, 0.5, 0.3, 0.15];
+    for (let index = 10; index < 250; index++) {
+        const hue = (Math.floor(index / 10) - 1) * 15;
+        const brightness = brightnessLevels[Math.floor((index % 10) / 2)];
+        const saturation = (index % 2 === 0) ? 1 : 0.5;
+        const hueColor = [0, 8, 4].map(n => {
+            const k = (n + (hue / 30)) % 12;
+            return 0.5 - (0.5 * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+        });
+        colors.push(hueColor.map(c => Math.round(255 * brightness * (1 - (saturation * (1 - c))))));
+    }
+    // 250-255: grays
+    [51, 91, 132, 173, 214, 255].forEach(gray => colors.push([gray, gray, gray]));
+    return colors;
+})();
+
+/**
+ * Return the nearest ACI of the color.
+ * @param {Array.<number>} rgb - the color [r, g, b].
+ * @returns {number} - the color index.
+ */
+const nearestColorIndex = rgb => {
+    let nearest = 7;
+    let minDistance = Infinity;
+    ACI_COLORS.forEach((color, index) => {
+        if (!color) {
+            return;
+        }
+        const distance = ((color[0] - rgb[0]) ** 2) + ((color[1] - rgb[1]) ** 2) + ((color[2] - rgb[2]) ** 2);
+        if (distance < minDistance) {
+            minDistance = distance;
+            nearest = index;
+        }
+    });
+    return nearest;
+};
+
+/**
+ * Make a layer name which is valid in DXF.
+ * @param {string} name - the name of the layer.
+ * @returns {string} - the valid name.
+ */
+const layerNameFor = name => (name || '0').replace(/[<>/\\":;?*|=`]/g, '_');
+
+/**
+ * Make DXF of the layers of polylines.
+ * The DXF is in the R12 format which CAD applications and laser cutters read without object handles.
+ * Each polyline is written as a POLYLINE entity with its VERTEX entities,
+ * because LWPOLYLINE and SPLINE entities need the R2000 format.
+ * R12 has no header for the units, so the coordinates are in mm as they are.
+ * @param {Array.<object>} layers - the layers to write.
+ * @param {string} layers[].name - the name of the layer.
+ * @param {Array.<object>} layers[].polylines - the polylines in the layer.
+ * @param {Array.<Array.<number>>} layers[].polylines[].points - the points [x, y] in mm.
+ * @param {boolean} layers[].polylines[].closed - whether the polyline is closed.
+ * @param {Array.<number>?} layers[].polylines[].color - the color [r, g, b] or null to use the color of the layer.
+ * @returns {string} - the DXF text.
+ */
+const toDXF = layers => {
+    const formatNumber = value => `${Number(value.toFixed(4))}`;
+    const codes = [];
+    const add = (code, value) => codes.push(`${code}`, `${value}`);
+    add(0, 'SECTION');
+    add(2, 'HEADER');
+    add(9, '$ACADVER');
+    add(1, 'AC1009');
+    add(0, 'ENDSEC');
+    add(0, 'SECTION');
+    add(2, 'TABLES');
+    add(0, 'TABLE');
+    add(2, 'LTYPE');
+    add(70, 1);
+    add(0, 'LTYPE');
+    add(2, 'CONTINUOUS');
+    add(70, 0);
+    add(3, 'Solid line');
+    add(72, 65);
+    add(73, 0);
+    add(40, 0);
+    add(0, 'ENDTAB');
+    add(0, 'TABLE');
+    add(2, 'LAYER');
+    add(70, layers.length);
+    layers.forEach(layer => {
+        add(0, 'LAYER');
+        add(2, layerNameFor(layer.name));
+        add(70, 0);
+        add(62, 7);
+        add(6, 'CONTINUOUS');
+    });
+    add(0, 'ENDTAB');
+    add(0, 'ENDSEC');
+    add(0, 'SECTION');
+    add(2, 'ENTITIES');
+    layers.forEach(layer => {
+        const layerName = layerNameFor(layer.name);
+        layer.polylines.forEach(polyline => {
+            add(0, 'POLYLINE');
+            add(8, layerName);
+            if (polyline.color) {
+                add(62, nearestColorIndex(polyline.color));
+            }
+            add(66, 1); // the vertices follow
+            add(10, 0);
+            add(20, 0);
+            add(30, 0);
+            add(70, polyline.closed ? 1 : 0);
+            polyline.points.forEach(point => {
+                add(0, 'VERTEX');
+                add(8, layerName);
+                add(10, formatNumber(point[0]));
+                add(20, formatNumber(point[1]));
+                add(30, 0);
+            });
+            add(0, 'SEQEND');
+            add(8, layerName);
+        });
+    });
+    add(0, 'ENDSEC');
+    add(0, 'EOF');
+    return `${codes.join('\n')}\n`;
+};
+
+export {
+    nearestColorIndex,
+    toDXF
+};
@@ -0,0 +1,69 @@
+/**
+ * Return the lines which hatch the inside of the outlines by the fill rule.
+ * The lines are on a grid through the origin, so the hatches of neighboring shapes line up.
+ * Every other line runs backward to draw the hatch in a zigzag.
+ * @param {Array.<Array.<Array.<number>>>} outlines - the outlines [[x, y], ...] which are regarded as closed.
+ * @param {number} spacing - the distance between the lines.
+ * @param {number} angle - the direction of the lines in radians.
+ * @param {string} [fillRule] - 'nonzero' or 'evenodd' in the same way as SVG.
+ * @returns {Array.<Array.<Array.<number>>>} - the line segments [[x1, y1], [x2, y2]].
+ */
+const hatchLines = (outlines, spacing, angle, fillRule = 'nonzero') => {
+    if (!(spacing > 0)) {
+        return [];
+    }
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // Rotate the outlines to make the lines horizontal.
+    const toLocal = ([x, y]) => [(x * cos) + (y * sin), (y * cos) - (x * sin)];
+    const toWorld = ([u, v]) => [(u * cos) - (v * sin), (u * sin) + (v * cos)];
+    const isInside = (fillRule === 'evenodd') ?
+        winding => winding % 2 !== 0 :
+        winding => winding !== 0;
+    const edges = [];
+    let minV = Infinity;
+    let maxV = -Infinity;
+    outlines.forEach(outline => {
+        const points = outline.map(toLocal);
+        points.forEach((point, index) => {
+            edges.push([point, points[(index + 1) % points.length]]);
+            minV = Math.min(minV, point[1]);
+            maxV = Math.max(maxV, point[1]);
+        });
+    });
+    const segments = [];
+    for (let row = Math.ceil(minV / spacing); row * spacing <= maxV; row++) {
+        const v = row * spacing;
+        const crossings = [];
+        for (const [p, q] of edges) {
+            if ((p[1] <= v) !== (q[1] <= v)) {
+                crossings.push({
+                    u: p[0] + ((v - p[1]) * (q[0] - p[0]) / (q[1] - p[1])),
+                    direction: (q[1] > p[1]) ? 1 : -1
+                });
+            }
+        }
+        crossings.sort((a, b) => a.u - b.u);
+        const rowSegments = [];
+        let winding = 0;
+        let enteredAt = 0;
+        for (const crossing of crossings) {
+            const wasInside = isInside(winding);
+            winding += crossing.direction;
+            if (!wasInside && isInside(winding)) {
+                enteredAt = crossing.u;
+            } else if (wasInside && !isInside(winding) && crossing.u > enteredAt) {
+                rowSegments.push([toWorld([enteredAt, v]), toWorld([crossing.u, v])]);
+            }
+        }
+        if (row % 2 !== 0) {
+            rowSegments.reverse().forEach(segment => segment.reverse());
+        }
+        segments.push(...rowSegments);
+    }
+    return segments;
+};
+
+export {
+    hatchLines
+};
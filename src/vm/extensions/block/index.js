@@ -8,10 +8,18 @@ import Clone from '../../util/clone';
 
 import translations from './translations.json';
 import blockIcon from './block-icon.png';
-import {SVG} from '@svgdotjs/svg.js';
+import {SVG, Color, PathArray} from '@svgdotjs/svg.js';
 import FileSaver from 'file-saver';
 import jsPDF from 'jspdf';
 import 'svg2pdf.js';
+import {elementToPolylines, pathToPolylines, simplifyPoints} from './polyline.js';
+import {setPNGResolution} from './png.js';
+import {toDXF} from './dxf.js';
+import {optimizePlotOrder, travelDistance} from './plot-order.js';
+import {textToPolylines, outlinePathData} from './stroke-font.js';
+import {hatchLines} from './hatch.js';
+import {updateVariableWidthOutline} from './calligraphy.js';
+import {sanitizeSVG} from './sanitize.js';
 
 
 /**
@@ -100,6 +108,23 @@ class VPenBlocks {
         return 0.1;
     }
 
+    /**
+     * Millimeters per one unit of SVG length.
+     * Lengths without unit are treated as px (96 dpi).
+     * @type {object.<string, number>}
+     */
+    static get MM_PER_LENGTH_UNIT () {
+        return {
+            'mm': 1,
+            'cm': 10,
+            'in': 25.4,
+            'pt': 25.4 / 72,
+            'pc': 25.4 / 6,
+            'px': 25.4 / 96,
+            '': 25.4 / 96
+        };
+    }
+
     /**
      * The types of pen.
      * @type {object}
@@ -118,11 +143,206 @@ class VPenBlocks {
      * @type {object}
      * @property {string} STRAIGHT - straight line.
      * @property {string} CURVE - curve line.
+     * @property {string} SPLINE - smooth curve line which passes through the positions.
      */
     static get LINE_SHAPES () {
         return {
             STRAIGHT: 'straight',
-            CURVE: 'curve'
+            CURVE: 'curve',
+            SPLINE: 'spline'
+        };
+    }
+
+    /**
+     * The ways to change the width along a line like a calligraphy pen.
+     * @type {object}
+     * @property {string} OFF - the same width all along the line.
+     * @property {string} SPEED - thinner where the sprite moves faster.
+     * @property {string} PRESSURE - the width by the pen pressure.
+     * @property {string} NIB - the width by the direction of the line to the nib angle.
+     */
+    static get CALLIGRAPHY_MODES () {
+        return {
+            OFF: 'off',
+            SPEED: 'speed',
+            PRESSURE: 'pressure',
+            NIB: 'nib'
+        };
+    }
+
+    /**
+     * The speed of the sprite to halve the width in the calligraphy by speed [mm/s].
+     * @type {number}
+     */
+    static get CALLIGRAPHY_HALF_WIDTH_SPEED () {
+        return 100;
+    }
+
+    /**
+     * The symmetries to draw copies of lines around the center.
+     * @type {object}
+     * @property {string} OFF - only the line.
+     * @property {string} MIRROR_LEFT_RIGHT - a copy mirrored across the vertical line through the center.
+     * @property {string} MIRROR_TOP_BOTTOM - a copy mirrored across the horizontal line through the center.
+     * @property {string} ROTATION - copies rotated around the center by the number of folds.
+     * @property {string} KALEIDOSCOPE - the rotated copies and their mirror images.
+     */
+    static get SYMMETRY_MODES () {
+        return {
+            OFF: 'off',
+            MIRROR_LEFT_RIGHT: 'left-right',
+            MIRROR_TOP_BOTTOM: 'top-bottom',
+            ROTATION: 'rotation',
+            KALEIDOSCOPE: 'kaleidoscope'
+        };
+    }
+
+    /**
+     * The shapes of the ends of lines.
+     * @type {object}
+     * @property {string} BUTT - flat end at the end point.
+     * @property {string} ROUND - round end.
+     * @property {string} SQUARE - flat end beyond the end point by half of the width.
+     */
+    static get LINE_CAPS () {
+        return {
+            BUTT: 'butt',
+            ROUND: 'round',
+            SQUARE: 'square'
+        };
+    }
+
+    /**
+     * The shapes of the corners of lines.
+     * @type {object}
+     * @property {string} MITER - sharp corner.
+     * @property {string} ROUND - round corner.
+     * @property {string} BEVEL - cut corner.
+     */
+    static get LINE_JOINS () {
+        return {
+            MITER: 'miter',
+            ROUND: 'round',
+            BEVEL: 'bevel'
+        };
+    }
+
+    /**
+     * The states of closing lines automatically.
+     * @type {object}
+     * @property {string} ON - close lines which end near the start.
+     * @property {string} OFF - close lines only by the block.
+     */
+    static get AUTO_CLOSE_STATES () {
+        return {
+            ON: 'on',
+            OFF: 'off'
+        };
+    }
+
+    /**
+     * The rules to decide the inside of the lines to fill.
+     * @type {object}
+     * @property {string} NONZERO - inside if the lines go around it in one direction more than the other.
+     * @property {string} EVENODD - inside if an odd number of lines go around it.
+     */
+    static get FILL_RULES () {
+        return {
+            NONZERO: 'nonzero',
+            EVENODD: 'evenodd'
+        };
+    }
+
+    /**
+     * The ways to fill closed lines.
+     * @type {object}
+     * @property {string} SOLID - paint with the fill color.
+     * @property {string} HATCH - draw parallel lines which a plotter can draw.
+     * @property {string} CROSS_HATCH - draw parallel lines in two directions.
+     */
+    static get FILL_MODES () {
+        return {
+            SOLID: 'solid',
+            HATCH: 'hatch',
+            CROSS_HATCH: 'cross-hatch'
+        };
+    }
+
+    /**
+     * The types of gradients.
+     * @type {object}
+     * @property {string} LINEAR - linear gradient.
+     * @property {string} RADIAL - radial gradient from the center.
+     */
+    static get GRADIENT_TYPES () {
+        return {
+            LINEAR: 'linear',
+            RADIAL: 'radial'
+        };
+    }
+
+    /**
+     * The parts of the pen to paint.
+     * @type {object}
+     * @property {string} PEN - the line.
+     * @property {string} FILL - the fill.
+     */
+    static get PAINT_PARTS () {
+        return {
+            PEN: 'pen',
+            FILL: 'fill'
+        };
+    }
+
+    /**
+     * The directions to sweep an arc.
+     * @type {object}
+     * @property {string} CLOCKWISE - clockwise on the stage.
+     * @property {string} COUNTERCLOCKWISE - counterclockwise on the stage.
+     */
+    static get ARC_SWEEPS () {
+        return {
+            CLOCKWISE: 'clockwise',
+            COUNTERCLOCKWISE: 'counterclockwise'
+        };
+    }
+
+    /**
+     * The arcs of a circle between two positions.
+     * @type {object}
+     * @property {string} SMALL - the arc of 180 degrees or less.
+     * @property {string} LARGE - the arc of more than 180 degrees.
+     */
+    static get ARC_SIZES () {
+        return {
+            SMALL: 'small',
+            LARGE: 'large'
+        };
+    }
+
+    /**
+     * The styles of text.
+     * @type {object}
+     * @property {string} SINGLE_STROKE - strokes of the pen for plotters.
+     * @property {string} OUTLINE - filled outlines of the strokes.
+     */
+    static get TEXT_STYLES () {
+        return {
+            SINGLE_STROKE: 'single-stroke',
+            OUTLINE: 'outline'
+        };
+    }
+
+    /**
+     * The units of the coordinates in path data.
+     * @type {object}
+     * @property {string} STEPS - steps on the stage.
+     * @property {string} MM - millimeters.
+     */
+    static get PATH_UNITS () {
+        return {
+            STEPS: 'steps',
+            MM: 'mm'
         };
     }
 
@@ -152,6 +372,252 @@ class VPenBlocks {
         };
     }
 
+    /**
+     * The file formats to save drawings.
+     * @type {object}
+     * @property {string} SVG - SVG file.
+     * @property {string} PDF - PDF file.
+     * @property {string} GCODE - G-code file for pen plotters.
+     * @property {string} HPGL - HPGL file for pen plotters and cutters.
+     * @property {string} PNG - PNG image file.
+     * @property {string} DXF - DXF file for laser cutters and CAD.
+     */
+    static get FILE_FORMATS () {
+        return {
+            SVG: 'svg',
+            PDF: 'pdf',
+            GCODE: 'gcode',
+            HPGL: 'hpgl',
+            PNG: 'png',
+            DXF: 'dxf'
+        };
+    }
+
+    /**
+     * The time to wait for the file dialog to open or for the selected file after it closed [ms].
+     * @type {number}
+     */
+    static get FILE_DIALOG_WAIT () {
+        return 1000;
+    }
+
+    /**
+     * The default resolution of PNG images [dpi].
+     * @type {number}
+     */
+    static get DEFAULT_PNG_DPI () {
+        return 300;
+    }
+
+    /**
+     * The maximum resolution of PNG images [dpi].
+     * @type {number}
+     */
+    static get MAX_PNG_DPI () {
+        return 1200;
+    }
+
+    /**
+     * The positions of the origin on the stage for plotter outputs.
+     * @type {object}
+     * @property {string} BOTTOM_LEFT - the bottom-left corner.
+     * @property {string} BOTTOM_RIGHT - the bottom-right corner.
+     * @property {string} TOP_LEFT - the top-left corner.
+     * @property {string} TOP_RIGHT - the top-right corner.
+     * @property {string} CENTER - the center of the stage.
+     */
+    static get PLOTTER_ORIGINS () {
+        return {
+            BOTTOM_LEFT: 'bottom-left',
+            BOTTOM_RIGHT: 'bottom-right',
+            TOP_LEFT: 'top-left',
+            TOP_RIGHT: 'top-right',
+            CENTER: 'center'
+        };
+    }
+
+    /**
+     * The actions of the plotter pen.
+     * @type {object}
+     * @property {string} UP - lift the pen.
+     * @property {string} DOWN - lower the pen.
+     */
+    static get PEN_ACTIONS () {
+        return {
+            UP: 'up',
+            DOWN: 'down'
+        };
+    }
+
+    /**
+     * The kinds of moves of the plotter.
+     * @type {object}
+     * @property {string} DRAW - move with the pen down.
+     * @property {string} TRAVEL - move with the pen up.
+     */
+    static get PLOTTER_MOVES () {
+        return {
+            DRAW: 'draw',
+            TRAVEL: 'travel'
+        };
+    }
+
+    /**
+     * The orders to draw lines in plotter outputs.
+     * @type {object}
+     * @property {string} DRAWING - the order of drawing.
+     * @property {string} NEAREST - the nearest line next.
+     * @property {string} NEAREST_REVERSING - the nearest line next, drawing it from either end.
+     */
+    static get PLOT_ORDERS () {
+        return {
+            DRAWING: 'drawing',
+            NEAREST: 'nearest',
+            NEAREST_REVERSING: 'nearest-reversing'
+        };
+    }
+
+    /**
+     * The maximum distance between curves and the line segments to approximate them in plotter outputs [mm].
+     * @type {number}
+     */
+    static get FLATTENING_TOLERANCE () {
+        return 0.05;
+    }
+
+    /**
+     * The class name of the hatch lines which fill a shape.
+     * @type {string}
+     */
+    static get HATCH_CLASS () {
+        return 'xcx-vpen-hatch';
+    }
+
+    /**
+     * The class name of the copies of a line in the symmetry.
+     * @type {string}
+     */
+    static get SYMMETRY_CLASS () {
+        return 'xcx-vpen-symmetry';
+    }
+
+    /**
+     * The layer group of the snap grid overlay on the stage. It is just under the pen layer.
+     * @type {string}
+     */
+    static get SNAP_GRID_LAYER () {
+        return 'xcx-vpen-snap-grid';
+    }
+
+    /**
+     * The number of HPGL plotter units in 1 mm.
+     * @type {number}
+     */
+    static get HPGL_UNITS_PER_MM () {
+        return 40;
+    }
+
+    /**
+     * The default settings for plotter outputs.
+     * @type {object}
+     * @property {string} origin - the position of the origin on the stage.
+     * @property {string} gcodePenUp - G-code to lift the pen.
+     * @property {string} gcodePenDown - G-code to lower the pen.
+     * @property {number} gcodeDrawFeedRate - the feed rate while drawing [mm/min].
+     * @property {number} gcodeTravelFeedRate - the feed rate while traveling [mm/min].
+     * @property {string} plotOrder - the order to draw lines.
+     */
+    static get DEFAULT_PLOTTER_SETTINGS () {
+        return {
+            origin: VPenBlocks.PLOTTER_ORIGINS.BOTTOM_LEFT,
+            gcodePenUp: 'G0 Z5',
+            gcodePenDown: 'G1 Z0',
+            gcodeDrawFeedRate: 1000,
+            gcodeTravelFeedRate: 3000,
+            plotOrder: VPenBlocks.PLOT_ORDERS.DRAWING
+        };
+    }
+
+    /**
+     * The paper sizes for paged outputs.
+     * @type {object}
+     * @property {string} STAGE - the size of the stage in mm with the margins.
+     * @property {string} A4 - ISO A4.
+     * @property {string} A3 - ISO A3.
+     * @property {string} LETTER - US Letter.
+     * @property {string} CUSTOM - the size set by the custom page size.
+     */
+    static get PAPER_SIZES () {
+        return {
+            STAGE: 'stage',
+            A4: 'A4',
+            A3: 'A3',
+            LETTER: 'letter',
+            CUSTOM: 'custom'
+        };
+    }
+
+    /**
+     * The dimensions of the standard papers in portrait [mm].
+     * @type {object.<string, Array.<number>>}
+     */
+    static get PAPER_DIMENSIONS () {
+        return {
+            A4: [210, 297],
+            A3: [297, 420],
+            letter: [215.9, 279.4]
+        };
+    }
+
+    /**
+     * The orientations of the page.
+     * @type {object}
+     * @property {string} PORTRAIT - the long side is vertical.
+     * @property {string} LANDSCAPE - the long side is horizontal.
+     */
+    static get PAGE_ORIENTATIONS () {
+        return {
+            PORTRAIT: 'portrait',
+            LANDSCAPE: 'landscape'
+        };
+    }
+
+    /**
+     * The ways to fit the drawing in the page.
+     * @type {object}
+     * @property {string} ACTUAL - actual size at the center of the page.
+     * @property {string} FIT - scaled to fit in the page.
+     * @property {string} TILE - actual size across several pages.
+     */
+    static get PAGE_FITS () {
+        return {
+            ACTUAL: 'actual',
+            FIT: 'fit',
+            TILE: 'tile'
+        };
+    }
+
+    /**
+     * The default page setup for paged outputs.
+     * @type {object}
+     * @property {string} paper - the paper size.
+     * @property {string} orientation - the orientation of the page.
+     * @property {number} margin - the margin of the page [mm].
+     * @property {string} fit - the way to fit the drawing in the page.
+     * @property {number} customWidth - the width of the custom page size [mm].
+     * @property {number} customHeight - the height of the custom page size [mm].
+     */
+    static get DEFAULT_PAGE_SETUP () {
+        return {
+            paper: VPenBlocks.PAPER_SIZES.STAGE,
+            orientation: VPenBlocks.PAGE_ORIENTATIONS.PORTRAIT,
+            margin: 0,
+            fit: VPenBlocks.PAGE_FITS.ACTUAL,
+            customWidth: 210,
+            customHeight: 297
+        };
+    }
+
     /**
      * The default state of the vector pen.
      * @type {object}
@@ -178,11 +644,35 @@ class VPenBlocks {
                 color3b: {r: 0, g: 0, b: 0}, // RGB 0-255,
                 opacity: 1, // 0.0-1.0
                 diameter: 1, // mm
+                dashPattern: [], // mm, empty for solid line
+                dashOffset: 0, // mm
+                lineCap: VPenBlocks.LINE_CAPS.ROUND,
+                lineJoin: VPenBlocks.LINE_JOINS.ROUND,
+                miterLimit: 4, // ratio of the miter length to the width
                 lineShape: VPenBlocks.LINE_SHAPES.STRAIGHT,
+                curveTension: 0, // 0.0-1.0 for spline
+                simplifyTolerance: 0, // mm, 0 to keep all the positions of lines
+                calligraphy: VPenBlocks.CALLIGRAPHY_MODES.OFF,
+                pressure: 1, // 0.0-1.0 for calligraphy by pressure
+                nibAngle: 45, // degrees counterclockwise from the x-axis of the stage
+                symmetry: VPenBlocks.SYMMETRY_MODES.OFF,
+                symmetryFolds: 6, // number of the rotations around the center
+                symmetryCenter: {x: 0, y: 0}, // position on the stage
                 fillColor3b: {r: 0, g: 0, b: 0}, // RGB 0-255,
-                fillOpacity: 0 // 0.0-1.0
+                fillOpacity: 0, // 0.0-1.0
+                autoClose: true,
+                autoCloseDistance: 4, // mm between the start and the end to close lines
+                fillRule: VPenBlocks.FILL_RULES.NONZERO,
+                fillMode: VPenBlocks.FILL_MODES.SOLID,
+                hatchSpacing: 2, // mm
+                hatchAngle: 45, // degrees counterclockwise from the x-axis of the stage
+                strokeGradient: null, // {type, stops, angle} or null for the color
+                fillGradient: null // {type, stops, angle} or null for the color
             },
             referencePoint: null,
+            widthSamples: null,
+            symmetryCopies: null,
+            penPathBounds: null, // bounds of the pen path measured for the gradients
             hasThinLines: false,
             _pendingSkinUpdate: null,
             _listenerRegistered: false,
@@ -221,6 +711,36 @@ class VPenBlocks {
          */
         this.stepPerMM = 2; // 180mm for stage height
 
+        /**
+         * The settings for plotter outputs.
+         * @type {object}
+         */
+        this.plotterSettings = VPenBlocks.DEFAULT_PLOTTER_SETTINGS;
+
+        /**
+         * The travel distance saved by the plot order in the last export [mm].
+         * @type {number}
+         */
+        this.savedTravelDistance = 0;
+
+        /**
+         * The page setup for paged outputs.
+         * @type {object}
+         */
+        this.pageSetup = VPenBlocks.DEFAULT_PAGE_SETUP;
+
+        /**
+         * The spacing of the grid to snap the positions of lines to [mm]. 0 is not to snap.
+         * @type {number}
+         */
+        this.snapGrid = 0;
+
+        /**
+         * The overlay on the stage to show the snap grid. It is not a drawing, so it is not saved.
+         * @type {{skinID: int, drawableID: int, isVisible: boolean}}
+         */
+        this.snapGridOverlay = {skinID: -1, drawableID: -1, isVisible: false};
+
         // Bind event handlers.
         this.onTargetMoved = this.onTargetMoved.bind(this);
 
@@ -228,6 +748,8 @@ class VPenBlocks {
         runtime.on('targetWasCreated', this.onTargetCreated.bind(this));
         runtime.on('targetWasRemoved', this.onTargetWillExit.bind(this));
         runtime.on('RUNTIME_DISPOSED', this.onRuntimeDisposed.bind(this));
+        runtime.on('PROJECT_LOADED', this.onProjectLoaded.bind(this));
+        runtime.on('STAGE_SIZE_CHANGED', this.onStageSizeChanged.bind(this));
     }
 
     /**
@@ -250,6 +772,17 @@ class VPenBlocks {
 
     }
 
+    /**
+     * Follow the new size of the stage and draw the snap grid again to cover it.
+     * @listens Runtime#event:STAGE_SIZE_CHANGED
+     * @private
+     */
+    onStageSizeChanged () {
+        const [stageWidth, stageHeight] = this.runtime.renderer.getNativeSize();
+        this._updateStageSize(stageWidth, stageHeight);
+        this._updateSnapGridOverlay();
+    }
+
     /**
      * Create a new SVG drawing for the pen layer.
      * @returns {SVG} - the new SVG drawing.
@@ -319,6 +852,7 @@ class VPenBlocks {
         if (!penState) {
             penState = Clone.simple(VPenBlocks.DEFAULT_PEN_STATE);
             this._penStates[target.id] = penState;
+            this._setupExtensionStorageFor(target);
         }
         if (!penState.drawing) {
             penState.drawing = this._createDrawingSVG();
@@ -327,21 +861,97 @@ class VPenBlocks {
     }
 
     /**
-     * Clear the pen layer for the target.
-     * @param {Target} target - the target to clear the pen layer for.
+     * Register the drawing of the target to its extension storage so that it is saved in the project.
+     * The data is serialized only when the project is saved.
+     * @param {Target} target - the target to save the drawing of.
      */
-    _clearForTarget (target) {
-        const penState = this._penStateFor(target);
-        if (!penState || !penState.drawing) {
+    _setupExtensionStorageFor (target) {
+        if (!target.isOriginal || target.isStage) {
+            // Clones are not saved in the project and their drawings are included in the original.
             return;
         }
-        penState.drawing.remove();
-        penState.drawing = this._createDrawingSVG();
-        const wasDrawing = !!penState.penPath;
-        penState.penPath = null;
-        penState.hasThinLines = false;
-        if (wasDrawing) {
-            this._startPenPath(target);
+        if (!target.extensionStorage) {
+            target.extensionStorage = {};
+        }
+        target.extensionStorage[EXTENSION_ID] = {
+            toJSON: () => this._serializePenStateFor(target)
+        };
+    }
+
+    /**
+     * Serialize the drawing and the pen state of the target to save in the project.
+     * @param {Target} target - the target to serialize.
+     * @returns {object?} - the serialized data or null if the target has no drawing.
+     */
+    _serializePenStateFor (target) {
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.drawing || penState.drawing.children().length === 0) {
+            return null;
+        }
+        return {
+            drawing: penState.drawing.svg(false),
+            penAttributes: Clone.simple(penState.penAttributes),
+            hasThinLines: penState.hasThinLines,
+            isVisible: penState.isVisible,
+            layerOrder: this._getDrawableOrderFor(target)
+        };
+    }
+
+    /**
+     * Restore the drawing and the pen state of the target from the saved data.
+     * The data is ignored when the drawing has anything which is not made by this extension,
+     * because a project file may contain scripts in it.
+     * @param {Target} target - the target to restore.
+     * @param {object} data - the data made by _serializePenStateFor().
+     * @returns {boolean} - true if the drawing was restored.
+     */
+    _restorePenStateFor (target, data) {
+        if (typeof data.drawing !== 'string') {
+            return false;
+        }
+        const savedDocument = new DOMParser().parseFromString(
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">${data.drawing}</svg>`,
+            'image/svg+xml');
+        const savedRoot = savedDocument.documentElement;
+        if (savedRoot.localName !== 'svg' ||
+            savedDocument.getElementsByTagName('parsererror').length > 0 ||
+            sanitizeSVG(savedRoot) > 0) {
+            console.warn('Ignored the saved drawing which has contents not allowed in a drawing');
+            return false;
+        }
+        const penState = this._getPenState(target);
+        penState.drawing.clear();
+        Array.from(savedRoot.childNodes).forEach(node => {
+            penState.drawing.node.appendChild(document.importNode(node, true));
+        });
+        if (data.penAttributes) {
+            Object.assign(penState.penAttributes, data.penAttributes);
+        }
+        penState.hasThinLines = !!data.hasThinLines;
+        penState.isVisible = (data.isVisible !== false);
+        this._getSkinIDFor(target);
+        this._updatePenSkinFor(target);
+        return true;
+    }
+
+    /**
+     * Clear the pen layer for the target.
+     * @param {Target} target - the target to clear the pen layer for.
+     */
+    _clearForTarget (target) {
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.drawing) {
+            return;
+        }
+        penState.drawing.remove();
+        penState.drawing = this._createDrawingSVG();
+        const wasDrawing = !!penState.penPath;
+        penState.penPath = null;
+        penState.symmetryCopies = null;
+        penState.penPathBounds = null;
+        penState.hasThinLines = false;
+        if (wasDrawing) {
+            this._startPenPath(target);
         }
         this._updatePenSkinFor(target);
     }
@@ -357,6 +967,14 @@ class VPenBlocks {
         }
         penState._pendingSkinUpdate = requestAnimationFrame(() => {
             penState._pendingSkinUpdate = null;
+            if (penState.penPath && !penState.widthSamples &&
+                (penState.penAttributes.strokeGradient || penState.penAttributes.fillGradient)) {
+                // The outline of a line of variable width is fitted when it is finished.
+                this._fitGradientsTo(penState.penPath, this._penPathBoxFor(penState));
+            }
+            if (penState.penPath && penState.symmetryCopies) {
+                this._updateSymmetryCopies(penState.penPath, penState.symmetryCopies);
+            }
             const penSkinId = this._getSkinIDFor(target);
             if (penSkinId < 0) {
                 throw new Error('No SVG Skin ID');
@@ -379,6 +997,42 @@ class VPenBlocks {
         return [x + (this.stageWidth / 2), (this.stageHeight / 2) - y];
     }
 
+    /**
+     * Return the position on the snap grid nearest to the position on the stage.
+     * The grid has a line through the center of the stage.
+     * @param {number} x - the x position on the stage.
+     * @param {number} y - the y position on the stage.
+     * @returns {Array.<number>} - the x, y position on the stage.
+     */
+    _snapToGrid (x, y) {
+        if (!(this.snapGrid > 0)) {
+            return [x, y];
+        }
+        const step = this.snapGrid * this.stepPerMM;
+        // Remove the floating-point error of the multiplication.
+        return [x, y].map(value => Number((Math.round(value / step) * step).toFixed(9)));
+    }
+
+    /**
+     * Map the position of the pen on the stage to the SVG viewBox on the snap grid.
+     * @param {number} x - the x position on the stage.
+     * @param {number} y - the y position on the stage.
+     * @returns {Array.<number>} - the x, y position on the SVG viewBox.
+     */
+    _mapPenPointToSVGViewBox (x, y) {
+        return this._mapToSVGViewBox(...this._snapToGrid(x, y));
+    }
+
+    /**
+     * Map the x, y position on the SVG viewBox to the stage.
+     * @param {number} x - the x position on the SVG viewBox.
+     * @param {number} y - the y position on the SVG viewBox.
+     * @returns {Array.<number>} - the x, y position on the stage.
+     */
+    _mapFromSVGViewBox (x, y) {
+        return [x - (this.stageWidth / 2), (this.stageHeight / 2) - y];
+    }
+
     /**
      * Finish the current pen.
      * @param {object} penState - the pen state.
@@ -387,10 +1041,50 @@ class VPenBlocks {
         if (!penState.penPath) {
             return;
         }
+        const penPath = penState.penPath;
+        const copies = penState.symmetryCopies;
+        penState.symmetryCopies = null;
+        this._finishPenPath(penState);
+        if (penPath.parent()) {
+            this._fitGradientsTo(penPath);
+        }
+        if (!copies) {
+            return;
+        }
+        if (!penPath.parent()) {
+            // The line has not been drawn.
+            copies.forEach(copy => copy.remove());
+            return;
+        }
+        this._updateSymmetryCopies(penPath, copies);
+        const hatch = penPath.prev();
+        if (hatch && hatch.hasClass(VPenBlocks.HATCH_CLASS)) {
+            copies.forEach(copy => this._hatchInside(copy, penState));
+        }
+    }
+
+    /**
+     * Finish the current pen path and leave it in the drawing if it has been drawn.
+     * @param {object} penState - the pen state.
+     */
+    _finishPenPath (penState) {
         this._removeReferenceLine(penState);
         const penPath = penState.penPath;
         penState.penPath = null;
+        penState.penPathBounds = null;
+        if (penState.widthSamples) {
+            // The line of variable width is already drawn as its outline.
+            penState.widthSamples = null;
+            if (penPath.array().length <= 1) {
+                penPath.remove();
+            }
+            return;
+        }
         const plots = penPath.array();
+        if (plots.length > 1 && plots[plots.length - 1][0] === 'M') {
+            // Remove the new subpath which has not been drawn.
+            plots.pop();
+        }
         if (plots.length < 3) {
             // If the pen line has fewer than 3 instructions, it hasn't been drawn properly.
             if (plots.length <= 1) {
@@ -398,23 +1092,97 @@ class VPenBlocks {
             }
             return;
         }
-        // Close the path if it's a closed line.
-        const start = (plots[1][0] === 'L') ? plots[0] : plots[1];
-        const lastLine = plots[plots.length - 1]; // L or T
-        const closingDistance = 8; // pixels distance for closing the path.
-        if (Math.sqrt(((start[1] - lastLine[1]) ** 2) + ((start[2] - lastLine[2]) ** 2)) >
+        if (penState.penAttributes.autoClose) {
+            this._closeLastSubpath(plots, penState.penAttributes.curveTension,
+                penState.penAttributes.autoCloseDistance * this.stepPerMM);
+        }
+        if (penState.penAttributes.simplifyTolerance > 0) {
+            penPath.plot(this._simplifyPathArray(plots, penState.penAttributes.simplifyTolerance * this.stepPerMM));
+        } else {
+            penPath.plot(plots);
+        }
+        if (plots.some(command => command[0] === 'Z')) {
+            this._hatchInside(penPath, penState);
+        }
+    }
+
+    /**
+     * Return the path array whose straight lines have fewer positions within the tolerance.
+     * Only the subpaths of straight lines are simplified, and curves are kept as they are.
+     * @param {Array.<Array>} plots - the path array to simplify.
+     * @param {number} tolerance - the maximum distance between the removed positions and the lines in the SVG.
+     * @returns {Array.<Array>} - the simplified path array.
+     */
+    _simplifyPathArray (plots, tolerance) {
+        const subpaths = [];
+        plots.forEach(command => {
+            if (command[0] === 'M' || subpaths.length === 0) {
+                subpaths.push([]);
+            }
+            subpaths[subpaths.length - 1].push(command);
+        });
+        return subpaths.reduce((simplified, subpath) => {
+            const closed = subpath[subpath.length - 1][0] === 'Z';
+            const lines = closed ? subpath.slice(0, -1) : subpath;
+            if (lines[0][0] !== 'M' || lines.slice(1).some(command => command[0] !== 'L')) {
+                return simplified.concat(subpath);
+            }
+            const points = lines.map(command => command.slice(1));
+            if (closed) {
+                // Keep the start by simplifying the loop back to it.
+                points.push(points[0]);
+            }
+            const remaining = simplifyPoints(points, tolerance);
+            if (closed) {
+                remaining.pop();
+            }
+            return simplified.concat(
+                remaining.map((point, index) => [(index === 0) ? 'M' : 'L', ...point]),
+                closed ? [['Z']] : []
+            );
+        }, []);
+    }
+
+    /**
+     * Close the last subpath of the path array if it ends near its start.
+     * @param {Array.<Array>} plots - the path array to close the last subpath of.
+     * @param {number} tension - the tension of the spline.
+     * @param {number} closingDistance - the distance between the end and the start to close in the SVG.
+     * @returns {boolean} - true if the subpath has been closed.
+     */
+    _closeLastSubpath (plots, tension, closingDistance) {
+        let startIndex = plots.length - 1;
+        while (startIndex > 0 && plots[startIndex][0] !== 'M') {
+            startIndex--;
+        }
+        const subpath = plots.slice(startIndex);
+        if (subpath.length < 3) {
+            return false;
+        }
+        const start = (subpath[1][0] === 'Q') ? subpath[1] : subpath[0];
+        const lastLine = subpath[subpath.length - 1]; // L, T, A or C
+        if (lastLine[0] === 'Z') {
+            return false;
+        }
+        const lastPoint = lastLine.slice(-2);
+        if (Math.sqrt(((start[1] - lastPoint[0]) ** 2) + ((start[2] - lastPoint[1]) ** 2)) >
             closingDistance) {
-            return;
+            return false;
         }
         // It's a closed line.
-        const firstLine = plots[1]; // L or Q
+        const firstLine = subpath[1]; // L or Q
         if (firstLine[0] === 'Q' && lastLine[0] === 'T') {
-            plots.pop(); // remove T
-            plots.push([...plots[1]]); // copy the first Q to the end
-            plots[0] = ['M', ...plots[1].slice(3)]; // move the start to the control point of the first Q
-            plots.splice(1, 1); // remove the first Q
+            subpath.pop(); // remove T
+            subpath.push([...subpath[1]]); // copy the first Q to the end
+            subpath[0] = ['M', ...subpath[1].slice(3)]; // move the start to the control point of the first Q
+            subpath.splice(1, 1); // remove the first Q
+        }
+        if (firstLine[0] === 'C' && lastLine[0] === 'C' && subpath.length > 3) {
+            this._closeSpline(subpath, tension);
         }
-        penPath.plot(plots.concat(['Z']));
+        subpath.push(['Z']);
+        plots.splice(startIndex, plots.length - startIndex, ...subpath);
+        return true;
     }
 
     /**
@@ -426,10 +1194,16 @@ class VPenBlocks {
             return;
         }
         const penPath = penState.penPath;
-        if (penState.penAttributes.lineShape === VPenBlocks.LINE_SHAPES.CURVE) {
+        if (penState.widthSamples) {
+            penState.widthSamples.pop();
+            updateVariableWidthOutline(penPath.array(), penState.widthSamples, penState.widthSamples.length + 1);
+        } else if (penState.penAttributes.lineShape === VPenBlocks.LINE_SHAPES.CURVE) {
             penPath.array().pop(); // remove T
             const referenceCurve = penPath.array().pop(); // Q
             penPath.array().push(['T', referenceCurve[1], referenceCurve[2]]);
+        } else if (penState.penAttributes.lineShape === VPenBlocks.LINE_SHAPES.SPLINE) {
+            const referenceCurve = penPath.array().pop(); // C
+            this._endSplineAt(penPath.array(), referenceCurve.slice(-2), penState.penAttributes.curveTension);
         } else {
             // The reference is a straight line.
             penState.penPath.array().pop();
@@ -445,25 +1219,188 @@ class VPenBlocks {
     _startPenPath (target) {
         const penState = this._getPenState(target);
         this._finishPen(penState);
-        const newPath = penState.drawing.path(['M', ...this._mapToSVGViewBox(target.x, target.y)]);
-        newPath
-            .fill(penState.penAttributes.fillOpacity > 0 ? {
-                color: penState.penAttributes.fillColor3b,
-                opacity: penState.penAttributes.fillOpacity
-            } : 'none')
+        const startPoint = this._mapPenPointToSVGViewBox(target.x, target.y);
+        const newPath = penState.drawing.path(['M', ...startPoint]);
+        if (penState.penAttributes.calligraphy === VPenBlocks.CALLIGRAPHY_MODES.OFF) {
+            this._applyPenAttributesTo(newPath, penState);
+        } else {
+            penState.widthSamples = [{
+                point: startPoint,
+                width: this._calligraphyWidthFor(penState, null, startPoint),
+                time: this.runtime.currentMSecs
+            }];
+            this._applyCalligraphyAttributesTo(newPath, penState);
+        }
+        penState.penPath = newPath;
+        penState.symmetryCopies = this._symmetryTransformsFor(penState).map(transform => {
+            const copy = newPath.clone()
+                .addClass(VPenBlocks.SYMMETRY_CLASS)
+                .attr('transform', transform);
+            // The copies are put before the line, so the line is the last drawing.
+            newPath.before(copy);
+            return copy;
+        });
+    }
+
+    /**
+     * Return the transforms of the copies of a line in the symmetry of the pen.
+     * @param {object} penState - the pen state.
+     * @returns {Array.<string>} - the transforms in the SVG, empty if the symmetry is off.
+     */
+    _symmetryTransformsFor (penState) {
+        const attributes = penState.penAttributes;
+        const [centerX, centerY] = this._mapToSVGViewBox(attributes.symmetryCenter.x, attributes.symmetryCenter.y);
+        const mirror = `matrix(-1,0,0,1,${2 * centerX},0)`;
+        if (attributes.symmetry === VPenBlocks.SYMMETRY_MODES.MIRROR_LEFT_RIGHT) {
+            return [mirror];
+        }
+        if (attributes.symmetry === VPenBlocks.SYMMETRY_MODES.MIRROR_TOP_BOTTOM) {
+            return [`matrix(1,0,0,-1,0,${2 * centerY})`];
+        }
+        if (attributes.symmetry !== VPenBlocks.SYMMETRY_MODES.ROTATION &&
+            attributes.symmetry !== VPenBlocks.SYMMETRY_MODES.KALEIDOSCOPE) {
+            return [];
+        }
+        const transforms = [];
+        for (let fold = 0; fold < attributes.symmetryFolds; fold++) {
+            const rotation = `rotate(${360 * fold / attributes.symmetryFolds},${centerX},${centerY})`;
+            if (fold > 0) {
+                transforms.push(rotation);
+            }
+            if (attributes.symmetry === VPenBlocks.SYMMETRY_MODES.KALEIDOSCOPE) {
+                transforms.push((fold > 0) ? `${rotation} ${mirror}` : mirror);
+            }
+        }
+        return transforms;
+    }
+
+    /**
+     * Make the copies of a line in the symmetry the same as the line except for their transforms.
+     * @param {Path} penPath - the line to copy.
+     * @param {Array.<Path>} copies - the copies of the line.
+     */
+    _updateSymmetryCopies (penPath, copies) {
+        const attributes = penPath.attr();
+        delete attributes.id;
+        delete attributes.d;
+        copies.forEach(copy => {
+            copy
+                .attr(attributes)
+                .plot(penPath.array());
+        });
+    }
+
+    /**
+     * Apply the attributes of the pen to the outline of a line of variable width.
+     * The outline is filled with the pen color instead of the stroke.
+     * @param {Element} element - the outline to apply the attributes to.
+     * @param {object} penState - the pen state.
+     */
+    _applyCalligraphyAttributesTo (element, penState) {
+        const attributes = penState.penAttributes;
+        element
+            .fill({
+                color: attributes.strokeGradient ?
+                    this._gradientIn(penState.drawing, attributes.strokeGradient).url() :
+                    attributes.color3b,
+                opacity: attributes.opacity,
+                rule: VPenBlocks.FILL_RULES.NONZERO
+            })
+            .stroke('none');
+    }
+
+    /**
+     * Return the width of a line of variable width at the point by the calligraphy mode.
+     * @param {object} penState - the pen state.
+     * @param {{point: Array.<number>, width: number, time: number}?} previous - the previous sample
+     *     or null at the start.
+     * @param {Array.<number>} to - the point to get the width at in the SVG.
+     * @param {number} time - the time of the runtime at the point [ms].
+     * @returns {number} - the width in the SVG.
+     */
+    _calligraphyWidthFor (penState, previous, to, time) {
+        const attributes = penState.penAttributes;
+        const diameter = attributes.diameter * this.stepPerMM;
+        if (attributes.calligraphy === VPenBlocks.CALLIGRAPHY_MODES.PRESSURE) {
+            return diameter * attributes.pressure;
+        }
+        if (!previous) {
+            return diameter;
+        }
+        const dx = to[0] - previous.point[0];
+        const dy = to[1] - previous.point[1];
+        if (attributes.calligraphy === VPenBlocks.CALLIGRAPHY_MODES.SPEED) {
+            const seconds = (time - previous.time) / 1000;
+            if (!(seconds > 0)) {
+                // The moves in the same frame keep the speed, such as the points along an arc.
+                return previous.width;
+            }
+            const speed = Math.sqrt((dx * dx) + (dy * dy)) / this.stepPerMM / seconds;
+            return diameter / (1 + (speed / VPenBlocks.CALLIGRAPHY_HALF_WIDTH_SPEED));
+        }
+        // The nib draws the widest line across it and a hairline along it.
+        const direction = Math.atan2(-dy, dx); // counterclockwise on the stage
+        const nibAngle = attributes.nibAngle * Math.PI / 180;
+        const hairline = 0.1;
+        return diameter * Math.max(hairline, Math.abs(Math.sin(direction - nibAngle)));
+    }
+
+    /**
+     * Add a point to the line of variable width and extend its outline.
+     * @param {object} penState - the pen state which has the line.
+     * @param {Array.<number>} point - the point to add in the SVG.
+     */
+    _addWidthSampleTo (penState, point) {
+        const samples = penState.widthSamples;
+        const previous = samples[samples.length - 1];
+        const time = this.runtime.currentMSecs;
+        let width = this._calligraphyWidthFor(penState, previous, point, time);
+        if (penState.penAttributes.calligraphy === VPenBlocks.CALLIGRAPHY_MODES.SPEED) {
+            // Smooth the change of the speed which is measured at every frame.
+            width = (previous.width + width) / 2;
+        } else if (penState.penAttributes.calligraphy === VPenBlocks.CALLIGRAPHY_MODES.NIB &&
+            samples.length === 1) {
+            // The width at the start is decided by the direction of the first move.
+            previous.width = width;
+        }
+        samples.push({point, width, time});
+        const outline = penState.penPath.array();
+        updateVariableWidthOutline(outline, samples, samples.length - 1);
+        penState.penPath.plot(outline);
+    }
+
+    /**
+     * Apply the stroke and fill attributes of the pen to the element.
+     * @param {Element} element - the element to apply the attributes to.
+     * @param {object} penState - the pen state.
+     */
+    _applyPenAttributesTo (element, penState) {
+        this._applyFillTo(element, penState);
+        element
             .stroke({
                 width: penState.penAttributes.diameter * this.stepPerMM,
-                color: penState.penAttributes.color3b,
+                color: penState.penAttributes.strokeGradient ?
+                    this._gradientIn(penState.drawing, penState.penAttributes.strokeGradient).url() :
+                    penState.penAttributes.color3b,
                 opacity: penState.penAttributes.opacity,
-                linecap: 'round',
-                linejoin: 'round'
+                linecap: penState.penAttributes.lineCap,
+                linejoin: penState.penAttributes.lineJoin
+            });
+        if (penState.penAttributes.lineJoin === VPenBlocks.LINE_JOINS.MITER) {
+            element.stroke({miterlimit: penState.penAttributes.miterLimit});
+        }
+        if (penState.penAttributes.dashPattern.length > 0) {
+            element.stroke({
+                dasharray: penState.penAttributes.dashPattern
+                    .map(length => length * this.stepPerMM)
+                    .join(' '),
+                dashoffset: penState.penAttributes.dashOffset * this.stepPerMM
             });
+        }
         
         if (penState.penAttributes.diameter < VPenBlocks.DISPLAY_STROKE_WIDTH_MIN) {
             penState.hasThinLines = true;
         }
-        
-        penState.penPath = newPath;
     }
 
     /**
@@ -474,7 +1411,7 @@ class VPenBlocks {
      */
     _addLineToPenPath (path, x, y) {
         path.array()
-            .push(['L', ...this._mapToSVGViewBox(x, y)]);
+            .push(['L', ...this._mapPenPointToSVGViewBox(x, y)]);
         path.plot(path.array());
     }
 
@@ -486,12 +1423,12 @@ class VPenBlocks {
      */
     _addCurveToPenPath (path, x, y) {
         const pathArray = path.array();
-        const prevNode = pathArray[pathArray.length - 1]; // T or M or L
+        const prevNode = pathArray[pathArray.length - 1]; // T, M, L, A or C
         if (prevNode[0] === 'T') {
             pathArray.pop();
         }
-        const prevPoint = [prevNode[1], prevNode[2]];
-        const endPoint = this._mapToSVGViewBox(x, y);
+        const prevPoint = prevNode.slice(-2);
+        const endPoint = this._mapPenPointToSVGViewBox(x, y);
         const controlPoint = [
             (prevPoint[0] + endPoint[0]) / 2,
             (prevPoint[1] + endPoint[1]) / 2
@@ -501,6 +1438,136 @@ class VPenBlocks {
         path.plot(pathArray);
     }
 
+    /**
+     * Add a segment to the pen path and move the target to the end of it.
+     * When the pen is up, the target only moves to the end.
+     * @param {Target} target - the target to draw the segment for.
+     * @param {Array} segment - the path segment which ends at the position.
+     * @param {number} x - the x position of the end on the stage.
+     * @param {number} y - the y position of the end on the stage.
+     */
+    _addSegmentFor (target, segment, x, y) {
+        const penState = this._getPenState(target);
+        const path = penState.penPath;
+        if (!path) {
+            target.setXY(x, y);
+            return;
+        }
+        if (penState.penType === VPenBlocks.PEN_TYPES.PLOTTER) {
+            // The reference line of the plotter is replaced with the segment.
+            this._removeReferenceLine(penState);
+        }
+        // The segment ends at the sprite, so the next move starts a new line from there.
+        penState.referencePoint = null;
+        if (penState.widthSamples) {
+            const samples = penState.widthSamples;
+            const [polyline] = pathToPolylines([['M', ...samples[samples.length - 1].point], segment],
+                VPenBlocks.FLATTENING_TOLERANCE * this.stepPerMM);
+            polyline.points.slice(1).forEach(point => this._addWidthSampleTo(penState, point));
+            target.setXY(x, y);
+            this._updatePenSkinFor(target);
+            return;
+        }
+        path.array().push(segment);
+        path.plot(path.array());
+        target.setXY(x, y);
+        this._updatePenSkinFor(target);
+    }
+
+    /**
+     * Return whether the segment is the last one of the spline ending with the next point.
+     * @param {Array.<Array>} pathArray - the path array which ends with the segment.
+     * @param {Array.<number>} next - the next point of the spline or the end itself if there is no next point.
+     * @param {number} tension - the tension of the spline.
+     * @returns {boolean} - true if the segment is the end of the spline.
+     */
+    _isSplineEndIn (pathArray, next, tension) {
+        const segment = pathArray[pathArray.length - 1];
+        if (pathArray.length < 2 || segment[0] !== 'C') {
+            return false;
+        }
+        const scale = (1 - tension) / 6;
+        const prev = pathArray[pathArray.length - 2].slice(-2);
+        const end = segment.slice(-2);
+        return Math.abs(segment[3] - (end[0] - (scale * (next[0] - prev[0])))) < 1e-6 &&
+            Math.abs(segment[4] - (end[1] - (scale * (next[1] - prev[1])))) < 1e-6;
+    }
+
+    /**
+     * Make the spline end at the last point again after the next point has been removed.
+     * @param {Array.<Array>} pathArray - the path array of the spline.
+     * @param {Array.<number>} removed - the next point which has been removed.
+     * @param {number} tension - the tension of the spline.
+     */
+    _endSplineAt (pathArray, removed, tension) {
+        if (!this._isSplineEndIn(pathArray, removed, tension)) {
+            return;
+        }
+        const scale = (1 - tension) / 6;
+        const segment = pathArray[pathArray.length - 1];
+        const prev = pathArray[pathArray.length - 2].slice(-2);
+        segment[3] = segment[5] - (scale * (segment[5] - prev[0]));
+        segment[4] = segment[6] - (scale * (segment[6] - prev[1]));
+    }
+
+    /**
+     * Add a spline segment to the pen path.
+     * The spline is a cardinal spline which passes through every position,
+     * so the last segment is bent to the new position smoothly.
+     * @param {Path} path - the path to add the segment to.
+     * @param {number} x - the x position of the end.
+     * @param {number} y - the y position of the end.
+     * @param {number} tension - the tension of the spline 0.0-1.0. 0 is Catmull-Rom spline.
+     */
+    _addSplineToPenPath (path, x, y, tension) {
+        const pathArray = path.array();
+        const scale = (1 - tension) / 6;
+        const start = pathArray[pathArray.length - 1].slice(-2);
+        const end = this._mapPenPointToSVGViewBox(x, y);
+        let prev = start;
+        if (this._isSplineEndIn(pathArray, start, tension)) {
+            prev = pathArray[pathArray.length - 2].slice(-2);
+            const lastSegment = pathArray[pathArray.length - 1];
+            lastSegment[3] = start[0] - (scale * (end[0] - prev[0]));
+            lastSegment[4] = start[1] - (scale * (end[1] - prev[1]));
+        }
+        pathArray.push([
+            'C',
+            start[0] + (scale * (end[0] - prev[0])),
+            start[1] + (scale * (end[1] - prev[1])),
+            end[0] - (scale * (end[0] - start[0])),
+            end[1] - (scale * (end[1] - start[1])),
+            ...end
+        ]);
+        path.plot(pathArray);
+    }
+
+    /**
+     * Join the end of the spline to the start smoothly to close it.
+     * @param {Array.<Array>} plots - the path array of the spline which ends near the start.
+     * @param {number} tension - the tension of the spline.
+     */
+    _closeSpline (plots, tension) {
+        const scale = (1 - tension) / 6;
+        const start = plots[0].slice(1);
+        const firstSegment = plots[1];
+        const lastSegment = plots[plots.length - 1];
+        const second = firstSegment.slice(-2);
+        if (!this._isSplineEndIn(plots, lastSegment.slice(-2), tension) ||
+            Math.abs(firstSegment[1] - (start[0] + (scale * (second[0] - start[0])))) > 1e-6 ||
+            Math.abs(firstSegment[2] - (start[1] + (scale * (second[1] - start[1])))) > 1e-6) {
+            // Not a spline from the start to the end.
+            return;
+        }
+        const beforeLast = plots[plots.length - 2].slice(-2);
+        firstSegment[1] = start[0] + (scale * (second[0] - beforeLast[0]));
+        firstSegment[2] = start[1] + (scale * (second[1] - beforeLast[1]));
+        lastSegment[3] = start[0] - (scale * (second[0] - beforeLast[0]));
+        lastSegment[4] = start[1] - (scale * (second[1] - beforeLast[1]));
+        lastSegment[5] = start[0];
+        lastSegment[6] = start[1];
+    }
+
     /**
      * Clamp a pen size value to the range allowed by the pen.
      * @param {number} requestedSize - the requested pen size.
@@ -568,810 +1635,2789 @@ class VPenBlocks {
      */
     setStepPerMM (args) {
         this.stepPerMM = Cast.toNumber(args.STEP_PER_MM);
+        this._updateSnapGridOverlay();
     }
 
     /**
-     * Clear pen layer for the target.
-     * @param {Target} targetID - the target to clear the pen layer for.
+     * Set the spacing of the grid to snap the positions of lines to.
+     * @param {object} args - the block arguments.
+     * @param {number} args.GRID - the spacing of the grid [mm].
      */
-    destroyPenLayerForID (targetID) {
-        const penState = this._penStates[targetID];
-        if (penState) {
-            const target = this.runtime.getTargetById(targetID);
-            if (target && target.isOriginal) {
-                this.runtime.renderer.destroyDrawable(penState.drawableID, StageLayering.PEN_LAYER);
-                this.runtime.renderer.destroySkin(penState.skinID);
-            }
-            delete this._penStates[targetID];
-            this.runtime.requestRedraw();
-        }
+    setSnapGrid (args) {
+        this.snapGrid = Math.max(0, Cast.toNumber(args.GRID));
+        this._updateSnapGridOverlay();
     }
 
     /**
-     * Handle a target which is exiting.
-     * @param {RenderedTarget} target - the target.
-     * @private
+     * Stop snapping the positions of lines to the grid.
      */
-    onTargetWillExit (target) {
-        const penState = this._penStateFor(target);
-        if (penState) {
-            this.penUp({}, {target});
-            this.destroyPenLayerForID(target.id);
-        }
+    snapOff () {
+        this.snapGrid = 0;
+        this._updateSnapGridOverlay();
     }
 
-    onRuntimeDisposed () {
-        Object.keys(this._penStates).forEach(targetID => {
-            this.destroyPenLayerForID(targetID);
-        });
+    /**
+     * Show the snap grid on the stage.
+     */
+    showSnapGrid () {
+        this.snapGridOverlay.isVisible = true;
+        this._updateSnapGridOverlay();
     }
 
     /**
-     * When a pen-using Target is cloned, clone the pen state.
-     * @param {Target} newTarget - the newly created target.
-     * @param {Target} [sourceTarget] - the target used as a source for the new clone, if any.
-     * @listens Runtime#event:targetWasCreated
-     * @private
+     * Hide the snap grid on the stage.
      */
-    onTargetCreated (newTarget, sourceTarget) {
-        if (sourceTarget) {
-            const sourcePenState = this._penStateFor(sourceTarget);
-            if (sourcePenState) {
-                const newPenState = VPenBlocks.DEFAULT_PEN_STATE;
-                newPenState.skinID = sourcePenState.skinID;
-                newPenState.drawableID = sourcePenState.drawableID;
-                newPenState.penType = sourcePenState.penType;
-                newPenState.penAttributes = Clone.simple(sourcePenState.penAttributes);
-                this._penStates[newTarget.id] = newPenState;
-                newPenState.drawing = sourcePenState.drawing.group();
-            }
-        }
+    hideSnapGrid () {
+        this.snapGridOverlay.isVisible = false;
+        this._updateSnapGridOverlay();
     }
 
     /**
-     * Handle a target which has moved. This only fires when the pen is down.
-     * @param {RenderedTarget} target - the target which has moved.
-     * @param {number} oldX - the previous X position.
-     * @param {number} oldY - the previous Y position.
-     * @param {boolean} isForce - whether the movement was forced.
-     * @private
+     * Draw the overlay of the snap grid on the stage by the current settings.
+     * The overlay is shown only when the snap grid is set.
      */
-    onTargetMoved (target, oldX, oldY, isForce) {
-        const penState = this._penStateFor(target);
-        const penPath = penState.penPath;
-        if (!penPath) {
-            // If the pen is up, there's nothing to draw.
+    _updateSnapGridOverlay () {
+        const renderer = this.runtime.renderer;
+        const overlay = this.snapGridOverlay;
+        const step = this.snapGrid * this.stepPerMM;
+        // Too dense lines hide the stage.
+        const isVisible = overlay.isVisible && step >= 2;
+        if (!renderer || (!isVisible && overlay.drawableID < 0)) {
             return;
         }
-        if (penState.penType === VPenBlocks.PEN_TYPES.TRAIL) {
-            if (isForce) {
-            // Only move the pen if the movement isn't forced (ie. dragged).
-            // This prevents the pen from drawing when the sprite is dragged.
-                this._startPenPath(target);
-                this._updatePenSkinFor(target);
-                return;
+        if (isVisible) {
+            const gridSVG = this._createDrawingSVG();
+            const [cx, cy] = this._mapToSVGViewBox(0, 0);
+            const lines = [];
+            for (let x = cx - (Math.floor(cx / step) * step); x <= this.stageWidth; x += step) {
+                lines.push(['M', x, 0], ['V', this.stageHeight]);
+            }
+            for (let y = cy - (Math.floor(cy / step) * step); y <= this.stageHeight; y += step) {
+                lines.push(['M', 0, y], ['H', this.stageWidth]);
+            }
+            gridSVG.path(lines)
+                .fill('none')
+                .stroke({width: 0.5, color: '#4c97ff', opacity: 0.5});
+            if (overlay.skinID < 0) {
+                overlay.skinID = renderer.createSVGSkin(gridSVG.svg());
+                this._addSnapGridLayerTo(renderer);
+                overlay.drawableID = renderer.createDrawable(VPenBlocks.SNAP_GRID_LAYER);
+                renderer.updateDrawableSkinId(overlay.drawableID, overlay.skinID);
+            } else {
+                renderer.updateSVGSkin(overlay.skinID, gridSVG.svg());
             }
         }
-        if (penState.penType === VPenBlocks.PEN_TYPES.PLOTTER) {
-            this._removeReferenceLine(penState);
-        }
-        penState.referencePoint = {x: target.x, y: target.y};
-        if (penState.penAttributes.lineShape === VPenBlocks.LINE_SHAPES.CURVE) {
-            this._addCurveToPenPath(penPath, target.x, target.y);
-        } else {
-            this._addLineToPenPath(penPath, target.x, target.y);
-        }
-        this._updatePenSkinFor(target);
+        renderer.updateDrawableVisible(overlay.drawableID, isVisible);
+        this.runtime.requestRedraw();
     }
 
     /**
-     * Plot a node of the path.
-     * @param {object} args - the block arguments.
-     * @param {object} util - utility object provided by the runtime.
+     * Add the layer group of the snap grid overlay under the pen layer to the renderer.
+     * The renderer has no way to add a layer group after it started,
+     * so the group is inserted into its lists of the groups.
+     * @param {RenderWebGL} renderer - the renderer to add the layer group.
      */
-    plot (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        if (penState.penPath) {
-            if (penState.penType === VPenBlocks.PEN_TYPES.TRAIL) {
-                // Trail pen was down, so nothing to plot.
-                return;
-            }
-        } else {
-            // If there's no line started, start plotter.
-            penState.penType = VPenBlocks.PEN_TYPES.PLOTTER;
-            this._startPenPath(target);
-            this._updatePenSkinFor(target);
-            if (!penState._listenerRegistered) {
-                target.addListener(RenderedTarget.EVENT_TARGET_MOVED, this.onTargetMoved);
-                penState._listenerRegistered = true;
-            }
+    _addSnapGridLayerTo (renderer) {
+        const layer = VPenBlocks.SNAP_GRID_LAYER;
+        if (renderer._layerGroups[layer]) {
+            return;
         }
-        // Change the reference point to the drawing position.
-        penState.referencePoint = null;
+        const penGroup = renderer._layerGroups[StageLayering.PEN_LAYER];
+        renderer._layerGroups[layer] = {
+            groupIndex: penGroup.groupIndex,
+            drawListOffset: penGroup.drawListOffset
+        };
+        renderer._groupOrdering.splice(penGroup.groupIndex, 0, layer);
+        renderer._groupOrdering.forEach((group, index) => {
+            renderer._layerGroups[group].groupIndex = index;
+        });
     }
 
     /**
-     * The pen "pen down" block causes the target to leave pen trails on future motion.
+     * Set the page for paged outputs.
      * @param {object} args - the block arguments.
-     * @param {object} util - utility object provided by the runtime.
+     * @param {string} args.PAPER - the paper size.
+     * @param {string} args.ORIENTATION - the orientation of the page.
+     * @param {number} args.MARGIN - the margin of the page [mm].
      */
-    penDown (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        if (penState.penPath) {
-            if (penState.penType === args.PEN_TYPE) {
-                // If there's already a same type line started, nothing to do.
-                return;
-            }
-            this.penUp(args, util);
-        }
-        penState.penType = args.PEN_TYPE;
-        if (penState.penType === VPenBlocks.PEN_TYPES.TRAIL) {
-            this._startPenPath(target);
+    setPage (args) {
+        if (Object.values(VPenBlocks.PAPER_SIZES).includes(args.PAPER)) {
+            this.pageSetup.paper = args.PAPER;
         }
-        this._updatePenSkinFor(target);
-        if (!penState._listenerRegistered) {
-            target.addListener(RenderedTarget.EVENT_TARGET_MOVED, this.onTargetMoved);
-            penState._listenerRegistered = true;
+        if (Object.values(VPenBlocks.PAGE_ORIENTATIONS).includes(args.ORIENTATION)) {
+            this.pageSetup.orientation = args.ORIENTATION;
         }
+        this.pageSetup.margin = Math.max(0, Cast.toNumber(args.MARGIN));
     }
 
     /**
-     * The pen "pen up" block stops the target from leaving pen trails.
+     * Set the size of the custom page.
      * @param {object} args - the block arguments.
-     * @param {object} util - utility object provided by the runtime.
+     * @param {number} args.WIDTH - the width of the page [mm].
+     * @param {number} args.HEIGHT - the height of the page [mm].
      */
-    penUp (args, util) {
-        const target = util.target;
-        const penState = this._penStateFor(target);
-        if (!penState || !penState.penPath) {
-            // If there's no line started, there's nothing to end.
+    setCustomPageSize (args) {
+        const width = Cast.toNumber(args.WIDTH);
+        const height = Cast.toNumber(args.HEIGHT);
+        if (width <= 0 || height <= 0) {
             return;
         }
-        this._finishPen(penState);
-        this._updatePenSkinFor(target);
-        if (penState._listenerRegistered) {
-            target.removeListener(RenderedTarget.EVENT_TARGET_MOVED, this.onTargetMoved);
-            penState._listenerRegistered = false;
-        }
+        this.pageSetup.customWidth = width;
+        this.pageSetup.customHeight = height;
     }
 
     /**
-     * Clears the drawings of this target.
-     * @param {object} _args - the block arguments.
-     * @param {object} util - utility object provided by the runtime.
+     * Set the way to fit the drawing in the page.
+     * @param {object} args - the block arguments.
+     * @param {string} args.FIT - the way to fit.
      */
-    clear (_args, util) {
-        const target = util.target;
-        this._clearForTarget(target);
+    setPageFit (args) {
+        if (!Object.values(VPenBlocks.PAGE_FITS).includes(args.FIT)) {
+            return;
+        }
+        this.pageSetup.fit = args.FIT;
     }
 
     /**
-     * Set the pen color by color tool.
+     * Set the origin for plotter outputs.
      * @param {object} args - the block arguments.
-     * @param {string|number} args.COLOR - the color to set the pen to.
-     * @param {object} util - utility object provided by the runtime.
+     * @param {string} args.ORIGIN - the position of the origin.
      */
-    setPenColorToColor (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        const rgba = Cast.toRgbColorObject(args.COLOR);
-        const opacity = 1 - ((rgba.a ? rgba.a : 0) / 255);
-        if (penState.penAttributes.color3b.r === rgba.r &&
-            penState.penAttributes.color3b.g === rgba.g &&
-            penState.penAttributes.color3b.b === rgba.b &&
-            penState.penAttributes.opacity === opacity) {
-            // No change.
+    setPlotterOrigin (args) {
+        if (!Object.values(VPenBlocks.PLOTTER_ORIGINS).includes(args.ORIGIN)) {
             return;
         }
-        penState.penAttributes.color3b = {
-            r: rgba.r,
-            g: rgba.g,
-            b: rgba.b
-        };
-        penState.penAttributes.opacity = opacity;
-        const penPath = penState.penPath;
-        if (penPath) {
-            // If there's a pen line started, end it and start a new one.
-            this._startPenPath(target);
-        }
+        this.plotterSettings.origin = args.ORIGIN;
     }
 
     /**
-     * Set the pen opacity.
+     * Set the G-code to lift or lower the pen.
      * @param {object} args - the block arguments.
-     * @param {number} args.OPACITY - the opacity of the pen.
-     * @param {object} util - utility object provided by the runtime.
+     * @param {string} args.PEN_ACTION - the action of the pen.
+     * @param {string} args.COMMAND - the G-code for the action.
      */
-    setPenOpacity (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        const newOpacity = Math.max(0, Math.min(1, Cast.toNumber(args.OPACITY) / 100));
-        if (penState.penAttributes.opacity === newOpacity) {
-            // No change.
-            return;
-        }
-        penState.penAttributes.opacity = newOpacity;
-        const penPath = penState.penPath;
-        if (penPath) {
-            // If there's a pen line started, end it and start a new one.
-            this._startPenPath(target);
+    setGCodePenCommand (args) {
+        const command = Cast.toString(args.COMMAND).trim();
+        if (args.PEN_ACTION === VPenBlocks.PEN_ACTIONS.UP) {
+            this.plotterSettings.gcodePenUp = command;
+        } else if (args.PEN_ACTION === VPenBlocks.PEN_ACTIONS.DOWN) {
+            this.plotterSettings.gcodePenDown = command;
         }
     }
 
     /**
-     * Set the pen size (mm).
+     * Set the G-code feed rate.
      * @param {object} args - the block arguments.
-     * @param {number} args.SIZE - the size of the pen in mm.
-     * @param {object} util - utility object provided by the runtime.
+     * @param {string} args.MOVE - the kind of the move.
+     * @param {number} args.RATE - the feed rate [mm/min].
      */
-    setPenSizeTo (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        const newPenSize = this._clampPenSize(Cast.toNumber(args.SIZE));
-        if (penState.penAttributes.diameter === newPenSize) {
-            // No change.
-            return;
-        }
-        penState.penAttributes.diameter = newPenSize;
-        const penPath = penState.penPath;
-        if (penPath) {
-            // If there's a pen line started, end it and start a new one.
-            this._startPenPath(target);
+    setGCodeFeedRate (args) {
+        const rate = Math.max(0, Cast.toNumber(args.RATE));
+        if (args.MOVE === VPenBlocks.PLOTTER_MOVES.DRAW) {
+            this.plotterSettings.gcodeDrawFeedRate = rate;
+        } else if (args.MOVE === VPenBlocks.PLOTTER_MOVES.TRAVEL) {
+            this.plotterSettings.gcodeTravelFeedRate = rate;
         }
     }
 
     /**
-     * Set the line shape.
+     * Set the order to draw lines in plotter outputs.
      * @param {object} args - the block arguments.
-     * @param {string} args.LINE_SHAPE - the shape of the line.
-     * @param {object} util - utility object provided by the runtime.
+     * @param {string} args.PLOT_ORDER - the order to draw lines.
      */
-    setLineShape (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        const newLineShape = args.LINE_SHAPE;
-        if (penState.penAttributes.lineShape === newLineShape) {
-            // No change.
+    setPlotOrder (args) {
+        if (!Object.values(VPenBlocks.PLOT_ORDERS).includes(args.PLOT_ORDER)) {
             return;
         }
-        penState.penAttributes.lineShape = newLineShape;
+        this.plotterSettings.plotOrder = args.PLOT_ORDER;
     }
 
     /**
-     * Set fill color of the pen by color tool.
-     * @param {object} args - the block arguments.
-     * @param {string|number} args.COLOR - the color to set.
-     * @param {object} util - utility object provided by the runtime.
+     * Return the travel distance saved by the plot order in the last export.
+     * @returns {number} - the saved travel distance [mm].
      */
-    setFillColorToColor (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        const rgba = Cast.toRgbColorObject(args.COLOR);
-        const opacity = 1 - ((rgba.a ? rgba.a : 0) / 255);
-        if (penState.penAttributes.fillColor3b.r === rgba.r &&
-            penState.penAttributes.fillColor3b.g === rgba.g &&
-            penState.penAttributes.fillColor3b.b === rgba.b &&
-            penState.penAttributes.fillOpacity === opacity) {
-            // No change.
-            return;
-        }
-        penState.penAttributes.fillColor3b = {
-            r: rgba.r,
-            g: rgba.g,
-            b: rgba.b
-        };
-        penState.penAttributes.fillOpacity = opacity;
-        const penPath = penState.penPath;
-        if (penPath) {
-            penPath.fill(penState.penAttributes.fillOpacity > 0 ? {
-                color: penState.penAttributes.fillColor3b,
-                opacity: penState.penAttributes.fillOpacity
-            } : 'none');
-            this._updatePenSkinFor(target);
-        }
+    travelSavedByPlotOrder () {
+        return Math.round(this.savedTravelDistance * 100) / 100;
     }
 
     /**
-     * Set fill opacity of the pen.
-     * @param {object} args - the block arguments.
-     * @param {number} args.OPACITY - the opacity of the fill color.
-     * @param {object} util - utility object provided by the runtime.
+     * Clear pen layer for the target.
+     * @param {Target} targetID - the target to clear the pen layer for.
      */
-    setFillOpacity (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        const newOpacity = Math.max(0, Math.min(1, Cast.toNumber(args.OPACITY) / 100));
-        if (penState.penAttributes.fillOpacity === newOpacity) {
-            // No change.
-            return;
-        }
-        penState.penAttributes.fillOpacity = newOpacity;
-        const penPath = penState.penPath;
-        if (penPath) {
-            penPath.fill(penState.penAttributes.fillOpacity > 0 ? {
-                color: penState.penAttributes.fillColor3b,
-                opacity: penState.penAttributes.fillOpacity
-            } : 'none');
-            this._updatePenSkinFor(target);
+    destroyPenLayerForID (targetID) {
+        const penState = this._penStates[targetID];
+        if (penState) {
+            const target = this.runtime.getTargetById(targetID);
+            if (target && target.isOriginal) {
+                this.runtime.renderer.destroyDrawable(penState.drawableID, StageLayering.PEN_LAYER);
+                this.runtime.renderer.destroySkin(penState.skinID);
+            }
+            delete this._penStates[targetID];
+            this.runtime.requestRedraw();
         }
     }
 
     /**
-     * The pen "stamp" block stamps the current drawable's image onto the pen layer.
-     * @param {object} args - the block arguments.
-     * @param {object} util - utility object provided by the runtime.
+     * Handle a target which is exiting.
+     * @param {RenderedTarget} target - the target.
+     * @private
      */
-    stamp (args, util) {
-        const target = util.target;
-        const renderer = this.runtime.renderer;
+    onTargetWillExit (target) {
+        const penState = this._penStateFor(target);
+        if (penState) {
+            this.penUp({}, {target});
+            this.destroyPenLayerForID(target.id);
+        }
+    }
 
-        // Create a temporary drawable to capture the high-res image
-        const tempDrawableID = renderer.createDrawable(StageLayering.SPRITE_LAYER);
-        const costume = target.sprite.costumes[target.currentCostume];
+    onRuntimeDisposed () {
+        Object.keys(this._penStates).forEach(targetID => {
+            this.destroyPenLayerForID(targetID);
+        });
+        const overlay = this.snapGridOverlay;
+        if (overlay.drawableID >= 0) {
+            this.runtime.renderer.destroyDrawable(overlay.drawableID, VPenBlocks.SNAP_GRID_LAYER);
+            this.runtime.renderer.destroySkin(overlay.skinID);
+            this.snapGridOverlay = {skinID: -1, drawableID: -1, isVisible: false};
+        }
+    }
 
-        renderer.updateDrawableSkinId(tempDrawableID, costume.skinId);
+    /**
+     * Restore the drawings which were saved in the project.
+     * @listens Runtime#event:PROJECT_LOADED
+     * @private
+     */
+    onProjectLoaded () {
+        const savedTargets = this.runtime.targets
+            .filter(target => target.isOriginal && !target.isStage)
+            .map(target => ({
+                target,
+                data: target.extensionStorage && target.extensionStorage[EXTENSION_ID]
+            }))
+            .filter(({data}) => data && data.drawing);
+        const restoredTargets = savedTargets.filter(({target, data}) => this._restorePenStateFor(target, data));
+        // Stack the pen layers in the saved order.
+        restoredTargets
+            .filter(({data}) => typeof data.layerOrder === 'number' && data.layerOrder >= 0)
+            .sort((a, b) => a.data.layerOrder - b.data.layerOrder)
+            .forEach(({target}) => {
+                this._moveLayerToFront(this._penStateFor(target).drawableID);
+            });
+        this.runtime.requestRedraw();
+    }
 
-        // Apply all effects
-        for (const effectName in target.effects) {
-            if (Object.prototype.hasOwnProperty.call(target.effects, effectName)) {
-                renderer.updateDrawableEffect(tempDrawableID, effectName, target.effects[effectName]);
+    /**
+     * When a pen-using Target is cloned, clone the pen state.
+     * @param {Target} newTarget - the newly created target.
+     * @param {Target} [sourceTarget] - the target used as a source for the new clone, if any.
+     * @listens Runtime#event:targetWasCreated
+     * @private
+     */
+    onTargetCreated (newTarget, sourceTarget) {
+        if (sourceTarget) {
+            const sourcePenState = this._penStateFor(sourceTarget);
+            if (sourcePenState) {
+                const newPenState = VPenBlocks.DEFAULT_PEN_STATE;
+                newPenState.skinID = sourcePenState.skinID;
+                newPenState.drawableID = sourcePenState.drawableID;
+                newPenState.penType = sourcePenState.penType;
+                newPenState.penAttributes = Clone.simple(sourcePenState.penAttributes);
+                this._penStates[newTarget.id] = newPenState;
+                newPenState.drawing = sourcePenState.drawing.group();
             }
         }
+    }
 
-        // Calculate rendered direction and scale (at 100% size * resolutionScale)
-        const resolutionScale = 2;
-        let finalDirection = target.direction;
-        let finalScale = [100 * resolutionScale, 100 * resolutionScale];
-        if (target.rotationStyle === RenderedTarget.ROTATION_STYLE_NONE) {
-            finalDirection = 90;
-        } else if (target.rotationStyle === RenderedTarget.ROTATION_STYLE_LEFT_RIGHT) {
-            finalDirection = 90;
-            const scaleFlip = (target.direction < 0) ? -1 : 1;
-            finalScale = [scaleFlip * 100 * resolutionScale, 100 * resolutionScale];
+    /**
+     * Handle a target which has moved. This only fires when the pen is down.
+     * @param {RenderedTarget} target - the target which has moved.
+     * @param {number} oldX - the previous X position.
+     * @param {number} oldY - the previous Y position.
+     * @param {boolean} isForce - whether the movement was forced.
+     * @private
+     */
+    onTargetMoved (target, oldX, oldY, isForce) {
+        const penState = this._penStateFor(target);
+        const penPath = penState.penPath;
+        if (!penPath) {
+            // If the pen is up, there's nothing to draw.
+            return;
         }
+        const lastPoint = penPath.array()[penPath.array().length - 1].slice(-2);
+        const [x, y] = this._mapPenPointToSVGViewBox(target.x, target.y);
+        if ((!penState.referencePoint || this.snapGrid > 0) && lastPoint[0] === x && lastPoint[1] === y) {
+            // The path already ends here, such as after drawing an arc to this position
+            // or moving in the same cell of the snap grid.
+            return;
+        }
+        if (penState.penType === VPenBlocks.PEN_TYPES.TRAIL) {
+            if (isForce) {
+            // Only move the pen if the movement isn't forced (ie. dragged).
+            // This prevents the pen from drawing when the sprite is dragged.
+                this._startPenPath(target);
+                this._updatePenSkinFor(target);
+                return;
+            }
+        }
+        if (penState.penType === VPenBlocks.PEN_TYPES.PLOTTER) {
+            this._removeReferenceLine(penState);
+        }
+        penState.referencePoint = {x: target.x, y: target.y};
+        if (penState.widthSamples) {
+            this._addWidthSampleTo(penState, [x, y]);
+        } else if (penState.penAttributes.lineShape === VPenBlocks.LINE_SHAPES.CURVE) {
+            this._addCurveToPenPath(penPath, target.x, target.y);
+        } else if (penState.penAttributes.lineShape === VPenBlocks.LINE_SHAPES.SPLINE) {
+            this._addSplineToPenPath(penPath, target.x, target.y, penState.penAttributes.curveTension);
+        } else {
+            this._addLineToPenPath(penPath, target.x, target.y);
+        }
+        this._updatePenSkinFor(target);
+    }
 
-        // Update temporary drawable properties
-        renderer.updateDrawableDirectionScale(tempDrawableID, finalDirection, finalScale);
-        renderer.updateDrawableVisible(tempDrawableID, true);
-        // Position at (0, 0) to avoid edge clipping issues during extraction
-        renderer.updateDrawablePosition(tempDrawableID, [0, 0]);
-
-        const drawableData = renderer.extractDrawableScreenSpace(tempDrawableID);
-
-        // Clean up
-        renderer.destroyDrawable(tempDrawableID, StageLayering.SPRITE_LAYER);
-
-        // Create SVG Image
-        const canvas = document.createElement('canvas');
-        canvas.width = drawableData.imageData.width;
-        canvas.height = drawableData.imageData.height;
-        const ctx = canvas.getContext('2d');
-        ctx.putImageData(drawableData.imageData, 0, 0);
-        const drawableURL = canvas.toDataURL();
-
+    /**
+     * Plot a node of the path.
+     * @param {object} args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    plot (args, util) {
+        const target = util.target;
         const penState = this._getPenState(target);
-        const drawing = penState.drawing;
-        const stamp = drawing.image(drawableURL);
-
-        // Calculate dimensions
-        const canvasWidth = renderer.canvas.clientWidth;
-        const canvasHeight = renderer.canvas.clientHeight;
-        const stageResolution = [
-            canvasWidth / this.stageWidth,
-            canvasHeight / this.stageHeight
-        ];
-
-        // Size in Stage Units (at 100% scale)
-        const naturalWidth = (drawableData.width / stageResolution[0]) / resolutionScale;
-        const naturalHeight = (drawableData.height / stageResolution[1]) / resolutionScale;
+        if (penState.penPath) {
+            if (penState.penType === VPenBlocks.PEN_TYPES.TRAIL) {
+                // Trail pen was down, so nothing to plot.
+                return;
+            }
+        } else {
+            // If there's no line started, start plotter.
+            penState.penType = VPenBlocks.PEN_TYPES.PLOTTER;
+            this._startPenPath(target);
+            this._updatePenSkinFor(target);
+            if (!penState._listenerRegistered) {
+                target.addListener(RenderedTarget.EVENT_TARGET_MOVED, this.onTargetMoved);
+                penState._listenerRegistered = true;
+            }
+        }
+        // Change the reference point to the drawing position.
+        penState.referencePoint = null;
+    }
 
-        // Calculate pivot point (rotation center) relative to the image top-left
-        // drawableData.x/y is the top-left corner in canvas pixels
-        // (canvasWidth/2, canvasHeight/2) is the center of the canvas, where we placed the drawable's rotation center
-        const pivotX = (canvasWidth / 2) - drawableData.x;
-        const pivotY = (canvasHeight / 2) - drawableData.y;
+    /**
+     * Apply the fill attributes of the pen to the element.
+     * @param {Element} element - the element to fill.
+     * @param {object} penState - the pen state.
+     */
+    _applyFillTo (element, penState) {
+        const attributes = penState.penAttributes;
+        if (attributes.fillOpacity <= 0 || attributes.fillMode !== VPenBlocks.FILL_MODES.SOLID) {
+            // Hatches are drawn as lines when the shape is closed.
+            element.fill('none');
+            return;
+        }
+        element.fill({
+            color: attributes.fillGradient ?
+                this._gradientIn(penState.drawing, attributes.fillGradient).url() :
+                attributes.fillColor3b,
+            opacity: attributes.fillOpacity,
+            rule: attributes.fillRule
+        });
+    }
 
-        // Convert pivot to Stage Units (at 100% scale)
-        const naturalPivotX = (pivotX / stageResolution[0]) / resolutionScale;
-        const naturalPivotY = (pivotY / stageResolution[1]) / resolutionScale;
+    /**
+     * Apply the fill attributes of the pen to the current line of the target.
+     * @param {Target} target - the target which is drawing the line.
+     */
+    _updatePenPathFillFor (target) {
+        const penState = this._getPenState(target);
+        if (!penState.penPath || penState.widthSamples) {
+            // The line of variable width is filled with the pen color.
+            return;
+        }
+        this._applyFillTo(penState.penPath, penState);
+        this._updatePenSkinFor(target);
+    }
 
-        // Final size based on target size
-        const finalWidth = naturalWidth * (target.size / 100);
-        const finalHeight = naturalHeight * (target.size / 100);
-        
-        const finalPivotX = naturalPivotX * (target.size / 100);
-        const finalPivotY = naturalPivotY * (target.size / 100);
+    /**
+     * Draw the hatch lines inside the closed shape by the fill mode of the pen.
+     * The hatch is put just before the shape, so the outline is drawn over it.
+     * @param {Element} shape - the closed shape to hatch.
+     * @param {object} penState - the pen state.
+     * @returns {Path?} - the hatch path or null if the fill mode is not hatch.
+     */
+    _hatchInside (shape, penState) {
+        const attributes = penState.penAttributes;
+        if (attributes.fillOpacity <= 0 || attributes.fillMode === VPenBlocks.FILL_MODES.SOLID) {
+            return null;
+        }
+        const outlines = elementToPolylines(shape, {
+            tolerance: VPenBlocks.FLATTENING_TOLERANCE * this.stepPerMM,
+            ignoreDashes: true
+        })
+            .map(polyline => polyline.points);
+        const spacing = attributes.hatchSpacing * this.stepPerMM;
+        // The angle is counterclockwise on the stage where the y-axis is upward.
+        const angle = -attributes.hatchAngle * Math.PI / 180;
+        let segments = hatchLines(outlines, spacing, angle, attributes.fillRule);
+        if (attributes.fillMode === VPenBlocks.FILL_MODES.CROSS_HATCH) {
+            segments = segments.concat(hatchLines(outlines, spacing, angle - (Math.PI / 2), attributes.fillRule));
+        }
+        if (segments.length === 0) {
+            return null;
+        }
+        const hatch = shape.parent().path(segments.reduce((pathArray, [from, to]) => pathArray.concat([
+            ['M', ...from],
+            ['L', ...to]
+        ]), []));
+        hatch
+            .addClass(VPenBlocks.HATCH_CLASS)
+            .fill('none')
+            .stroke({
+                width: attributes.diameter * this.stepPerMM,
+                color: attributes.fillGradient ?
+                    this._gradientIn(penState.drawing, attributes.fillGradient).url() :
+                    attributes.fillColor3b,
+                opacity: attributes.fillOpacity,
+                linecap: VPenBlocks.LINE_CAPS.ROUND
+            });
+        // The outlines are in the coordinates of the parent, so the hatch has no transform of the shape.
+        shape.before(hatch);
+        this._fitGradientsTo(hatch);
+        return hatch;
+    }
 
-        stamp.size(finalWidth, finalHeight);
+    /**
+     * Return the gradient element of the gradient in the defs of the drawing.
+     * The element is made if it does not exist. Its ID is made from the gradient,
+     * so the same gradient shares the element.
+     * @param {Container} drawing - the drawing to use the gradient in.
+     * @param {object} gradient - the gradient.
+     * @param {string} gradient.type - the type of the gradient.
+     * @param {Array.<{color3b: object, opacity: number}>} gradient.stops - the colors at the start and the end.
+     * @param {number} gradient.angle - the direction of the linear gradient in the same way as sprites.
+     * @returns {Gradient} - the gradient element.
+     */
+    _gradientIn (drawing, gradient) {
+        const key = JSON.stringify(gradient);
+        let hash = 5381;
+        for (let i = 0; i < key.length; i++) {
+            hash = ((hash * 33) ^ key.charCodeAt(i)) >>> 0;
+        }
+        const id = `xcxVPenGradient${hash.toString(36)}`;
+        const defs = drawing.root().defs();
+        if (defs.position() > 0) {
+            // Keep the defs first so that the last child is the last drawing.
+            defs.back();
+        }
+        const existing = defs.findOne(`#${id}`);
+        if (existing) {
+            return existing;
+        }
+        const gradientElement = defs.gradient(gradient.type, add => {
+            gradient.stops.forEach((stop, index) => {
+                add.stop(index / (gradient.stops.length - 1), new Color(stop.color3b).toHex(), stop.opacity);
+            });
+        }).id(id);
+        if (gradient.type === VPenBlocks.GRADIENT_TYPES.LINEAR) {
+            // The direction is on the stage where 0 is up and 90 is right.
+            const radians = gradient.angle * Math.PI / 180;
+            const dx = Math.sin(radians) / 2;
+            const dy = -Math.cos(radians) / 2;
+            gradientElement
+                .from(0.5 - dx, 0.5 - dy)
+                .to(0.5 + dx, 0.5 + dy);
+        }
+        return gradientElement;
+    }
 
-        // Position
-        const [cx, cy] = this._mapToSVGViewBox(target.x, target.y);
-        // Center the image using the pivot point
-        stamp.move(cx - finalPivotX, cy - finalPivotY);
-        
-        // Opacity
-        stamp.opacity((100 - target.effects.ghost) / 100);
+    /**
+     * Paint the path with the gradients in its user space when the bounding box has no width or height.
+     * A gradient in the bounding box is not rendered on a straight horizontal or vertical line,
+     * so the path uses a copy of the gradient which is fitted to the line and its stroke width.
+     * @param {Element} element - the element which may be painted with gradients.
+     * @param {{x: number, y: number, width: number, height: number}} [box] - the bounding box of the path
+     *     in the SVG, which is measured from the path if it is omitted.
+     */
+    _fitGradientsTo (element, box) {
+        if (element.type !== 'path' || element.array().length < 2) {
+            // Only a path can be a straight line, and a path of only the start is not drawn yet.
+            return;
+        }
+        const references = ['fill', 'stroke']
+            .map(part => ({part, reference: /^url\(#([^)]+)\)$/.exec(element.attr(part))}))
+            .filter(paint => paint.reference);
+        if (references.length === 0) {
+            return;
+        }
+        if (!box) {
+            const bounds = this._growBounds(null, pathToPolylines(element.array(),
+                VPenBlocks.FLATTENING_TOLERANCE * this.stepPerMM));
+            box = {
+                x: bounds.minX,
+                y: bounds.minY,
+                width: bounds.maxX - bounds.minX,
+                height: bounds.maxY - bounds.minY
+            };
+        }
+        const isStraight = box.width === 0 || box.height === 0;
+        const root = element.root();
+        references.forEach(({part, reference}) => {
+            const gradient = root.findOne(`#${reference[1]}`);
+            if (!gradient) {
+                return;
+            }
+            const sourceID = gradient.attr('data-source') || gradient.id();
+            if (!isStraight) {
+                element.attr(part, `url(#${sourceID})`);
+                return;
+            }
+            const source = root.findOne(`#${sourceID}`);
+            if (!source) {
+                return;
+            }
+            const fittedID = `${element.id()}${part}Gradient`;
+            let fitted = root.findOne(`#${fittedID}`);
+            if (!fitted) {
+                fitted = source.clone(true, false)
+                    .id(fittedID)
+                    .attr({'data-source': sourceID, 'gradientUnits': 'userSpaceOnUse'});
+                source.after(fitted);
+            }
+            // Spread the gradient over a square around the line as if the missing side had the same length.
+            const size = Math.max(box.width, box.height) || Number(element.attr('stroke-width')) || 1;
+            const left = box.x + (box.width / 2) - (size / 2);
+            const top = box.y + (box.height / 2) - (size / 2);
+            const toX = fraction => left + (fraction * size);
+            const toY = fraction => top + (fraction * size);
+            if (source.type === 'linearGradient') {
+                fitted.attr({
+                    x1: toX(source.attr('x1')),
+                    y1: toY(source.attr('y1')),
+                    x2: toX(source.attr('x2')),
+                    y2: toY(source.attr('y2'))
+                });
+            } else {
+                fitted.attr({cx: toX(0.5), cy: toY(0.5), r: size / 2});
+            }
+            element.attr(part, `url(#${fittedID})`);
+        });
+    }
 
-        this._updatePenSkinFor(target);
+    /**
+     * Return the bounds which are grown to include the points of the polylines.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}?} bounds - the bounds to grow or null.
+     * @param {Array.<{points: Array.<Array.<number>>}>} polylines - the polylines to include.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} - the grown bounds.
+     */
+    _growBounds (bounds, polylines) {
+        return polylines.reduce((grown, polyline) => polyline.points.reduce((b, [x, y]) => ({
+            minX: Math.min(b.minX, x),
+            minY: Math.min(b.minY, y),
+            maxX: Math.max(b.maxX, x),
+            maxY: Math.max(b.maxY, y)
+        }), grown), bounds || {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity});
     }
 
     /**
-     * Move drawing to the front layer.
-     * @param {number} drawableID - the drawable to move.
+     * Return the bounding box of the pen path which is being drawn.
+     * The bounds are grown only with the segments added after the last measurement.
+     * The last two segments are measured every time because the next move may change them,
+     * such as the reference line of the plotter pen or the end of a curve.
+     * @param {object} penState - the pen state which has the pen path.
+     * @returns {{x: number, y: number, width: number, height: number}} - the bounding box in the SVG.
      */
-    _moveLayerToFront (drawableID) {
-        // RenderWebGL.setDrawableOrder() has a bug which breaks the order of groups when moving drawable up.
-        // So we move the drawable up under the sprite layer.
-        const renderer = this.runtime.renderer;
-        const topOrder = renderer._layerGroups[StageLayering.SPRITE_LAYER].drawListOffset - 1;
-        renderer.setDrawableOrder(drawableID, topOrder, StageLayering.PEN_LAYER, false);
+    _penPathBoxFor (penState) {
+        const plots = penState.penPath.array();
+        const tolerance = VPenBlocks.FLATTENING_TOLERANCE * this.stepPerMM;
+        const fixedCount = Math.max(1, plots.length - 2);
+        let measured = penState.penPathBounds;
+        if (!measured || measured.path !== penState.penPath || measured.count > fixedCount) {
+            measured = {
+                path: penState.penPath,
+                count: 1,
+                bounds: null,
+                cursor: plots[0].slice(1, 3),
+                subpathStart: plots[0].slice(1, 3)
+            };
+            penState.penPathBounds = measured;
+        }
+        if (measured.count < fixedCount) {
+            const segments = plots.slice(measured.count, fixedCount);
+            measured.bounds = this._growBounds(measured.bounds,
+                pathToPolylines([['M', ...measured.cursor], ...segments], tolerance));
+            segments.forEach(segment => {
+                if (segment[0] === 'Z') {
+                    measured.cursor = measured.subpathStart;
+                    return;
+                }
+                measured.cursor = segment.slice(-2);
+                if (segment[0] === 'M') {
+                    measured.subpathStart = measured.cursor;
+                }
+            });
+            measured.count = fixedCount;
+        }
+        const bounds = this._growBounds(measured.bounds,
+            pathToPolylines([['M', ...measured.cursor], ...plots.slice(fixedCount)], tolerance));
+        return {
+            x: bounds.minX,
+            y: bounds.minY,
+            width: bounds.maxX - bounds.minX,
+            height: bounds.maxY - bounds.minY
+        };
     }
 
     /**
-     * Move drawing to the back layer.
-     * @param {number} drawableID - the drawable to move.
+     * Copy the drawing of the pen state to the container.
+     * The gradients which are used in the drawing are copied to the defs of the container.
+     * @param {object} penState - the pen state which has the drawing.
+     * @param {Container} container - the container to copy to.
+     * @returns {number} - the number of the copied elements.
      */
-    _moveLayerToBack (drawableID) {
-        this.runtime.renderer.setDrawableOrder(drawableID, -Infinity, StageLayering.PEN_LAYER, false);
+    _copyDrawingTo (penState, container) {
+        const drawings = penState.drawing.children().filter(child => child.type !== 'defs');
+        drawings.forEach(child => {
+            container.add(child.clone());
+        });
+        const sourceRoot = penState.drawing.root();
+        const usedIDs = new Set();
+        drawings.forEach(child => {
+            const markup = child.svg();
+            const references = markup.match(/url\(#[^)]+\)/g) || [];
+            references.forEach(reference => usedIDs.add(reference.slice(5, -1)));
+        });
+        usedIDs.forEach(id => {
+            const definition = sourceRoot.findOne(`#${id}`);
+            if (definition && !container.root().findOne(`#${id}`)) {
+                container.root().defs()
+                    .add(definition.clone(true, false));
+            }
+        });
+        return drawings.length;
     }
 
     /**
-     * Move drawing forward a number of layers.
-     * @param {number} drawableID - the drawable to move.
-     * @param {number} nLayers How many layers to go forward.
+     * Draw a shape centered on the target with the pen attributes.
+     * The shape is rotated by the direction of the target.
+     * @param {Target} target - the target to draw the shape for.
+     * @param {function} createShape - a function which makes the shape in the drawing
+     *  centered on the given point (drawing, cx, cy) => Element.
+     * @returns {Element} - the shape.
      */
-    _moveLayerUp (drawableID, nLayers) {
-        // RenderWebGL.setDrawableOrder() has a bug which breaks the order of groups when moving drawable up.
-        // So we move the drawable up under the sprite layer.
-        const renderer = this.runtime.renderer;
-        const drawableOrder = renderer.getDrawableOrder(drawableID);
-        const topOrder = renderer._layerGroups[StageLayering.SPRITE_LAYER].drawListOffset - 1;
-        nLayers = Math.min(nLayers, topOrder - drawableOrder);
-        renderer.setDrawableOrder(drawableID, nLayers, StageLayering.PEN_LAYER, true);
+    _drawShapeFor (target, createShape) {
+        const penState = this._getPenState(target);
+        const [cx, cy] = this._mapToSVGViewBox(target.x, target.y);
+        const shape = createShape(penState.drawing, cx, cy);
+        this._applyPenAttributesTo(shape, penState);
+        if (target.direction !== 90) {
+            shape.attr('transform', `rotate(${target.direction - 90} ${cx} ${cy})`);
+        }
+        this._fitGradientsTo(shape);
+        this._hatchInside(shape, penState);
+        this._updatePenSkinFor(target);
+        return shape;
     }
 
     /**
-     * Move drawing backward a number of layers.
-     * @param {number} drawableID - the drawable to move.
-     * @param {number} nLayers How many layers to go backward.
+     * Return the vertices of a star or a regular polygon around the center.
+     * The first vertex is on the right of the center.
+     * @param {number} cx - the x of the center.
+     * @param {number} cy - the y of the center.
+     * @param {Array.<number>} radii - the radii of the vertices in turn.
+     * @param {number} count - the number of the vertices.
+     * @returns {Array.<Array.<number>>} - the vertices [x, y].
      */
-    _moveLayerDown (drawableID, nLayers) {
-        this._moveLayerUp(drawableID, -nLayers);
+    _radialVertices (cx, cy, radii, count) {
+        const vertices = [];
+        for (let i = 0; i < count; i++) {
+            const angle = 2 * Math.PI * i / count;
+            const radius = radii[i % radii.length];
+            vertices.push([cx + (radius * Math.cos(angle)), cy + (radius * Math.sin(angle))]);
+        }
+        return vertices;
     }
 
     /**
-     * Change the layer of the drawing.
+     * Draw a rectangle centered on the sprite.
      * @param {object} args - the block arguments.
+     * @param {number} args.WIDTH - the width [mm].
+     * @param {number} args.HEIGHT - the height [mm].
      * @param {object} util - utility object provided by the runtime.
-     * @param {string} args.LAYER - the layer name to change to.
      */
-    changeLayerTo (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        const layer = args.LAYER;
-        if (layer === VPenBlocks.CHANGE_LAYER.TOP) {
-            this._moveLayerToFront(penState.drawableID);
-        } else if (layer === VPenBlocks.CHANGE_LAYER.BOTTOM) {
-            this._moveLayerToBack(penState.drawableID);
+    drawRectangle (args, util) {
+        const width = Cast.toNumber(args.WIDTH) * this.stepPerMM;
+        const height = Cast.toNumber(args.HEIGHT) * this.stepPerMM;
+        if (width <= 0 || height <= 0) {
+            return;
         }
-        this.runtime.requestRedraw();
+        this._drawShapeFor(util.target, (drawing, cx, cy) => drawing
+            .rect(width, height)
+            .move(cx - (width / 2), cy - (height / 2)));
     }
 
     /**
-     * Move the drawing a number of layers.
+     * Draw an ellipse centered on the sprite.
      * @param {object} args - the block arguments.
+     * @param {number} args.WIDTH - the width [mm].
+     * @param {number} args.HEIGHT - the height [mm].
      * @param {object} util - utility object provided by the runtime.
-     * @param {number} args.LAYERS - the number of layers to move.
-     * @param {string} args.DIRECTION - the direction to move.
      */
-    moveLayerBy (args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        const layerCount = Cast.toNumber(args.LAYERS);
-        if (args.DIRECTION === VPenBlocks.MOVE_LAYER.UP) {
-            this._moveLayerUp(penState.drawableID, layerCount);
-        } else if (args.DIRECTION === VPenBlocks.MOVE_LAYER.DOWN) {
-            this._moveLayerDown(penState.drawableID, layerCount);
+    drawEllipse (args, util) {
+        const width = Cast.toNumber(args.WIDTH) * this.stepPerMM;
+        const height = Cast.toNumber(args.HEIGHT) * this.stepPerMM;
+        if (width <= 0 || height <= 0) {
+            return;
         }
-        this.runtime.requestRedraw();
+        this._drawShapeFor(util.target, (drawing, cx, cy) => drawing
+            .ellipse(width, height)
+            .center(cx, cy));
     }
 
     /**
-     * Get the order of the drawing in the all drawable.
-     * @param {object} target - the target to get the order for.
-     * @returns {number} - the order of the drawing.
+     * Draw a circle centered on the sprite.
+     * @param {object} args - the block arguments.
+     * @param {number} args.RADIUS - the radius [mm].
+     * @param {object} util - utility object provided by the runtime.
      */
-    _getDrawableOrderFor (target) {
-        const penState = this._penStates[target.id];
-        if (!penState) {
-            return -1;
-        }
-        const renderer = this.runtime.renderer;
-        return renderer.getDrawableOrder(penState.drawableID);
+    drawCircle (args, util) {
+        const diameter = Cast.toNumber(args.RADIUS) * 2;
+        this.drawEllipse({WIDTH: diameter, HEIGHT: diameter}, util);
     }
 
     /**
-     * Show the drawing of this sprite.
-     * @param {object} _args - the block arguments.
+     * Draw a regular polygon centered on the sprite.
+     * A vertex is in the direction of the sprite.
+     * @param {object} args - the block arguments.
+     * @param {number} args.SIDES - the number of the sides.
+     * @param {number} args.RADIUS - the distance from the center to the vertices [mm].
      * @param {object} util - utility object provided by the runtime.
      */
-    showDrawing (_args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        if (penState.isVisible) {
-            return; // Already visible
-        }
-        penState.isVisible = true;
-        if (penState.drawableID >= 0) {
-            this.runtime.renderer.updateDrawableVisible(penState.drawableID, true);
-            this.runtime.requestRedraw();
+    drawPolygon (args, util) {
+        const sides = Math.round(Cast.toNumber(args.SIDES));
+        const radius = Cast.toNumber(args.RADIUS) * this.stepPerMM;
+        if (sides < 3 || radius <= 0) {
+            return;
         }
+        this._drawShapeFor(util.target, (drawing, cx, cy) => drawing
+            .polygon(this._radialVertices(cx, cy, [radius], sides)));
     }
 
     /**
-     * Hide the drawing of this sprite.
-     * @param {object} _args - the block arguments.
+     * Draw a star centered on the sprite.
+     * A point is in the direction of the sprite.
+     * @param {object} args - the block arguments.
+     * @param {number} args.POINTS - the number of the points.
+     * @param {number} args.OUTER - the distance from the center to the points [mm].
+     * @param {number} args.INNER - the distance from the center to the inner corners [mm].
      * @param {object} util - utility object provided by the runtime.
      */
-    hideDrawing (_args, util) {
-        const target = util.target;
-        const penState = this._getPenState(target);
-        if (!penState.isVisible) {
-            return; // Already hidden
-        }
-        penState.isVisible = false;
-        if (penState.drawableID >= 0) {
-            this.runtime.renderer.updateDrawableVisible(penState.drawableID, false);
-            this.runtime.requestRedraw();
+    drawStar (args, util) {
+        const points = Math.round(Cast.toNumber(args.POINTS));
+        const outer = Cast.toNumber(args.OUTER) * this.stepPerMM;
+        const inner = Cast.toNumber(args.INNER) * this.stepPerMM;
+        if (points < 2 || outer <= 0 || inner < 0) {
+            return;
         }
+        this._drawShapeFor(util.target, (drawing, cx, cy) => drawing
+            .polygon(this._radialVertices(cx, cy, [outer, inner], points * 2)));
     }
 
     /**
-     * Returns whether the drawing of this sprite is visible.
-     * @param {object} _args - the block arguments.
+     * Draw an arc to the position and move the sprite there.
+     * @param {object} args - the block arguments.
+     * @param {number} args.X - the x position of the end.
+     * @param {number} args.Y - the y position of the end.
+     * @param {number} args.RADIUS - the radius of the arc.
+     * @param {string} args.SWEEP - the direction to sweep the arc.
+     * @param {string} args.ARC_SIZE - the arc which is smaller or larger than a semicircle.
      * @param {object} util - utility object provided by the runtime.
-     * @returns {boolean} - true if the drawing is visible.
      */
-    isDrawingShown (_args, util) {
-        const target = util.target;
-        const penState = this._penStateFor(target);
-        if (!penState) {
-            return true; // Default is visible
-        }
-        return penState.isVisible;
+    arcTo (args, util) {
+        const [x, y] = this._snapToGrid(Cast.toNumber(args.X), Cast.toNumber(args.Y));
+        const radius = Math.abs(Cast.toNumber(args.RADIUS));
+        const largeArcFlag = (args.ARC_SIZE === VPenBlocks.ARC_SIZES.LARGE) ? 1 : 0;
+        // The y axis of the SVG is upside down, so the sweep flag 1 is clockwise on the stage.
+        const sweepFlag = (args.SWEEP === VPenBlocks.ARC_SWEEPS.COUNTERCLOCKWISE) ? 0 : 1;
+        this._addSegmentFor(
+            util.target,
+            ['A', radius, radius, 0, largeArcFlag, sweepFlag, ...this._mapToSVGViewBox(x, y)],
+            x, y);
     }
 
     /**
-     * Clears the pen layer's contents.
+     * Draw a cubic Bézier curve to the position and move the sprite there.
+     * @param {object} args - the block arguments.
+     * @param {number} args.X1 - the x position of the first control point.
+     * @param {number} args.Y1 - the y position of the first control point.
+     * @param {number} args.X2 - the x position of the second control point.
+     * @param {number} args.Y2 - the y position of the second control point.
+     * @param {number} args.X - the x position of the end.
+     * @param {number} args.Y - the y position of the end.
+     * @param {object} util - utility object provided by the runtime.
      */
-    clearAll () {
-        this.runtime.targets.forEach(target => {
-            this._clearForTarget(target);
-        });
+    curveTo (args, util) {
+        const [x, y] = this._snapToGrid(Cast.toNumber(args.X), Cast.toNumber(args.Y));
+        this._addSegmentFor(
+            util.target,
+            [
+                'C',
+                ...this._mapToSVGViewBox(Cast.toNumber(args.X1), Cast.toNumber(args.Y1)),
+                ...this._mapToSVGViewBox(Cast.toNumber(args.X2), Cast.toNumber(args.Y2)),
+                ...this._mapToSVGViewBox(x, y)
+            ],
+            x, y);
     }
 
     /**
-     * Save the drawing as an SVG file.
-     * @param {SVG} svg - the SVG drawing.
-     * @param {string} fileName - the name of the file to save.
-     * @returns {Promise} - a promise that resolves after the file has been saved.
+     * Write text from the sprite in the direction of it.
+     * The text is drawn as paths, so it does not depend on fonts in the exported files.
+     * @param {object} args - the block arguments.
+     * @param {string} args.TEXT - the text to write.
+     * @param {string} args.TEXT_STYLE - the style of the text.
+     * @param {number} args.SIZE - the height of capital letters [mm].
+     * @param {object} util - utility object provided by the runtime.
      */
-    _saveSVGAsFile (svg, fileName) {
-        const saveData = svg
-            .size(
-                `${this.stageWidth / this.stepPerMM}mm`,
-                `${this.stageHeight / this.stepPerMM}mm`
-            )
-            .svg();
-        const blob = new Blob([saveData], {type: 'application/octet-stream'});
-        return FileSaver.saveAs(blob, `${fileName}.svg`);
+    writeText (args, util) {
+        const size = Cast.toNumber(args.SIZE) * this.stepPerMM;
+        const text = Cast.toString(args.TEXT);
+        if (size <= 0 || text.trim() === '') {
+            return;
+        }
+        const penState = this._getPenState(util.target);
+        const strokes = textToPolylines(text, VPenBlocks.FLATTENING_TOLERANCE * this.stepPerMM / size);
+        const isOutline = args.TEXT_STYLE === VPenBlocks.TEXT_STYLES.OUTLINE;
+        const strokeWidth = penState.penAttributes.diameter * this.stepPerMM;
+        const shape = this._drawShapeFor(util.target, (drawing, cx, cy) => {
+            const polylines = strokes.map(stroke => ({
+                points: stroke.points.map(point => [cx + (point[0] * size), cy + (point[1] * size)]),
+                closed: stroke.closed
+            }));
+            if (isOutline) {
+                return drawing.path(outlinePathData(polylines, strokeWidth));
+            }
+            return drawing.path(polylines
+                .map(polyline => {
+                    const lines = polyline.points.map(point => point.join(' ')).join('L');
+                    return `M${lines}${polyline.closed ? 'Z' : ''}`;
+                })
+                .join(''));
+        });
+        if (isOutline) {
+            shape
+                .fill({
+                    color: penState.penAttributes.color3b,
+                    opacity: penState.penAttributes.opacity
+                })
+                .stroke('none');
+        } else {
+            shape.fill('none');
+        }
     }
 
     /**
-     * Save the drawing as a PDF file.
-     * @param {SVG} svg - the SVG drawing.
-     * @param {string} fileName - the name of the file to save.
-     * @returns {Promise<string>} - a promise that resolves after the file has been saved.
+     * Draw a path by the path data relative to the sprite in the direction of it.
+     * The y-axis of the path data is upward as the stage.
+     * @param {object} args - the block arguments.
+     * @param {string} args.D - the path data.
+     * @param {string} args.UNIT - the unit of the coordinates.
+     * @param {object} util - utility object provided by the runtime.
      */
-    async _savePDFAsFile (svg, fileName) {
+    drawPath (args, util) {
+        let pathData = Cast.toString(args.D);
+        if (/^\s*[LHVCSQTAZ]/i.test(pathData)) {
+            // Path data without moveto starts from the sprite.
+            pathData = `M 0 0 ${pathData}`;
+        }
+        let pathArray;
         try {
-            const widthMM = this.stageWidth / this.stepPerMM;
-            const heightMM = this.stageHeight / this.stepPerMM;
-            
-            // Create PDF with custom size in mm
-            const pdf = new jsPDF({
-                orientation: widthMM > heightMM ? 'landscape' : 'portrait',
-                unit: 'mm',
-                format: [widthMM, heightMM]
-            });
-            
-            // Get SVG string and parse it
-            const svgString = svg
-                .size(`${widthMM}mm`, `${heightMM}mm`)
-                .svg();
-            const parser = new DOMParser();
-            const svgElement = parser.parseFromString(svgString, 'image/svg+xml').documentElement;
-            
-            // Add SVG to PDF
-            await pdf.svg(svgElement, {
-                x: 0,
-                y: 0,
-                width: widthMM,
-                height: heightMM
-            });
-            
-            // Save PDF
-            pdf.save(`${fileName}.pdf`);
-            return 'saved';
+            pathArray = new PathArray(pathData);
         } catch (error) {
-            console.error('Error saving PDF:', error);
-            return 'error';
+            // Invalid path data draws nothing.
+            return;
+        }
+        if (!pathArray.some(segment => segment[0] !== 'M')) {
+            return;
         }
+        const scale = (args.UNIT === VPenBlocks.PATH_UNITS.MM) ? this.stepPerMM : 1;
+        this._drawShapeFor(util.target, (drawing, cx, cy) => drawing
+            .path(this._mapPathArrayToSVG(pathArray, cx, cy, scale)));
     }
 
     /**
-     * Add the sprite drawing group to the SVG if the sprite has a drawing.
-     * @param {Target} target - the target to add the sprite drawing for.
-     * @param {Container} svgContainer - the SVG container to add the sprite drawing to.
-     * @param {object} [options] - options for adding the drawing.
-     * @param {boolean} [options.includeHidden=false] - if true, include hidden drawings with visibility attribute.
-     * @returns {Container?} - a new group for the sprite drawing or null.
+     * Map the path array relative to a point on the stage to the SVG.
+     * @param {PathArray} pathArray - the path array in absolute commands with the upward y-axis.
+     * @param {number} cx - the x of the point in the SVG.
+     * @param {number} cy - the y of the point in the SVG.
+     * @param {number} scale - the length in the SVG of one unit of the path array.
+     * @returns {Array.<Array>} - the path array in the SVG.
      */
-    _addSpriteDrawingTo (target, svgContainer, options = {}) {
-        const {includeHidden = false} = options;
-        const penState = this._penStateFor(target);
-        if (!penState || !penState.drawing) {
-            return null;
-        }
-        // Skip hidden drawings unless includeHidden is true
-        if (!penState.isVisible && !includeHidden) {
-            return null;
-        }
-        const drawings = penState.drawing.children();
-        if (drawings.length === 0) {
-            return null;
-        }
-        const spriteGroup = svgContainer.group();
-        spriteGroup.id(target.sprite.name);
-        if (!penState.isVisible) {
-            spriteGroup.attr('style', 'display:none');
-        }
-        drawings.forEach(child => {
-            spriteGroup.add(child.clone());
+    _mapPathArrayToSVG (pathArray, cx, cy, scale) {
+        const mapPoint = (x, y) => [cx + (x * scale), cy - (y * scale)];
+        return pathArray.map(([command, ...params]) => {
+            if (command === 'H') {
+                return ['H', cx + (params[0] * scale)];
+            }
+            if (command === 'V') {
+                return ['V', cy - (params[0] * scale)];
+            }
+            if (command === 'A') {
+                // Flipping the y-axis reverses the rotation and the sweep of the arc.
+                return [
+                    'A',
+                    params[0] * scale,
+                    params[1] * scale,
+                    -params[2],
+                    params[3],
+                    params[4] ? 0 : 1,
+                    ...mapPoint(params[5], params[6])
+                ];
+            }
+            const mapped = [command];
+            for (let i = 0; i < params.length; i += 2) {
+                mapped.push(...mapPoint(params[i], params[i + 1]));
+            }
+            return mapped;
         });
-        return spriteGroup;
     }
 
     /**
-     * Save the sprite drawing as an SVG or PDF file.
+     * The pen "pen down" block causes the target to leave pen trails on future motion.
      * @param {object} args - the block arguments.
      * @param {object} util - utility object provided by the runtime.
-     * @returns {string|Promise<string>} - the result of saving the sprite drawing.
      */
-    downloadSpriteDrawing (args, util) {
+    penDown (args, util) {
         const target = util.target;
-        let fileName = Cast.toString(args.FILENAME);
-        const format = args.FORMAT || 'svg';
-        const penState = this._penStateFor(target);
-        if (!penState || !penState.drawing) {
-            return 'no drawing';
+        const penState = this._getPenState(target);
+        if (penState.penPath) {
+            if (penState.penType === args.PEN_TYPE) {
+                // If there's already a same type line started, nothing to do.
+                return;
+            }
+            this.penUp(args, util);
         }
-        // eslint-disable-next-line no-alert
-        if (fileName === null || fileName === '') {
-            fileName = target.sprite.name;
+        penState.penType = args.PEN_TYPE;
+        if (penState.penType === VPenBlocks.PEN_TYPES.TRAIL) {
+            this._startPenPath(target);
         }
-        const saveSVG = this._createDrawingSVG();
-        const includeHidden = format !== 'pdf';
-        this._addSpriteDrawingTo(target, saveSVG, {includeHidden});
-        
-        if (format === 'pdf') {
-            return this._savePDFAsFile(saveSVG, fileName);
+        this._updatePenSkinFor(target);
+        if (!penState._listenerRegistered) {
+            target.addListener(RenderedTarget.EVENT_TARGET_MOVED, this.onTargetMoved);
+            penState._listenerRegistered = true;
         }
-        return this._saveSVGAsFile(saveSVG, fileName);
     }
 
     /**
-     * Save the sprite drawing as a PDF file.
+     * The pen "pen up" block stops the target from leaving pen trails.
      * @param {object} args - the block arguments.
      * @param {object} util - utility object provided by the runtime.
-     * @returns {Promise<string>} - the result of saving the sprite drawing.
      */
-    downloadSpriteDrawingAsPDF (args, util) {
+    penUp (args, util) {
         const target = util.target;
-        let fileName = Cast.toString(args.FILENAME);
         const penState = this._penStateFor(target);
-        if (!penState || !penState.drawing) {
-            return 'no drawing';
+        if (!penState || !penState.penPath) {
+            // If there's no line started, there's nothing to end.
+            return;
         }
-        // eslint-disable-next-line no-alert
-        if (fileName === null || fileName === '') {
-            fileName = target.sprite.name;
+        this._finishPen(penState);
+        this._updatePenSkinFor(target);
+        if (penState._listenerRegistered) {
+            target.removeListener(RenderedTarget.EVENT_TARGET_MOVED, this.onTargetMoved);
+            penState._listenerRegistered = false;
         }
-        const saveSVG = this._createDrawingSVG();
-        this._addSpriteDrawingTo(target, saveSVG);
-        return this._savePDFAsFile(saveSVG, fileName);
     }
 
     /**
-     * Save all drawings as an SVG or PDF file.
-     * @param {object} args - the block arguments.
-     * @param {string} args.FILENAME - the name of the file to save.
-     * @param {string} args.FORMAT - the format to save (svg or pdf).
+     * Clears the drawings of this target.
+     * @param {object} _args - the block arguments.
      * @param {object} util - utility object provided by the runtime.
-     * @returns {string|Promise<string>} - the result of saving the drawing.
      */
-    downloadAllDrawing (args, util) {
-        // eslint-disable-next-line no-alert
-        let fileName = Cast.toString(args.FILENAME);
-        const format = args.FORMAT || 'svg';
-        if (fileName === null || fileName === '') {
-            fileName = 'vpen';
-        }
-        const saveSVG = this._createDrawingSVG();
-        const includeHidden = format !== 'pdf';
-        const saveTargets = util.runtime.targets
-            .filter(target => target.isSprite())
-            .sort((a, b) => this._getDrawableOrderFor(a) - this._getDrawableOrderFor(b));
-        if (saveTargets.length === 0) {
-            return 'no drawing';
-        }
-        saveTargets.forEach(target => {
-            this._addSpriteDrawingTo(target, saveSVG, {includeHidden});
-        });
-        if (saveSVG.children().length === 0) {
-            return 'no drawing';
-        }
-        
-        if (format === 'pdf') {
-            return this._savePDFAsFile(saveSVG, fileName);
-        }
-        return this._saveSVGAsFile(saveSVG, fileName);
+    clear (_args, util) {
+        const target = util.target;
+        this._clearForTarget(target);
     }
 
     /**
-     * Save all drawings as a PDF file.
+     * Set the pen color by color tool.
      * @param {object} args - the block arguments.
-     * @param {string} args.FILENAME - the name of the file to save.
+     * @param {string|number} args.COLOR - the color to set the pen to.
      * @param {object} util - utility object provided by the runtime.
-     * @returns {Promise<string>} - the result of saving the PDF drawing.
      */
-    downloadAllDrawingAsPDF (args, util) {
-        // eslint-disable-next-line no-alert
-        let fileName = Cast.toString(args.FILENAME);
-        if (fileName === null || fileName === '') {
-            fileName = 'vpen';
-        }
-        const saveSVG = this._createDrawingSVG();
-        const saveTargets = util.runtime.targets
-            .filter(target => target.isSprite())
-            .sort((a, b) => this._getDrawableOrderFor(a) - this._getDrawableOrderFor(b));
-        if (saveTargets.length === 0) {
-            return 'no drawing';
+    setPenColorToColor (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        const rgba = Cast.toRgbColorObject(args.COLOR);
+        const opacity = 1 - ((rgba.a ? rgba.a : 0) / 255);
+        if (!penState.penAttributes.strokeGradient &&
+            penState.penAttributes.color3b.r === rgba.r &&
+            penState.penAttributes.color3b.g === rgba.g &&
+            penState.penAttributes.color3b.b === rgba.b &&
+            penState.penAttributes.opacity === opacity) {
+            // No change.
+            return;
         }
-        saveTargets.forEach(target => {
-            this._addSpriteDrawingTo(target, saveSVG);
-        });
-        if (saveSVG.children().length === 0) {
-            return 'no drawing';
+        penState.penAttributes.color3b = {
+            r: rgba.r,
+            g: rgba.g,
+            b: rgba.b
+        };
+        penState.penAttributes.opacity = opacity;
+        penState.penAttributes.strokeGradient = null;
+        const penPath = penState.penPath;
+        if (penPath) {
+            // If there's a pen line started, end it and start a new one.
+            this._startPenPath(target);
         }
-        return this._savePDFAsFile(saveSVG, fileName);
     }
 
     /**
-     * Remove the last drawing of the sprite.
-     * @param {object} _args - the block arguments.
-     * @param {object} util - utility object provided by the runtime.
+     * Set a gradient to the pen or the fill.
+     * @param {Target} target - the target to set the gradient for.
+     * @param {string} part - the part to paint.
+     * @param {object} gradient - the gradient {type, stops, angle}.
      */
-    eraseLast (_args, util) {
-        const target = util.target;
-        const penState = this._penStateFor(target);
-        if (penState && penState.drawing) {
-            const drawings = penState.drawing.children();
-            if (drawings.length > 0) {
-                drawings[drawings.length - 1].remove();
-                this._updatePenSkinFor(target);
+    _setGradientFor (target, part, gradient) {
+        const penState = this._getPenState(target);
+        if (part === VPenBlocks.PAINT_PARTS.FILL) {
+            penState.penAttributes.fillGradient = gradient;
+            if (penState.penAttributes.fillOpacity <= 0) {
+                // Make the fill visible.
+                penState.penAttributes.fillOpacity = 1;
+            }
+            this._updatePenPathFillFor(target);
+            return;
+        }
+        penState.penAttributes.strokeGradient = gradient;
+        if (penState.penPath) {
+            // If there's a pen line started, end it and start a new one.
+            this._startPenPath(target);
+        }
+    }
+
+    /**
+     * Return the stops of the gradient between the colors.
+     * @param {Array.<string|number>} colors - the colors of the stops.
+     * @returns {Array.<{color3b: object, opacity: number}>} - the stops.
+     */
+    _gradientStopsOf (colors) {
+        return colors.map(color => {
+            const rgba = Cast.toRgbColorObject(color);
+            return {
+                color3b: {r: rgba.r, g: rgba.g, b: rgba.b},
+                opacity: 1 - ((rgba.a ? rgba.a : 0) / 255)
+            };
+        });
+    }
+
+    /**
+     * Set a linear gradient to the pen or the fill.
+     * @param {object} args - the block arguments.
+     * @param {string} args.PART - the part to paint.
+     * @param {string|number} args.COLOR1 - the color at the start.
+     * @param {string|number} args.COLOR2 - the color at the end.
+     * @param {number} args.ANGLE - the direction of the gradient in the same way as sprites.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setLinearGradient (args, util) {
+        this._setGradientFor(util.target, args.PART, {
+            type: VPenBlocks.GRADIENT_TYPES.LINEAR,
+            stops: this._gradientStopsOf([args.COLOR1, args.COLOR2]),
+            angle: Cast.toNumber(args.ANGLE)
+        });
+    }
+
+    /**
+     * Set a radial gradient to the pen or the fill.
+     * @param {object} args - the block arguments.
+     * @param {string} args.PART - the part to paint.
+     * @param {string|number} args.COLOR1 - the color at the center.
+     * @param {string|number} args.COLOR2 - the color at the edge.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setRadialGradient (args, util) {
+        this._setGradientFor(util.target, args.PART, {
+            type: VPenBlocks.GRADIENT_TYPES.RADIAL,
+            stops: this._gradientStopsOf([args.COLOR1, args.COLOR2]),
+            angle: 0
+        });
+    }
+
+    /**
+     * Set the pen opacity.
+     * @param {object} args - the block arguments.
+     * @param {number} args.OPACITY - the opacity of the pen.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setPenOpacity (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        const newOpacity = Math.max(0, Math.min(1, Cast.toNumber(args.OPACITY) / 100));
+        if (penState.penAttributes.opacity === newOpacity) {
+            // No change.
+            return;
+        }
+        penState.penAttributes.opacity = newOpacity;
+        const penPath = penState.penPath;
+        if (penPath) {
+            // If there's a pen line started, end it and start a new one.
+            this._startPenPath(target);
+        }
+    }
+
+    /**
+     * Set the pen size (mm).
+     * @param {object} args - the block arguments.
+     * @param {number} args.SIZE - the size of the pen in mm.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setPenSizeTo (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        const newPenSize = this._clampPenSize(Cast.toNumber(args.SIZE));
+        if (penState.penAttributes.diameter === newPenSize) {
+            // No change.
+            return;
+        }
+        penState.penAttributes.diameter = newPenSize;
+        const penPath = penState.penPath;
+        if (penPath) {
+            // If there's a pen line started, end it and start a new one.
+            this._startPenPath(target);
+        }
+    }
+
+    /**
+     * Set the line shape.
+     * @param {object} args - the block arguments.
+     * @param {string} args.LINE_SHAPE - the shape of the line.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setLineShape (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        const newLineShape = args.LINE_SHAPE;
+        if (penState.penAttributes.lineShape === newLineShape) {
+            // No change.
+            return;
+        }
+        penState.penAttributes.lineShape = newLineShape;
+    }
+
+    /**
+     * Set the shape of the ends of lines.
+     * @param {object} args - the block arguments.
+     * @param {string} args.LINE_CAP - the shape of the ends.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setLineCap (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        if (!Object.values(VPenBlocks.LINE_CAPS).includes(args.LINE_CAP) ||
+            penState.penAttributes.lineCap === args.LINE_CAP) {
+            return;
+        }
+        penState.penAttributes.lineCap = args.LINE_CAP;
+        if (penState.penPath) {
+            // If there's a pen line started, end it and start a new one.
+            this._startPenPath(target);
+        }
+    }
+
+    /**
+     * Set the shape of the corners of lines.
+     * @param {object} args - the block arguments.
+     * @param {string} args.LINE_JOIN - the shape of the corners.
+     * @param {number} args.MITER_LIMIT - the limit of the ratio of the miter length to the width.
+     *  Sharper corners than the limit are beveled.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setLineJoin (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        if (!Object.values(VPenBlocks.LINE_JOINS).includes(args.LINE_JOIN)) {
+            return;
+        }
+        penState.penAttributes.lineJoin = args.LINE_JOIN;
+        // The miter limit must be 1 or more in SVG.
+        penState.penAttributes.miterLimit = Math.max(1, Cast.toNumber(args.MITER_LIMIT));
+        if (penState.penPath) {
+            // If there's a pen line started, end it and start a new one.
+            this._startPenPath(target);
+        }
+    }
+
+    /**
+     * Set the dash pattern of the pen.
+     * @param {object} args - the block arguments.
+     * @param {string} args.PATTERN - the lengths of dashes and gaps in mm separated by spaces or commas.
+     *  Entries which are not numbers or negative are ignored. A pattern without any length makes solid lines.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setDashPattern (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        const lengths = Cast.toString(args.PATTERN).trim()
+            .split(/[\s,]+/)
+            .filter(length => length !== '')
+            .map(length => Number(length))
+            .filter(length => Number.isFinite(length) && length >= 0);
+        const isValid = lengths.some(length => length > 0);
+        penState.penAttributes.dashPattern = isValid ? lengths : [];
+        if (penState.penPath) {
+            // If there's a pen line started, end it and start a new one.
+            this._startPenPath(target);
+        }
+    }
+
+    /**
+     * Set the distance into the dash pattern to start lines.
+     * @param {object} args - the block arguments.
+     * @param {number} args.OFFSET - the offset [mm].
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setDashOffset (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        penState.penAttributes.dashOffset = Cast.toNumber(args.OFFSET);
+        if (penState.penPath && penState.penAttributes.dashPattern.length > 0) {
+            // If there's a dashed line started, end it and start a new one.
+            this._startPenPath(target);
+        }
+    }
+
+    /**
+     * Set the tension of the spline line shape.
+     * @param {object} args - the block arguments.
+     * @param {number} args.TENSION - the tension 0-1. 0 is the smoothest and 1 is straight.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setCurveTension (args, util) {
+        const penState = this._getPenState(util.target);
+        penState.penAttributes.curveTension = Math.min(Math.max(Cast.toNumber(args.TENSION), 0), 1);
+    }
+
+    /**
+     * Set the tolerance to simplify lines when the pen is up.
+     * @param {object} args - the block arguments.
+     * @param {number} args.TOLERANCE - the maximum distance to move the lines [mm]. 0 keeps the lines as drawn.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setSimplifyTolerance (args, util) {
+        const penState = this._getPenState(util.target);
+        penState.penAttributes.simplifyTolerance = Math.max(0, Cast.toNumber(args.TOLERANCE));
+    }
+
+    /**
+     * Simplify the lines which have been drawn by the sprite.
+     * The lines in groups, such as the drawings of the clones and imported SVG, are simplified too.
+     * The lines which are being drawn are not changed.
+     * @param {object} args - the block arguments.
+     * @param {string} args.SPRITE - the name of the sprite or '_myself_'.
+     * @param {number} args.TOLERANCE - the maximum distance to move the lines [mm].
+     * @param {object} util - utility object provided by the runtime.
+     */
+    simplifyDrawing (args, util) {
+        const drawingTarget = (args.SPRITE === '_myself_') ?
+            util.target :
+            this.runtime.getSpriteTargetByName(Cast.toString(args.SPRITE));
+        const penState = drawingTarget ? this._penStateFor(drawingTarget) : null;
+        if (!penState || !penState.drawing) {
+            return;
+        }
+        const tolerance = Math.max(0, Cast.toNumber(args.TOLERANCE)) * this.stepPerMM;
+        const drawingPaths = Object.values(this._penStates)
+            .reduce((paths, state) => paths.concat(state.penPath || [], state.symmetryCopies || []), []);
+        penState.drawing.find('path')
+            .filter(path => !drawingPaths.includes(path))
+            .forEach(path => {
+                path.plot(this._simplifyPathArray(path.array(), tolerance));
+            });
+        this._updatePenSkinFor(drawingTarget);
+    }
+
+    /**
+     * Set the way to change the width along lines like a calligraphy pen.
+     * Lines of variable width are straight between the positions and drawn as filled outlines.
+     * @param {object} args - the block arguments.
+     * @param {string} args.CALLIGRAPHY - the calligraphy mode.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setCalligraphy (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        if (penState.penAttributes.calligraphy === args.CALLIGRAPHY) {
+            // No change.
+            return;
+        }
+        penState.penAttributes.calligraphy = args.CALLIGRAPHY;
+        if (penState.penPath) {
+            // If there's a pen line started, end it and start a new one.
+            this._startPenPath(target);
+            this._updatePenSkinFor(target);
+        }
+    }
+
+    /**
+     * Set the pressure of the pen for the calligraphy by pressure.
+     * @param {object} args - the block arguments.
+     * @param {number} args.PRESSURE - the pressure 0-100.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setPenPressure (args, util) {
+        const penState = this._getPenState(util.target);
+        penState.penAttributes.pressure = Math.min(Math.max(Cast.toNumber(args.PRESSURE), 0), 100) / 100;
+    }
+
+    /**
+     * Set the angle of the nib for the calligraphy by nib angle.
+     * @param {object} args - the block arguments.
+     * @param {number} args.ANGLE - the angle of the nib in degrees counterclockwise.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setNibAngle (args, util) {
+        const penState = this._getPenState(util.target);
+        penState.penAttributes.nibAngle = Cast.toNumber(args.ANGLE);
+    }
+
+    /**
+     * Set the symmetry to draw copies of lines around the center.
+     * @param {object} args - the block arguments.
+     * @param {string} args.SYMMETRY - the symmetry mode.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setSymmetry (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        if (penState.penAttributes.symmetry === args.SYMMETRY) {
+            // No change.
+            return;
+        }
+        penState.penAttributes.symmetry = args.SYMMETRY;
+        this._restartPenPathFor(target);
+    }
+
+    /**
+     * Set the number of the rotations around the center in the rotation and the kaleidoscope symmetries.
+     * @param {object} args - the block arguments.
+     * @param {number} args.FOLDS - the number of the folds.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setSymmetryFolds (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        penState.penAttributes.symmetryFolds = Math.max(1, Math.round(Cast.toNumber(args.FOLDS)));
+        this._restartPenPathFor(target);
+    }
+
+    /**
+     * Set the center of the symmetry.
+     * @param {object} args - the block arguments.
+     * @param {number} args.X - the x position on the stage.
+     * @param {number} args.Y - the y position on the stage.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setSymmetryCenter (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        penState.penAttributes.symmetryCenter = {
+            x: Cast.toNumber(args.X),
+            y: Cast.toNumber(args.Y)
+        };
+        this._restartPenPathFor(target);
+    }
+
+    /**
+     * End the line of the target and start a new one to draw with the new symmetry.
+     * @param {Target} target - the target which is drawing the line.
+     */
+    _restartPenPathFor (target) {
+        const penState = this._getPenState(target);
+        if (penState.penPath) {
+            this._startPenPath(target);
+            this._updatePenSkinFor(target);
+        }
+    }
+
+    /**
+     * Set fill color of the pen by color tool.
+     * @param {object} args - the block arguments.
+     * @param {string|number} args.COLOR - the color to set.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setFillColorToColor (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        const rgba = Cast.toRgbColorObject(args.COLOR);
+        const opacity = 1 - ((rgba.a ? rgba.a : 0) / 255);
+        if (!penState.penAttributes.fillGradient &&
+            penState.penAttributes.fillColor3b.r === rgba.r &&
+            penState.penAttributes.fillColor3b.g === rgba.g &&
+            penState.penAttributes.fillColor3b.b === rgba.b &&
+            penState.penAttributes.fillOpacity === opacity) {
+            // No change.
+            return;
+        }
+        penState.penAttributes.fillColor3b = {
+            r: rgba.r,
+            g: rgba.g,
+            b: rgba.b
+        };
+        penState.penAttributes.fillOpacity = opacity;
+        penState.penAttributes.fillGradient = null;
+        this._updatePenPathFillFor(target);
+    }
+
+    /**
+     * Set fill opacity of the pen.
+     * @param {object} args - the block arguments.
+     * @param {number} args.OPACITY - the opacity of the fill color.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setFillOpacity (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        const newOpacity = Math.max(0, Math.min(1, Cast.toNumber(args.OPACITY) / 100));
+        if (penState.penAttributes.fillOpacity === newOpacity) {
+            // No change.
+            return;
+        }
+        penState.penAttributes.fillOpacity = newOpacity;
+        this._updatePenPathFillFor(target);
+    }
+
+    /**
+     * Set the rule to decide the inside of the lines to fill.
+     * @param {object} args - the block arguments.
+     * @param {string} args.FILL_RULE - the fill rule.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setFillRule (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        penState.penAttributes.fillRule = args.FILL_RULE;
+        this._updatePenPathFillFor(target);
+    }
+
+    /**
+     * Start a new subpath at the position of the sprite in the current line.
+     * The subpaths are filled together, so a subpath in another one can be a hole.
+     * @param {object} _args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    startNewSubpath (_args, util) {
+        const target = util.target;
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.penPath) {
+            // If there's no line started, there's no path to add to.
+            return;
+        }
+        if (penState.widthSamples) {
+            // A line of variable width has only one outline, so start a new line.
+            this._startPenPath(target);
+            this._updatePenSkinFor(target);
+            return;
+        }
+        if (penState.penType === VPenBlocks.PEN_TYPES.PLOTTER) {
+            this._removeReferenceLine(penState);
+        }
+        penState.referencePoint = null;
+        const penPath = penState.penPath;
+        const plots = penPath.array();
+        if (penState.penAttributes.autoClose) {
+            this._closeLastSubpath(plots, penState.penAttributes.curveTension,
+                penState.penAttributes.autoCloseDistance * this.stepPerMM);
+        }
+        if (plots.length > 1 && plots[plots.length - 1][0] === 'M') {
+            // Replace the subpath which has not been drawn.
+            plots.pop();
+        }
+        plots.push(['M', ...this._mapPenPointToSVGViewBox(target.x, target.y)]);
+        penPath.plot(plots);
+        this._updatePenSkinFor(target);
+    }
+
+    /**
+     * Close the current line by connecting its end to the start wherever the end is.
+     * The pen keeps drawing a new line from the position of the sprite.
+     * @param {object} _args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    closePath (_args, util) {
+        const target = util.target;
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.penPath || penState.widthSamples) {
+            // There's no line to close. A line of variable width is drawn as an outline already.
+            return;
+        }
+        if (penState.penType === VPenBlocks.PEN_TYPES.PLOTTER) {
+            this._removeReferenceLine(penState);
+        }
+        penState.referencePoint = null;
+        const penPath = penState.penPath;
+        const tension = penState.penAttributes.curveTension;
+        const start = penPath.array().filter(command => command[0] === 'M')
+            .pop()
+            .slice(1);
+        const end = penPath.array()[penPath.array().length - 1].slice(-2);
+        if (start[0] !== end[0] || start[1] !== end[1]) {
+            // Lead the curve back to the start, so it is closed smoothly as if it ended there.
+            const [x, y] = this._mapFromSVGViewBox(...start);
+            if (penState.penAttributes.lineShape === VPenBlocks.LINE_SHAPES.CURVE) {
+                this._addCurveToPenPath(penPath, x, y);
+            } else if (penState.penAttributes.lineShape === VPenBlocks.LINE_SHAPES.SPLINE) {
+                this._addSplineToPenPath(penPath, x, y, tension);
+            }
+        }
+        const plots = penPath.array();
+        if (this._closeLastSubpath(plots, tension, Infinity)) {
+            penPath.plot(plots);
+        }
+        this._startPenPath(target);
+        this._updatePenSkinFor(target);
+    }
+
+    /**
+     * Set whether to close lines which end near the start when the pen is up.
+     * @param {object} args - the block arguments.
+     * @param {string} args.AUTO_CLOSE - 'on' or 'off'.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setAutoClose (args, util) {
+        const penState = this._getPenState(util.target);
+        penState.penAttributes.autoClose = (args.AUTO_CLOSE !== VPenBlocks.AUTO_CLOSE_STATES.OFF);
+    }
+
+    /**
+     * Set the distance between the end and the start to close lines automatically.
+     * @param {object} args - the block arguments.
+     * @param {number} args.DISTANCE - the distance [mm].
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setAutoCloseDistance (args, util) {
+        const penState = this._getPenState(util.target);
+        penState.penAttributes.autoCloseDistance = Math.max(0, Cast.toNumber(args.DISTANCE));
+    }
+
+    /**
+     * Set the way to fill closed lines.
+     * @param {object} args - the block arguments.
+     * @param {string} args.FILL_MODE - the fill mode.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setFillMode (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        penState.penAttributes.fillMode = args.FILL_MODE;
+        this._updatePenPathFillFor(target);
+    }
+
+    /**
+     * Set the spacing and the angle of the hatch lines.
+     * @param {object} args - the block arguments.
+     * @param {number} args.SPACING - the distance between the lines [mm].
+     * @param {number} args.ANGLE - the direction of the lines in degrees counterclockwise.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    setHatch (args, util) {
+        const penState = this._getPenState(util.target);
+        // Too narrow spacing makes too many lines.
+        penState.penAttributes.hatchSpacing = Math.max(0.1, Cast.toNumber(args.SPACING));
+        penState.penAttributes.hatchAngle = Cast.toNumber(args.ANGLE);
+    }
+
+    /**
+     * The pen "stamp" block stamps the current drawable's image onto the pen layer.
+     * @param {object} args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    stamp (args, util) {
+        const target = util.target;
+        const renderer = this.runtime.renderer;
+
+        // Create a temporary drawable to capture the high-res image
+        const tempDrawableID = renderer.createDrawable(StageLayering.SPRITE_LAYER);
+        const costume = target.sprite.costumes[target.currentCostume];
+
+        renderer.updateDrawableSkinId(tempDrawableID, costume.skinId);
+
+        // Apply all effects
+        for (const effectName in target.effects) {
+            if (Object.prototype.hasOwnProperty.call(target.effects, effectName)) {
+                renderer.updateDrawableEffect(tempDrawableID, effectName, target.effects[effectName]);
+            }
+        }
+
+        // Calculate rendered direction and scale (at 100% size * resolutionScale)
+        const resolutionScale = 2;
+        let finalDirection = target.direction;
+        let finalScale = [100 * resolutionScale, 100 * resolutionScale];
+        if (target.rotationStyle === RenderedTarget.ROTATION_STYLE_NONE) {
+            finalDirection = 90;
+        } else if (target.rotationStyle === RenderedTarget.ROTATION_STYLE_LEFT_RIGHT) {
+            finalDirection = 90;
+            const scaleFlip = (target.direction < 0) ? -1 : 1;
+            finalScale = [scaleFlip * 100 * resolutionScale, 100 * resolutionScale];
+        }
+
+        // Update temporary drawable properties
+        renderer.updateDrawableDirectionScale(tempDrawableID, finalDirection, finalScale);
+        renderer.updateDrawableVisible(tempDrawableID, true);
+        // Position at (0, 0) to avoid edge clipping issues during extraction
+        renderer.updateDrawablePosition(tempDrawableID, [0, 0]);
+
+        const drawableData = renderer.extractDrawableScreenSpace(tempDrawableID);
+
+        // Clean up
+        renderer.destroyDrawable(tempDrawableID, StageLayering.SPRITE_LAYER);
+
+        // Create SVG Image
+        const canvas = document.createElement('canvas');
+        canvas.width = drawableData.imageData.width;
+        canvas.height = drawableData.imageData.height;
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(drawableData.imageData, 0, 0);
+        const drawableURL = canvas.toDataURL();
+
+        const penState = this._getPenState(target);
+        const drawing = penState.drawing;
+        const stamp = drawing.image(drawableURL);
+
+        // Calculate dimensions
+        const canvasWidth = renderer.canvas.clientWidth;
+        const canvasHeight = renderer.canvas.clientHeight;
+        const stageResolution = [
+            canvasWidth / this.stageWidth,
+            canvasHeight / this.stageHeight
+        ];
+
+        // Size in Stage Units (at 100% scale)
+        const naturalWidth = (drawableData.width / stageResolution[0]) / resolutionScale;
+        const naturalHeight = (drawableData.height / stageResolution[1]) / resolutionScale;
+
+        // Calculate pivot point (rotation center) relative to the image top-left
+        // drawableData.x/y is the top-left corner in canvas pixels
+        // (canvasWidth/2, canvasHeight/2) is the center of the canvas, where we placed the drawable's rotation center
+        const pivotX = (canvasWidth / 2) - drawableData.x;
+        const pivotY = (canvasHeight / 2) - drawableData.y;
+
+        // Convert pivot to Stage Units (at 100% scale)
+        const naturalPivotX = (pivotX / stageResolution[0]) / resolutionScale;
+        const naturalPivotY = (pivotY / stageResolution[1]) / resolutionScale;
+
+        // Final size based on target size
+        const finalWidth = naturalWidth * (target.size / 100);
+        const finalHeight = naturalHeight * (target.size / 100);
+        
+        const finalPivotX = naturalPivotX * (target.size / 100);
+        const finalPivotY = naturalPivotY * (target.size / 100);
+
+        stamp.size(finalWidth, finalHeight);
+
+        // Position
+        const [cx, cy] = this._mapToSVGViewBox(target.x, target.y);
+        // Center the image using the pivot point
+        stamp.move(cx - finalPivotX, cy - finalPivotY);
+        
+        // Opacity
+        stamp.opacity((100 - target.effects.ghost) / 100);
+
+        this._updatePenSkinFor(target);
+    }
+
+    /**
+     * Get the bounds of the drawing in the SVG.
+     * Strokes and stamped images are included.
+     * @param {Element} svg - the SVG drawing.
+     * @returns {object?} - the bounds {minX, minY, maxX, maxY} or null if nothing is drawn.
+     */
+    _drawingBoundsOf (svg) {
+        const bounds = {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity};
+        const extend = (x, y, margin) => {
+            bounds.minX = Math.min(bounds.minX, x - margin);
+            bounds.minY = Math.min(bounds.minY, y - margin);
+            bounds.maxX = Math.max(bounds.maxX, x + margin);
+            bounds.maxY = Math.max(bounds.maxY, y + margin);
+        };
+        elementToPolylines(svg, {tolerance: 0.5}).forEach(polyline => {
+            const strokeWidth = (polyline.stroke === 'none') ?
+                0 :
+                (parseFloat(polyline.element.attr('stroke-width')) || 0);
+            polyline.points.forEach(([x, y]) => extend(x, y, strokeWidth / 2));
+        });
+        svg.find('image').forEach(image => {
+            const x = parseFloat(image.attr('x')) || 0;
+            const y = parseFloat(image.attr('y')) || 0;
+            extend(x, y, 0);
+            extend(x + (parseFloat(image.attr('width')) || 0), y + (parseFloat(image.attr('height')) || 0), 0);
+        });
+        if (bounds.minX > bounds.maxX) {
+            return null;
+        }
+        return bounds;
+    }
+
+    /**
+     * Make a vector costume from the drawing of this sprite and add it to a sprite.
+     * The costume is cropped to the drawing and its rotation center is at the center of the drawing.
+     * @param {object} args - the block arguments.
+     * @param {string} args.NAME - the name of the costume.
+     * @param {string} args.SPRITE - the name of the sprite to add the costume to, or '_myself_'.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string} - the result of making the costume.
+     */
+    makeCostumeFromDrawing (args, util) {
+        const target = util.target;
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.drawing) {
+            return 'no drawing';
+        }
+        const costumeTarget = (args.SPRITE === '_myself_') ?
+            target :
+            this.runtime.getSpriteTargetByName(Cast.toString(args.SPRITE));
+        if (!costumeTarget) {
+            return 'no sprite';
+        }
+        const costumeSVG = this._createDrawingSVG();
+        this._copyDrawingTo(penState, costumeSVG);
+        const bounds = this._drawingBoundsOf(costumeSVG);
+        if (!bounds) {
+            return 'no drawing';
+        }
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        const svgString = costumeSVG
+            .viewbox(bounds.minX, bounds.minY, width, height)
+            .size(width, height)
+            .svg();
+        const rotationCenter = [width / 2, height / 2];
+        const storage = this.runtime.storage;
+        const asset = storage.createAsset(
+            storage.AssetType.ImageVector,
+            storage.DataFormat.SVG,
+            null,
+            null,
+            false
+        );
+        asset.encodeTextData(svgString, storage.DataFormat.SVG, true);
+        const renderer = this.runtime.renderer;
+        const skinId = renderer.createSVGSkin(svgString, rotationCenter);
+        let costumeName = Cast.toString(args.NAME);
+        if (costumeName === '') {
+            costumeName = target.sprite.name;
+        }
+        // The sprite renames the costume if the name is already used.
+        costumeTarget.addCostume({
+            name: costumeName,
+            dataFormat: storage.DataFormat.SVG,
+            asset: asset,
+            assetId: asset.assetId,
+            md5: `${asset.assetId}.${storage.DataFormat.SVG}`,
+            skinId: skinId,
+            size: renderer.getSkinSize(skinId),
+            rotationCenterX: rotationCenter[0],
+            rotationCenterY: rotationCenter[1],
+            bitmapResolution: 1
+        });
+        this.runtime.requestTargetsUpdate(costumeTarget);
+        return 'made';
+    }
+
+    /**
+     * Move drawing to the front layer.
+     * @param {number} drawableID - the drawable to move.
+     */
+    _moveLayerToFront (drawableID) {
+        // RenderWebGL.setDrawableOrder() has a bug which breaks the order of groups when moving drawable up.
+        // So we move the drawable up under the sprite layer.
+        const renderer = this.runtime.renderer;
+        const topOrder = renderer._layerGroups[StageLayering.SPRITE_LAYER].drawListOffset - 1;
+        renderer.setDrawableOrder(drawableID, topOrder, StageLayering.PEN_LAYER, false);
+    }
+
+    /**
+     * Move drawing to the back layer.
+     * @param {number} drawableID - the drawable to move.
+     */
+    _moveLayerToBack (drawableID) {
+        this.runtime.renderer.setDrawableOrder(drawableID, -Infinity, StageLayering.PEN_LAYER, false);
+    }
+
+    /**
+     * Move drawing forward a number of layers.
+     * @param {number} drawableID - the drawable to move.
+     * @param {number} nLayers How many layers to go forward.
+     */
+    _moveLayerUp (drawableID, nLayers) {
+        // RenderWebGL.setDrawableOrder() has a bug which breaks the order of groups when moving drawable up.
+        // So we move the drawable up under the sprite layer.
+        const renderer = this.runtime.renderer;
+        const drawableOrder = renderer.getDrawableOrder(drawableID);
+        const topOrder = renderer._layerGroups[StageLayering.SPRITE_LAYER].drawListOffset - 1;
+        nLayers = Math.min(nLayers, topOrder - drawableOrder);
+        renderer.setDrawableOrder(drawableID, nLayers, StageLayering.PEN_LAYER, true);
+    }
+
+    /**
+     * Move drawing backward a number of layers.
+     * @param {number} drawableID - the drawable to move.
+     * @param {number} nLayers How many layers to go backward.
+     */
+    _moveLayerDown (drawableID, nLayers) {
+        this._moveLayerUp(drawableID, -nLayers);
+    }
+
+    /**
+     * Change the layer of the drawing.
+     * @param {object} args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @param {string} args.LAYER - the layer name to change to.
+     */
+    changeLayerTo (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        const layer = args.LAYER;
+        if (layer === VPenBlocks.CHANGE_LAYER.TOP) {
+            this._moveLayerToFront(penState.drawableID);
+        } else if (layer === VPenBlocks.CHANGE_LAYER.BOTTOM) {
+            this._moveLayerToBack(penState.drawableID);
+        }
+        this.runtime.requestRedraw();
+    }
+
+    /**
+     * Move the drawing a number of layers.
+     * @param {object} args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @param {number} args.LAYERS - the number of layers to move.
+     * @param {string} args.DIRECTION - the direction to move.
+     */
+    moveLayerBy (args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        const layerCount = Cast.toNumber(args.LAYERS);
+        if (args.DIRECTION === VPenBlocks.MOVE_LAYER.UP) {
+            this._moveLayerUp(penState.drawableID, layerCount);
+        } else if (args.DIRECTION === VPenBlocks.MOVE_LAYER.DOWN) {
+            this._moveLayerDown(penState.drawableID, layerCount);
+        }
+        this.runtime.requestRedraw();
+    }
+
+    /**
+     * Get the order of the drawing in the all drawable.
+     * @param {object} target - the target to get the order for.
+     * @returns {number} - the order of the drawing.
+     */
+    _getDrawableOrderFor (target) {
+        const penState = this._penStates[target.id];
+        if (!penState) {
+            return -1;
+        }
+        const renderer = this.runtime.renderer;
+        return renderer.getDrawableOrder(penState.drawableID);
+    }
+
+    /**
+     * Show the drawing of this sprite.
+     * @param {object} _args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    showDrawing (_args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        if (penState.isVisible) {
+            return; // Already visible
+        }
+        penState.isVisible = true;
+        if (penState.drawableID >= 0) {
+            this.runtime.renderer.updateDrawableVisible(penState.drawableID, true);
+            this.runtime.requestRedraw();
+        }
+    }
+
+    /**
+     * Hide the drawing of this sprite.
+     * @param {object} _args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    hideDrawing (_args, util) {
+        const target = util.target;
+        const penState = this._getPenState(target);
+        if (!penState.isVisible) {
+            return; // Already hidden
+        }
+        penState.isVisible = false;
+        if (penState.drawableID >= 0) {
+            this.runtime.renderer.updateDrawableVisible(penState.drawableID, false);
+            this.runtime.requestRedraw();
+        }
+    }
+
+    /**
+     * Returns whether the drawing of this sprite is visible.
+     * @param {object} _args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {boolean} - true if the drawing is visible.
+     */
+    isDrawingShown (_args, util) {
+        const target = util.target;
+        const penState = this._penStateFor(target);
+        if (!penState) {
+            return true; // Default is visible
+        }
+        return penState.isVisible;
+    }
+
+    /**
+     * Clears the pen layer's contents.
+     */
+    clearAll () {
+        this.runtime.targets.forEach(target => {
+            this._clearForTarget(target);
+        });
+    }
+
+    /**
+     * Save the drawing as an SVG file.
+     * @param {SVG} svg - the SVG drawing.
+     * @param {string} fileName - the name of the file to save.
+     * @returns {Promise} - a promise that resolves after the file has been saved.
+     */
+    _saveSVGAsFile (svg, fileName) {
+        const saveData = svg
+            .size(
+                `${this.stageWidth / this.stepPerMM}mm`,
+                `${this.stageHeight / this.stepPerMM}mm`
+            )
+            .svg();
+        const blob = new Blob([saveData], {type: 'application/octet-stream'});
+        return FileSaver.saveAs(blob, `${fileName}.svg`);
+    }
+
+    /**
+     * Lay out the drawing on pages by the page setup.
+     * @param {number} widthMM - the width of the drawing [mm].
+     * @param {number} heightMM - the height of the drawing [mm].
+     * @returns {object} - the layout {pageWidth, pageHeight, pages}.
+     *  Each page has the position {x, y} and the scale of the drawing,
+     *  and the clipping rectangle {x, y, width, height} or null.
+     */
+    _pageLayoutFor (widthMM, heightMM) {
+        const setup = this.pageSetup;
+        const margin = Math.max(0, setup.margin);
+        let pageWidth;
+        let pageHeight;
+        if (setup.paper === VPenBlocks.PAPER_SIZES.STAGE) {
+            pageWidth = widthMM + (margin * 2);
+            pageHeight = heightMM + (margin * 2);
+        } else {
+            const dimensions = (setup.paper === VPenBlocks.PAPER_SIZES.CUSTOM) ?
+                [setup.customWidth, setup.customHeight] :
+                VPenBlocks.PAPER_DIMENSIONS[setup.paper];
+            const shortSide = Math.min(...dimensions);
+            const longSide = Math.max(...dimensions);
+            [pageWidth, pageHeight] = (setup.orientation === VPenBlocks.PAGE_ORIENTATIONS.LANDSCAPE) ?
+                [longSide, shortSide] :
+                [shortSide, longSide];
+        }
+        const printWidth = Math.max(1, pageWidth - (margin * 2));
+        const printHeight = Math.max(1, pageHeight - (margin * 2));
+        const printLeft = (pageWidth - printWidth) / 2;
+        const printTop = (pageHeight - printHeight) / 2;
+        if (setup.fit === VPenBlocks.PAGE_FITS.TILE) {
+            const clip = {x: printLeft, y: printTop, width: printWidth, height: printHeight};
+            const pages = [];
+            for (let row = 0; row < Math.ceil(heightMM / printHeight); row++) {
+                for (let column = 0; column < Math.ceil(widthMM / printWidth); column++) {
+                    pages.push({
+                        x: printLeft - (column * printWidth),
+                        y: printTop - (row * printHeight),
+                        scale: 1,
+                        clip
+                    });
+                }
+            }
+            return {pageWidth, pageHeight, pages};
+        }
+        const scale = (setup.fit === VPenBlocks.PAGE_FITS.FIT) ?
+            Math.min(printWidth / widthMM, printHeight / heightMM) :
+            1;
+        return {
+            pageWidth,
+            pageHeight,
+            pages: [{
+                x: printLeft + ((printWidth - (widthMM * scale)) / 2),
+                y: printTop + ((printHeight - (heightMM * scale)) / 2),
+                scale,
+                clip: null
+            }]
+        };
+    }
+
+    /**
+     * Save the drawing as a PDF file.
+     * The pages are laid out by the page setup.
+     * @param {SVG} svg - the SVG drawing.
+     * @param {string} fileName - the name of the file to save.
+     * @returns {Promise<string>} - a promise that resolves after the file has been saved.
+     */
+    async _savePDFAsFile (svg, fileName) {
+        try {
+            const widthMM = this.stageWidth / this.stepPerMM;
+            const heightMM = this.stageHeight / this.stepPerMM;
+            const layout = this._pageLayoutFor(widthMM, heightMM);
+            const orientation = layout.pageWidth > layout.pageHeight ? 'landscape' : 'portrait';
+            
+            // Create PDF with the page size in mm
+            const pdf = new jsPDF({
+                orientation: orientation,
+                unit: 'mm',
+                format: [layout.pageWidth, layout.pageHeight]
+            });
+            
+            // Get SVG string
+            const svgString = svg
+                .size(`${widthMM}mm`, `${heightMM}mm`)
+                .svg();
+            const parser = new DOMParser();
+            
+            for (let index = 0; index < layout.pages.length; index++) {
+                const page = layout.pages[index];
+                if (index > 0) {
+                    pdf.addPage([layout.pageWidth, layout.pageHeight], orientation);
+                }
+                if (page.clip) {
+                    pdf.saveGraphicsState();
+                    pdf.rect(page.clip.x, page.clip.y, page.clip.width, page.clip.height, null);
+                    pdf.clip();
+                    pdf.discardPath();
+                }
+                
+                // Add SVG to PDF
+                const svgElement = parser.parseFromString(svgString, 'image/svg+xml').documentElement;
+                await pdf.svg(svgElement, {
+                    x: page.x,
+                    y: page.y,
+                    width: widthMM * page.scale,
+                    height: heightMM * page.scale
+                });
+                if (page.clip) {
+                    pdf.restoreGraphicsState();
+                }
+            }
+            
+            // Save PDF
+            pdf.save(`${fileName}.pdf`);
+            return 'saved';
+        } catch (error) {
+            console.error('Error saving PDF:', error);
+            return 'error';
+        }
+    }
+
+    /**
+     * Convert a point on the SVG viewBox to the coordinates of the plotter [mm].
+     * The Y axis of the plotter points upward and the origin is at the position of the settings.
+     * @param {Array.<number>} point - the point on the SVG viewBox.
+     * @returns {Array.<number>} - the point for the plotter.
+     */
+    _toPlotterPoint (point) {
+        const widthMM = this.stageWidth / this.stepPerMM;
+        const heightMM = this.stageHeight / this.stepPerMM;
+        const x = point[0] / this.stepPerMM;
+        const y = heightMM - (point[1] / this.stepPerMM);
+        switch (this.plotterSettings.origin) {
+        case VPenBlocks.PLOTTER_ORIGINS.BOTTOM_RIGHT:
+            return [x - widthMM, y];
+        case VPenBlocks.PLOTTER_ORIGINS.TOP_LEFT:
+            return [x, y - heightMM];
+        case VPenBlocks.PLOTTER_ORIGINS.TOP_RIGHT:
+            return [x - widthMM, y - heightMM];
+        case VPenBlocks.PLOTTER_ORIGINS.CENTER:
+            return [x - (widthMM / 2), y - (heightMM / 2)];
+        }
+        return [x, y];
+    }
+
+    /**
+     * Get the lines to draw by a plotter from the SVG drawing.
+     * Curves are approximated with line segments and the points are in mm for the plotter.
+     * @param {Element} svg - the SVG drawing or a group in it.
+     * @returns {Array.<{points: Array.<Array.<number>>, closed: boolean, stroke: string}>} - the lines
+     *  with the stroke color in hex or 'none'.
+     */
+    _plotterPolylinesFor (svg) {
+        return elementToPolylines(svg, {
+            tolerance: VPenBlocks.FLATTENING_TOLERANCE * this.stepPerMM
+        })
+            .map(polyline => ({
+                points: polyline.points.map(point => this._toPlotterPoint(point)),
+                closed: polyline.closed,
+                stroke: this._solidStrokeOf(svg, polyline.stroke)
+            }));
+    }
+
+    /**
+     * Return a solid color for the stroke to choose a pen of a plotter.
+     * A gradient is drawn with the color of its first stop.
+     * @param {Element} svg - the SVG drawing which has the gradient in its defs.
+     * @param {string} stroke - the stroke value.
+     * @returns {string} - the color in hex or 'none'.
+     */
+    _solidStrokeOf (svg, stroke) {
+        if (stroke === 'none') {
+            return stroke;
+        }
+        const reference = /^url\(#([^)]+)\)$/.exec(stroke);
+        if (!reference) {
+            return this._hexColorOf(stroke);
+        }
+        const gradient = svg.root().findOne(`#${reference[1]}`);
+        const firstStop = gradient ? gradient.findOne('stop') : null;
+        return firstStop ? this._hexColorOf(firstStop.attr('stop-color')) : '#000000';
+    }
+
+    /**
+     * Return the color value in hex.
+     * Named colors and currentColor, which svg.js can not parse, are resolved by a canvas.
+     * @param {string} value - the color value in SVG.
+     * @returns {string} - the color in hex or black if the value is not a color.
+     */
+    _hexColorOf (value) {
+        try {
+            return new Color(value).toHex();
+        } catch (error) {
+            // It is not a color format of svg.js.
+        }
+        const context = document.createElement('canvas').getContext('2d');
+        if (context) {
+            // The canvas ignores an invalid color and keeps black.
+            context.fillStyle = '#000000';
+            context.fillStyle = value;
+            try {
+                return new Color(context.fillStyle).toHex();
+            } catch (error) {
+                // A translucent color is in rgba() which svg.js can not parse.
+            }
+        }
+        return '#000000';
+    }
+
+    /**
+     * Reorder the lines by the plot order setting to reduce the travel of the plotter.
+     * The saved travel distance is added to the savedTravelDistance.
+     * @param {Array.<object>} polylines - the lines to draw by a plotter.
+     * @returns {Array.<object>} - the lines in the order to draw.
+     */
+    _inPlotOrder (polylines) {
+        const plotOrder = this.plotterSettings.plotOrder;
+        if (plotOrder === VPenBlocks.PLOT_ORDERS.DRAWING) {
+            return polylines;
+        }
+        const ordered = optimizePlotOrder(polylines, {
+            reverse: plotOrder === VPenBlocks.PLOT_ORDERS.NEAREST_REVERSING
+        });
+        this.savedTravelDistance += travelDistance(polylines) - travelDistance(ordered);
+        return ordered;
+    }
+
+    /**
+     * Save the drawing as a G-code file for pen plotters.
+     * @param {SVG} svg - the SVG drawing.
+     * @param {string} fileName - the name of the file to save.
+     * @returns {Promise} - a promise that resolves after the file has been saved.
+     */
+    _saveGCodeAsFile (svg, fileName) {
+        const settings = this.plotterSettings;
+        const formatNumber = value => `${Number(value.toFixed(3))}`;
+        const moveTo = (point, feedRate) =>
+            `G1 X${formatNumber(point[0])} Y${formatNumber(point[1])}${feedRate ? ` F${feedRate}` : ''}`;
+        const gcode = [
+            'G21', // Units in mm
+            'G90', // Absolute positioning
+            settings.gcodePenUp
+        ];
+        // A pen plotter draws only the strokes, so the shapes which are only filled are skipped.
+        const strokes = this._plotterPolylinesFor(svg).filter(polyline => polyline.stroke !== 'none');
+        this._inPlotOrder(strokes).forEach(polyline => {
+            const points = polyline.closed ?
+                polyline.points.concat([polyline.points[0]]) :
+                polyline.points;
+            gcode.push(moveTo(points[0], settings.gcodeTravelFeedRate));
+            gcode.push(settings.gcodePenDown);
+            points.slice(1).forEach((point, index) => {
+                gcode.push(moveTo(point, (index === 0) ? settings.gcodeDrawFeedRate : null));
+            });
+            gcode.push(settings.gcodePenUp);
+        });
+        gcode.push(moveTo([0, 0], settings.gcodeTravelFeedRate));
+        const blob = new Blob([`${gcode.join('\n')}\n`], {type: 'text/plain'});
+        return FileSaver.saveAs(blob, `${fileName}.gcode`);
+    }
+
+    /**
+     * Save the drawing as an HPGL file for pen plotters.
+     * Each stroke color is assigned to a pen number in order of appearance.
+     * The shapes without stroke are not plotted.
+     * @param {SVG} svg - the SVG drawing.
+     * @param {string} fileName - the name of the file to save.
+     * @returns {Promise} - a promise that resolves after the file has been saved.
+     */
+    _saveHPGLAsFile (svg, fileName) {
+        const toUnits = point => point
+            .map(value => Math.round(value * VPenBlocks.HPGL_UNITS_PER_MM))
+            .join(',');
+        const penNumbers = {};
+        const polylinesByPen = [];
+        this._plotterPolylinesFor(svg).forEach(polyline => {
+            if (polyline.stroke === 'none') {
+                return;
+            }
+            if (!penNumbers[polyline.stroke]) {
+                penNumbers[polyline.stroke] = polylinesByPen.length + 1;
+                polylinesByPen.push([]);
+            }
+            polylinesByPen[penNumbers[polyline.stroke] - 1].push(polyline);
+        });
+        const hpgl = ['IN;'];
+        polylinesByPen.forEach((polylines, index) => {
+            hpgl.push(`SP${index + 1};`);
+            this._inPlotOrder(polylines).forEach(polyline => {
+                const points = polyline.closed ?
+                    polyline.points.concat([polyline.points[0]]) :
+                    polyline.points;
+                hpgl.push(`PU${toUnits(points[0])};`);
+                hpgl.push(`PD${points.slice(1).map(toUnits)
+                    .join(',')};`);
+            });
+        });
+        hpgl.push('PU;');
+        hpgl.push('SP0;');
+        const blob = new Blob([`${hpgl.join('\n')}\n`], {type: 'text/plain'});
+        return FileSaver.saveAs(blob, `${fileName}.hpgl`);
+    }
+
+    /**
+     * Save the drawing as a file of the format.
+     * @param {SVG} svg - the SVG drawing.
+     * @param {string} fileName - the name of the file to save.
+     * @param {string} format - the format of the file.
+     * @param {object} [options] - options for the format.
+     * @param {number} [options.dpi] - the resolution of PNG image.
+     * @returns {string|Promise<string>} - the result of saving the drawing.
+     */
+    _saveDrawingAsFile (svg, fileName, format, options = {}) {
+        this.savedTravelDistance = 0;
+        if (format === VPenBlocks.FILE_FORMATS.PNG) {
+            return this._savePNGAsFile(svg, fileName, options.dpi || VPenBlocks.DEFAULT_PNG_DPI);
+        }
+        if (format === VPenBlocks.FILE_FORMATS.PDF) {
+            return this._savePDFAsFile(svg, fileName);
+        }
+        if (format === VPenBlocks.FILE_FORMATS.GCODE) {
+            return this._saveGCodeAsFile(svg, fileName);
+        }
+        if (format === VPenBlocks.FILE_FORMATS.HPGL) {
+            return this._saveHPGLAsFile(svg, fileName);
+        }
+        if (format === VPenBlocks.FILE_FORMATS.DXF) {
+            return this._saveDXFAsFile(svg, fileName);
+        }
+        return this._saveSVGAsFile(svg, fileName);
+    }
+
+    /**
+     * Save the drawing as a DXF file.
+     * The drawing of each sprite is put on the layer named after the sprite.
+     * @param {SVG} svg - the SVG drawing which has a group for each sprite.
+     * @param {string} fileName - the name of the file to save.
+     * @returns {Promise} - a promise that resolves after the file has been saved.
+     */
+    _saveDXFAsFile (svg, fileName) {
+        const layers = svg.children()
+            .filter(spriteGroup => spriteGroup.type !== 'defs')
+            .map(spriteGroup => ({
+                name: spriteGroup.id(),
+                polylines: this._inPlotOrder(this._plotterPolylinesFor(spriteGroup))
+                    .map(polyline => {
+                        const color = (polyline.stroke === 'none') ? null : new Color(polyline.stroke);
+                        return {
+                            points: polyline.points,
+                            closed: polyline.closed,
+                            color: color ? [color.r, color.g, color.b] : null
+                        };
+                    })
+            }));
+        const blob = new Blob([toDXF(layers)], {type: 'application/dxf'});
+        return FileSaver.saveAs(blob, `${fileName}.dxf`);
+    }
+
+    /**
+     * Save the drawing as a PNG image.
+     * The image has the physical size of the drawing in mm at the resolution.
+     * @param {SVG} svg - the SVG drawing.
+     * @param {string} fileName - the name of the file to save.
+     * @param {number} dpi - the resolution of the image [dpi].
+     * @returns {Promise<string>} - a promise that resolves after the file has been saved.
+     */
+    async _savePNGAsFile (svg, fileName, dpi) {
+        try {
+            const widthMM = this.stageWidth / this.stepPerMM;
+            const heightMM = this.stageHeight / this.stepPerMM;
+            const width = Math.max(1, Math.round(widthMM * dpi / 25.4));
+            const height = Math.max(1, Math.round(heightMM * dpi / 25.4));
+            
+            // Load the SVG as an image
+            const svgString = svg
+                .size(width, height)
+                .svg();
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = reject;
+                image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+            });
+            
+            // Rasterize the image
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+            const pngBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            const png = setPNGResolution(new Uint8Array(await pngBlob.arrayBuffer()), dpi);
+            
+            // Save PNG
+            FileSaver.saveAs(new Blob([png], {type: 'image/png'}), `${fileName}.png`);
+            return 'saved';
+        } catch (error) {
+            console.error('Error saving PNG:', error);
+            return 'error';
+        }
+    }
+
+    /**
+     * Add the sprite drawing group to the SVG if the sprite has a drawing.
+     * @param {Target} target - the target to add the sprite drawing for.
+     * @param {Container} svgContainer - the SVG container to add the sprite drawing to.
+     * @param {object} [options] - options for adding the drawing.
+     * @param {boolean} [options.includeHidden=false] - if true, include hidden drawings with visibility attribute.
+     * @returns {Container?} - a new group for the sprite drawing or null.
+     */
+    _addSpriteDrawingTo (target, svgContainer, options = {}) {
+        const {includeHidden = false} = options;
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.drawing) {
+            return null;
+        }
+        // Skip hidden drawings unless includeHidden is true
+        if (!penState.isVisible && !includeHidden) {
+            return null;
+        }
+        const spriteGroup = svgContainer.group();
+        if (this._copyDrawingTo(penState, spriteGroup) === 0) {
+            spriteGroup.remove();
+            return null;
+        }
+        spriteGroup.id(target.sprite.name);
+        if (!penState.isVisible) {
+            spriteGroup.attr('style', 'display:none');
+        }
+        return spriteGroup;
+    }
+
+    /**
+     * Save the sprite drawing as a file of the format.
+     * @param {object} args - the block arguments.
+     * @param {string} args.FILENAME - the name of the file to save.
+     * @param {string} args.FORMAT - the format to save (svg, pdf, gcode, hpgl, png or dxf).
+     * @param {number} [args.DPI] - the resolution for PNG image.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string|Promise<string>} - the result of saving the sprite drawing.
+     */
+    downloadSpriteDrawing (args, util) {
+        const target = util.target;
+        let fileName = Cast.toString(args.FILENAME);
+        const format = args.FORMAT || VPenBlocks.FILE_FORMATS.SVG;
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.drawing) {
+            return 'no drawing';
+        }
+        // eslint-disable-next-line no-alert
+        if (fileName === null || fileName === '') {
+            fileName = target.sprite.name;
+        }
+        const saveSVG = this._createDrawingSVG();
+        const includeHidden = format !== VPenBlocks.FILE_FORMATS.PDF;
+        this._addSpriteDrawingTo(target, saveSVG, {includeHidden});
+        return this._saveDrawingAsFile(saveSVG, fileName, format, {dpi: Cast.toNumber(args.DPI)});
+    }
+
+    /**
+     * Save the sprite drawing as a PNG image at the resolution.
+     * @param {object} args - the block arguments.
+     * @param {number} args.DPI - the resolution of the image [dpi].
+     * @param {string} args.FILENAME - the name of the file to save.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string|Promise<string>} - the result of saving the sprite drawing.
+     */
+    downloadSpriteDrawingAsPNG (args, util) {
+        const dpi = Math.min(VPenBlocks.MAX_PNG_DPI, Cast.toNumber(args.DPI));
+        if (dpi <= 0) {
+            return 'invalid dpi';
+        }
+        return this.downloadSpriteDrawing({
+            FORMAT: VPenBlocks.FILE_FORMATS.PNG,
+            FILENAME: args.FILENAME,
+            DPI: dpi
+        }, util);
+    }
+
+    /**
+     * Save the sprite drawing as a PDF file.
+     * @param {object} args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise<string>} - the result of saving the sprite drawing.
+     */
+    downloadSpriteDrawingAsPDF (args, util) {
+        const target = util.target;
+        let fileName = Cast.toString(args.FILENAME);
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.drawing) {
+            return 'no drawing';
+        }
+        // eslint-disable-next-line no-alert
+        if (fileName === null || fileName === '') {
+            fileName = target.sprite.name;
+        }
+        const saveSVG = this._createDrawingSVG();
+        this._addSpriteDrawingTo(target, saveSVG);
+        return this._savePDFAsFile(saveSVG, fileName);
+    }
+
+    /**
+     * Save all drawings as a file of the format.
+     * @param {object} args - the block arguments.
+     * @param {string} args.FILENAME - the name of the file to save.
+     * @param {string} args.FORMAT - the format to save (svg, pdf, gcode, hpgl, png or dxf).
+     * @param {number} [args.DPI] - the resolution for PNG image.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string|Promise<string>} - the result of saving the drawing.
+     */
+    downloadAllDrawing (args, util) {
+        // eslint-disable-next-line no-alert
+        let fileName = Cast.toString(args.FILENAME);
+        const format = args.FORMAT || VPenBlocks.FILE_FORMATS.SVG;
+        if (fileName === null || fileName === '') {
+            fileName = 'vpen';
+        }
+        const saveSVG = this._createDrawingSVG();
+        const includeHidden = format !== VPenBlocks.FILE_FORMATS.PDF;
+        const saveTargets = util.runtime.targets
+            .filter(target => target.isSprite())
+            .sort((a, b) => this._getDrawableOrderFor(a) - this._getDrawableOrderFor(b));
+        if (saveTargets.length === 0) {
+            return 'no drawing';
+        }
+        saveTargets.forEach(target => {
+            this._addSpriteDrawingTo(target, saveSVG, {includeHidden});
+        });
+        if (saveSVG.children().length === 0) {
+            return 'no drawing';
+        }
+        return this._saveDrawingAsFile(saveSVG, fileName, format, {dpi: Cast.toNumber(args.DPI)});
+    }
+
+    /**
+     * Save all drawings as a PNG image at the resolution.
+     * @param {object} args - the block arguments.
+     * @param {number} args.DPI - the resolution of the image [dpi].
+     * @param {string} args.FILENAME - the name of the file to save.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string|Promise<string>} - the result of saving the drawing.
+     */
+    downloadAllDrawingAsPNG (args, util) {
+        const dpi = Math.min(VPenBlocks.MAX_PNG_DPI, Cast.toNumber(args.DPI));
+        if (dpi <= 0) {
+            return 'invalid dpi';
+        }
+        return this.downloadAllDrawing({
+            FORMAT: VPenBlocks.FILE_FORMATS.PNG,
+            FILENAME: args.FILENAME,
+            DPI: dpi
+        }, util);
+    }
+
+    /**
+     * Save all drawings as a PDF file.
+     * @param {object} args - the block arguments.
+     * @param {string} args.FILENAME - the name of the file to save.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise<string>} - the result of saving the PDF drawing.
+     */
+    downloadAllDrawingAsPDF (args, util) {
+        // eslint-disable-next-line no-alert
+        let fileName = Cast.toString(args.FILENAME);
+        if (fileName === null || fileName === '') {
+            fileName = 'vpen';
+        }
+        const saveSVG = this._createDrawingSVG();
+        const saveTargets = util.runtime.targets
+            .filter(target => target.isSprite())
+            .sort((a, b) => this._getDrawableOrderFor(a) - this._getDrawableOrderFor(b));
+        if (saveTargets.length === 0) {
+            return 'no drawing';
+        }
+        saveTargets.forEach(target => {
+            this._addSpriteDrawingTo(target, saveSVG);
+        });
+        if (saveSVG.children().length === 0) {
+            return 'no drawing';
+        }
+        return this._savePDFAsFile(saveSVG, fileName);
+    }
+
+    /**
+     * Convert an SVG length to mm.
+     * @param {string} length - the length with unit (e.g. '210mm').
+     * @returns {number?} - the length in mm or null if it could not be converted.
+     */
+    _lengthToMM (length) {
+        const match = /^\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*([a-z]*)\s*$/i.exec(length || '');
+        if (!match) {
+            return null;
+        }
+        const mmPerUnit = VPenBlocks.MM_PER_LENGTH_UNIT[match[2].toLowerCase()];
+        if (typeof mmPerUnit === 'undefined') {
+            return null;
+        }
+        return parseFloat(match[1]) * mmPerUnit;
+    }
+
+    /**
+     * Get SVG markup from a string which is SVG markup or a data URL of SVG.
+     * @param {string} source - SVG markup or a data URL.
+     * @returns {string?} - the SVG markup or null if the source is not SVG.
+     */
+    _svgMarkupFrom (source) {
+        const text = source.trim();
+        if (text.startsWith('<')) {
+            return text;
+        }
+        const dataURL = /^data:image\/svg\+xml(;[^,]*)?,(.*)$/s.exec(text);
+        if (!dataURL) {
+            return null;
+        }
+        try {
+            if (dataURL[1] && dataURL[1].split(';').includes('base64')) {
+                // Decode the bytes as UTF-8.
+                return decodeURIComponent(Array.from(atob(dataURL[2]),
+                    c => `%${c.charCodeAt(0).toString(16)
+                        .padStart(2, '0')}`).join(''));
+            }
+            return decodeURIComponent(dataURL[2]);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Import SVG into the drawing of the target.
+     * The contents are scaled by the physical size of the SVG and the current step/mm,
+     * and placed so that the origin of the SVG is at the top-left corner of the stage.
+     * Anything which is not allowed in a drawing, such as scripts and event handlers, is dropped.
+     * @param {Target} target - the target to import the SVG into.
+     * @param {string} source - SVG markup or a data URL of SVG.
+     * @returns {boolean} - true if the SVG was imported.
+     */
+    _importSVGTo (target, source) {
+        const markup = this._svgMarkupFrom(source);
+        if (!markup) {
+            return false;
+        }
+        const svgDocument = new DOMParser().parseFromString(markup, 'image/svg+xml');
+        const svgRoot = svgDocument.documentElement;
+        if (svgRoot.localName !== 'svg' || svgDocument.getElementsByTagName('parsererror').length > 0) {
+            return false;
+        }
+        const pxScale = VPenBlocks.MM_PER_LENGTH_UNIT.px * this.stepPerMM;
+        let scaleX = pxScale;
+        let scaleY = pxScale;
+        let originX = 0;
+        let originY = 0;
+        const viewBox = (svgRoot.getAttribute('viewBox') || '')
+            .trim()
+            .split(/[\s,]+/)
+            .map(Number);
+        if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+            [originX, originY] = viewBox;
+            const widthMM = this._lengthToMM(svgRoot.getAttribute('width'));
+            const heightMM = this._lengthToMM(svgRoot.getAttribute('height'));
+            scaleX = widthMM ? (widthMM * this.stepPerMM) / viewBox[2] : scaleX;
+            scaleY = heightMM ? (heightMM * this.stepPerMM) / viewBox[3] : scaleY;
+        }
+        sanitizeSVG(svgRoot);
+        const penState = this._getPenState(target);
+        const importGroup = penState.drawing.group();
+        importGroup.attr('transform',
+            `matrix(${scaleX},0,0,${scaleY},${-originX * scaleX},${-originY * scaleY})`);
+        Array.from(svgRoot.childNodes).forEach(node => {
+            importGroup.node.appendChild(document.importNode(node, true));
+        });
+        // The stroke widths of the imported SVG are unknown, so check them in convertSVGForPenLayer().
+        penState.hasThinLines = true;
+        this._updatePenSkinFor(target);
+        return true;
+    }
+
+    /**
+     * Let the user select an SVG file and read its contents.
+     * @returns {Promise<string?>} - a promise that resolves with the contents or null when canceled.
+     */
+    _openSVGFile () {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.svg,image/svg+xml';
+            let isSettled = false;
+            let onFocus = null;
+            const settle = contents => {
+                if (isSettled) {
+                    return;
+                }
+                isSettled = true;
+                window.removeEventListener('focus', onFocus);
+                resolve(contents);
+            };
+            // Some browsers have no cancel event, but the window gets the focus again when the dialog closed.
+            onFocus = () => {
+                setTimeout(() => {
+                    if (input.files.length === 0) {
+                        settle(null);
+                    }
+                }, VPenBlocks.FILE_DIALOG_WAIT);
+            };
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) {
+                    settle(null);
+                    return;
+                }
+                file.text()
+                    .then(settle)
+                    .catch(() => settle(null));
+            });
+            input.addEventListener('cancel', () => settle(null));
+            window.addEventListener('focus', onFocus);
+            input.click();
+            setTimeout(() => {
+                if (document.hasFocus() && input.files.length === 0) {
+                    // The browser did not open the dialog without a user action, such as by the green flag.
+                    settle(null);
+                }
+            }, VPenBlocks.FILE_DIALOG_WAIT);
+        });
+    }
+
+    /**
+     * Import SVG markup or a data URL of SVG into the drawing of the sprite.
+     * @param {object} args - the block arguments.
+     * @param {string} args.SVG - SVG markup or a data URL of SVG.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string} - the result of importing.
+     */
+    importSVG (args, util) {
+        const target = util.target;
+        if (!this._importSVGTo(target, Cast.toString(args.SVG))) {
+            return 'not SVG';
+        }
+        return 'imported';
+    }
+
+    /**
+     * Import an SVG file which is selected by the user into the drawing of the sprite.
+     * @param {object} _args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise<string>} - a promise that resolves with the result of importing.
+     */
+    importSVGFile (_args, util) {
+        const target = util.target;
+        return this._openSVGFile()
+            .then(svgText => {
+                if (svgText === null) {
+                    return 'canceled';
+                }
+                if (!this._importSVGTo(target, svgText)) {
+                    return 'not SVG';
+                }
+                return 'imported';
+            });
+    }
+
+    /**
+     * Return the drawing of this sprite as SVG markup.
+     * The SVG has the same size in mm as the downloaded file.
+     * @param {object} _args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string} - the SVG markup or empty string if there is no drawing.
+     */
+    drawingSVG (_args, util) {
+        const target = util.target;
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.drawing) {
+            return '';
+        }
+        const drawingSVG = this._createDrawingSVG();
+        this._copyDrawingTo(penState, drawingSVG);
+        return drawingSVG
+            .size(
+                `${this.stageWidth / this.stepPerMM}mm`,
+                `${this.stageHeight / this.stepPerMM}mm`
+            )
+            .svg();
+    }
+
+    /**
+     * Return the path data of the current line or the last finished line of this sprite.
+     * @param {object} _args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {string} - the path data or empty string if there is no line.
+     */
+    lastPathData (_args, util) {
+        const target = util.target;
+        const penState = this._penStateFor(target);
+        if (!penState || !penState.drawing) {
+            return '';
+        }
+        const lastPath = penState.penPath ||
+            penState.drawing.children()
+                .filter(child => child.type === 'path')
+                .pop();
+        if (!lastPath) {
+            return '';
+        }
+        return lastPath.attr('d').trim();
+    }
+
+    /**
+     * Remove the last drawing of the sprite.
+     * @param {object} _args - the block arguments.
+     * @param {object} util - utility object provided by the runtime.
+     */
+    eraseLast (_args, util) {
+        const target = util.target;
+        const penState = this._penStateFor(target);
+        if (penState && penState.drawing) {
+            const drawings = penState.drawing.children().filter(child => child.type !== 'defs');
+            if (drawings.length > 0) {
+                const lastDrawing = drawings[drawings.length - 1];
+                let part = lastDrawing.prev();
+                while (part &&
+                    (part.hasClass(VPenBlocks.HATCH_CLASS) || part.hasClass(VPenBlocks.SYMMETRY_CLASS))) {
+                    // The hatches and the copies in the symmetry are parts of the drawing.
+                    const previous = part.prev();
+                    part.remove();
+                    part = previous;
+                }
+                lastDrawing.remove();
+                this._updatePenSkinFor(target);
             }
         }
     }
@@ -1389,142 +4435,745 @@ class VPenBlocks {
             showStatusButton: false,
             blocks: [
                 {
-                    opcode: 'stamp',
+                    opcode: 'stamp',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'pen.stamp',
+                        default: 'stamp',
+                        description: 'stamp a copy of the sprite'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'makeCostumeFromDrawing',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.makeCostumeFromDrawing',
+                        default: 'make costume from drawing named [NAME] for [SPRITE]',
+                        description: 'make a costume from the drawing of the sprite'
+                    }),
+                    arguments: {
+                        NAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'drawing'
+                        },
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            menu: 'spriteMenu',
+                            defaultValue: '_myself_'
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'penDown',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.penDown',
+                        default: '[PEN_TYPE] pen down',
+                        description: 'start leaving a trail when the sprite moves'
+                    }),
+                    arguments: {
+                        PEN_TYPE: {
+                            type: ArgumentType.STRING,
+                            menu: 'penTypesMenu'
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'penUp',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'pen.penUp',
+                        default: 'pen up',
+                        description: 'stop leaving a trail behind the sprite'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'plot',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.plot',
+                        default: 'plot',
+                        description: 'plot a node of the path'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                '---',
+                {
+                    opcode: 'startNewSubpath',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.startNewSubpath',
+                        default: 'start new subpath',
+                        description: 'start a new subpath in the current line'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'closePath',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.closePath',
+                        default: 'close path',
+                        description: 'connect the end of the current line to the start'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setAutoClose',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setAutoClose',
+                        default: 'turn auto-close [AUTO_CLOSE]',
+                        description: 'set whether to close lines which end near the start'
+                    }),
+                    arguments: {
+                        AUTO_CLOSE: {
+                            type: ArgumentType.STRING,
+                            menu: 'autoCloseMenu',
+                            defaultValue: VPenBlocks.AUTO_CLOSE_STATES.OFF
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setAutoCloseDistance',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setAutoCloseDistance',
+                        default: 'set auto-close distance to [DISTANCE] mm',
+                        description: 'set the distance between the end and the start to close lines'
+                    }),
+                    arguments: {
+                        DISTANCE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 4
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'arcTo',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.arcTo',
+                        default: 'arc to x: [X] y: [Y] radius [RADIUS] [SWEEP] [ARC_SIZE]',
+                        description: 'draw an arc to the position'
+                    }),
+                    arguments: {
+                        X: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        },
+                        Y: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        RADIUS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 50
+                        },
+                        SWEEP: {
+                            type: ArgumentType.STRING,
+                            menu: 'arcSweepMenu',
+                            defaultValue: VPenBlocks.ARC_SWEEPS.CLOCKWISE
+                        },
+                        ARC_SIZE: {
+                            type: ArgumentType.STRING,
+                            menu: 'arcSizeMenu',
+                            defaultValue: VPenBlocks.ARC_SIZES.SMALL
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'curveTo',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.curveTo',
+                        default: 'curve to x: [X] y: [Y] via x: [X1] y: [Y1] and x: [X2] y: [Y2]',
+                        description: 'draw a cubic Bézier curve to the position'
+                    }),
+                    arguments: {
+                        X: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        },
+                        Y: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        X1: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        Y1: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        },
+                        X2: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        },
+                        Y2: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'writeText',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.writeText',
+                        default: 'write [TEXT] in [TEXT_STYLE] size [SIZE] mm',
+                        description: 'write text from the sprite'
+                    }),
+                    arguments: {
+                        TEXT: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'Hello!'
+                        },
+                        TEXT_STYLE: {
+                            type: ArgumentType.STRING,
+                            menu: 'textStyleMenu',
+                            defaultValue: VPenBlocks.TEXT_STYLES.SINGLE_STROKE
+                        },
+                        SIZE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'drawPath',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'pen.stamp',
-                        default: 'stamp',
-                        description: 'stamp a copy of the sprite'
+                        id: 'xcxVPen.drawPath',
+                        default: 'draw path [D] in [UNIT]',
+                        description: 'draw a path by SVG path data from the sprite'
                     }),
+                    arguments: {
+                        D: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'M 0 0 L 20 0 L 10 20 Z'
+                        },
+                        UNIT: {
+                            type: ArgumentType.STRING,
+                            menu: 'pathUnitMenu',
+                            defaultValue: VPenBlocks.PATH_UNITS.MM
+                        }
+                    },
                     filter: [TargetType.SPRITE]
                 },
                 {
-                    opcode: 'penDown',
+                    opcode: 'drawRectangle',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.penDown',
-                        default: '[PEN_TYPE] pen down',
-                        description: 'start leaving a trail when the sprite moves'
+                        id: 'xcxVPen.drawRectangle',
+                        default: 'draw rectangle [WIDTH] x [HEIGHT] mm',
+                        description: 'draw a rectangle centered on the sprite'
                     }),
                     arguments: {
-                        PEN_TYPE: {
+                        WIDTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 20
+                        },
+                        HEIGHT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'drawEllipse',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.drawEllipse',
+                        default: 'draw ellipse [WIDTH] x [HEIGHT] mm',
+                        description: 'draw an ellipse centered on the sprite'
+                    }),
+                    arguments: {
+                        WIDTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 20
+                        },
+                        HEIGHT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'drawCircle',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.drawCircle',
+                        default: 'draw circle radius [RADIUS] mm',
+                        description: 'draw a circle centered on the sprite'
+                    }),
+                    arguments: {
+                        RADIUS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'drawPolygon',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.drawPolygon',
+                        default: 'draw [SIDES]-sided polygon radius [RADIUS] mm',
+                        description: 'draw a regular polygon centered on the sprite'
+                    }),
+                    arguments: {
+                        SIDES: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 6
+                        },
+                        RADIUS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'drawStar',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.drawStar',
+                        default: 'draw [POINTS]-point star radius [OUTER] mm inner [INNER] mm',
+                        description: 'draw a star centered on the sprite'
+                    }),
+                    arguments: {
+                        POINTS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 5
+                        },
+                        OUTER: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        },
+                        INNER: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 4
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                '---',
+                {
+                    opcode: 'setPenColorToColor',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'pen.setColor',
+                        default: 'set pen color to [COLOR]',
+                        description: 'set the pen color'
+                    }),
+                    arguments: {
+                        COLOR: {
+                            type: ArgumentType.COLOR
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setPenOpacity',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setPenOpacity',
+                        default: 'set pen opacity to [OPACITY]',
+                        description: 'set the vpen opacity'
+                    }),
+                    arguments: {
+                        OPACITY: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setPenSizeTo',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setSize',
+                        default: 'set pen size to [SIZE] mm',
+                        description: 'set the diameter of a trail left by a sprite'
+                    }),
+                    arguments: {
+                        SIZE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setLineCap',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setLineCap',
+                        default: 'set line cap to [LINE_CAP]',
+                        description: 'set the shape of the ends of lines'
+                    }),
+                    arguments: {
+                        LINE_CAP: {
                             type: ArgumentType.STRING,
-                            menu: 'penTypesMenu'
+                            menu: 'lineCapMenu',
+                            defaultValue: VPenBlocks.LINE_CAPS.BUTT
                         }
                     },
                     filter: [TargetType.SPRITE]
                 },
                 {
-                    opcode: 'penUp',
+                    opcode: 'setLineJoin',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'pen.penUp',
-                        default: 'pen up',
-                        description: 'stop leaving a trail behind the sprite'
+                        id: 'xcxVPen.setLineJoin',
+                        default: 'set line join to [LINE_JOIN] miter limit [MITER_LIMIT]',
+                        description: 'set the shape of the corners of lines'
+                    }),
+                    arguments: {
+                        LINE_JOIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'lineJoinMenu',
+                            defaultValue: VPenBlocks.LINE_JOINS.MITER
+                        },
+                        MITER_LIMIT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 4
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setDashPattern',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setDashPattern',
+                        default: 'set dash pattern to [PATTERN] mm',
+                        description: 'set the lengths of dashes and gaps of lines'
+                    }),
+                    arguments: {
+                        PATTERN: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '5 2'
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setDashOffset',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setDashOffset',
+                        default: 'set dash offset to [OFFSET] mm',
+                        description: 'set the distance into the dash pattern to start lines'
+                    }),
+                    arguments: {
+                        OFFSET: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setLineShape',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setLineShape',
+                        default: 'set line shape to [LINE_SHAPE]',
+                        description: 'set the shape of a line'
+                    }),
+                    arguments: {
+                        LINE_SHAPE: {
+                            type: ArgumentType.STRING,
+                            menu: 'lineShapesMenu'
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setCurveTension',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setCurveTension',
+                        default: 'set curve tension to [TENSION]',
+                        description: 'set the tension of the spline line shape'
+                    }),
+                    arguments: {
+                        TENSION: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setSimplifyTolerance',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setSimplifyTolerance',
+                        default: 'simplify lines with tolerance [TOLERANCE] mm',
+                        description: 'set the tolerance to simplify lines when the pen is up'
+                    }),
+                    arguments: {
+                        TOLERANCE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0.2
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setCalligraphy',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setCalligraphy',
+                        default: 'set calligraphy width by [CALLIGRAPHY]',
+                        description: 'set the way to change the width along lines'
+                    }),
+                    arguments: {
+                        CALLIGRAPHY: {
+                            type: ArgumentType.STRING,
+                            menu: 'calligraphyMenu',
+                            defaultValue: VPenBlocks.CALLIGRAPHY_MODES.SPEED
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setPenPressure',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setPenPressure',
+                        default: 'set pen pressure to [PRESSURE] %',
+                        description: 'set the pressure of the pen for calligraphy'
+                    }),
+                    arguments: {
+                        PRESSURE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setNibAngle',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setNibAngle',
+                        default: 'set nib angle to [ANGLE]',
+                        description: 'set the angle of the nib for calligraphy'
+                    }),
+                    arguments: {
+                        ANGLE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 45
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setSymmetry',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setSymmetry',
+                        default: 'set symmetry to [SYMMETRY]',
+                        description: 'set the symmetry to draw copies of lines'
+                    }),
+                    arguments: {
+                        SYMMETRY: {
+                            type: ArgumentType.STRING,
+                            menu: 'symmetryMenu',
+                            defaultValue: VPenBlocks.SYMMETRY_MODES.KALEIDOSCOPE
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setSymmetryFolds',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setSymmetryFolds',
+                        default: 'set symmetry folds to [FOLDS]',
+                        description: 'set the number of the rotations in the symmetry'
+                    }),
+                    arguments: {
+                        FOLDS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 6
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'setSymmetryCenter',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setSymmetryCenter',
+                        default: 'set symmetry center to x: [X] y: [Y]',
+                        description: 'set the center of the symmetry'
                     }),
+                    arguments: {
+                        X: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        Y: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        }
+                    },
                     filter: [TargetType.SPRITE]
                 },
                 {
-                    opcode: 'plot',
+                    opcode: 'setFillColorToColor',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.plot',
-                        default: 'plot',
-                        description: 'plot a node of the path'
+                        id: 'xcxVPen.setFillColorToColor',
+                        default: 'set fill color to [COLOR]',
+                        description: 'set fill color of the pen'
                     }),
+                    arguments: {
+                        COLOR: {
+                            type: ArgumentType.COLOR
+                        }
+                    },
                     filter: [TargetType.SPRITE]
                 },
-                '---',
                 {
-                    opcode: 'setPenColorToColor',
+                    opcode: 'setLinearGradient',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'pen.setColor',
-                        default: 'set pen color to [COLOR]',
-                        description: 'set the pen color'
+                        id: 'xcxVPen.setLinearGradient',
+                        default: 'set [PART] to linear gradient from [COLOR1] to [COLOR2] angle [ANGLE]',
+                        description: 'set a linear gradient to the pen or the fill'
                     }),
                     arguments: {
-                        COLOR: {
-                            type: ArgumentType.COLOR
+                        PART: {
+                            type: ArgumentType.STRING,
+                            menu: 'paintPartMenu',
+                            defaultValue: VPenBlocks.PAINT_PARTS.FILL
+                        },
+                        COLOR1: {
+                            type: ArgumentType.COLOR,
+                            defaultValue: '#ffff00'
+                        },
+                        COLOR2: {
+                            type: ArgumentType.COLOR,
+                            defaultValue: '#ff0000'
+                        },
+                        ANGLE: {
+                            type: ArgumentType.ANGLE,
+                            defaultValue: 90
                         }
                     },
                     filter: [TargetType.SPRITE]
                 },
                 {
-                    opcode: 'setPenOpacity',
+                    opcode: 'setRadialGradient',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.setPenOpacity',
-                        default: 'set pen opacity to [OPACITY]',
-                        description: 'set the vpen opacity'
+                        id: 'xcxVPen.setRadialGradient',
+                        default: 'set [PART] to radial gradient from [COLOR1] to [COLOR2]',
+                        description: 'set a radial gradient to the pen or the fill'
                     }),
                     arguments: {
-                        OPACITY: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 100
+                        PART: {
+                            type: ArgumentType.STRING,
+                            menu: 'paintPartMenu',
+                            defaultValue: VPenBlocks.PAINT_PARTS.FILL
+                        },
+                        COLOR1: {
+                            type: ArgumentType.COLOR,
+                            defaultValue: '#ffffff'
+                        },
+                        COLOR2: {
+                            type: ArgumentType.COLOR,
+                            defaultValue: '#0000ff'
                         }
                     },
                     filter: [TargetType.SPRITE]
                 },
                 {
-                    opcode: 'setPenSizeTo',
+                    opcode: 'setFillOpacity',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.setSize',
-                        default: 'set pen size to [SIZE] mm',
-                        description: 'set the diameter of a trail left by a sprite'
+                        id: 'xcxVPen.setFillOpacity',
+                        default: 'set fill opacity to [OPACITY]',
+                        description: 'set fill opacity of the pen'
                     }),
                     arguments: {
-                        SIZE: {
+                        OPACITY: {
                             type: ArgumentType.NUMBER,
-                            defaultValue: 1
+                            defaultValue: 100
                         }
                     },
                     filter: [TargetType.SPRITE]
                 },
                 {
-                    opcode: 'setLineShape',
+                    opcode: 'setFillRule',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.setLineShape',
-                        default: 'set line shape to [LINE_SHAPE]',
-                        description: 'set the shape of a line'
+                        id: 'xcxVPen.setFillRule',
+                        default: 'set fill rule to [FILL_RULE]',
+                        description: 'set the rule to decide the inside of the lines to fill'
                     }),
                     arguments: {
-                        LINE_SHAPE: {
+                        FILL_RULE: {
                             type: ArgumentType.STRING,
-                            menu: 'lineShapesMenu'
+                            menu: 'fillRuleMenu',
+                            defaultValue: VPenBlocks.FILL_RULES.EVENODD
                         }
                     },
                     filter: [TargetType.SPRITE]
                 },
                 {
-                    opcode: 'setFillColorToColor',
+                    opcode: 'setFillMode',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.setFillColorToColor',
-                        default: 'set fill color to [COLOR]',
-                        description: 'set fill color of the pen'
+                        id: 'xcxVPen.setFillMode',
+                        default: 'set fill mode to [FILL_MODE]',
+                        description: 'set the way to fill closed lines'
                     }),
                     arguments: {
-                        COLOR: {
-                            type: ArgumentType.COLOR
+                        FILL_MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'fillModeMenu',
+                            defaultValue: VPenBlocks.FILL_MODES.HATCH
                         }
                     },
                     filter: [TargetType.SPRITE]
                 },
                 {
-                    opcode: 'setFillOpacity',
+                    opcode: 'setHatch',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.setFillOpacity',
-                        default: 'set fill opacity to [OPACITY]',
-                        description: 'set fill opacity of the pen'
+                        id: 'xcxVPen.setHatch',
+                        default: 'set hatch spacing [SPACING] mm angle [ANGLE]',
+                        description: 'set the spacing and the angle of the hatch lines'
                     }),
                     arguments: {
-                        OPACITY: {
+                        SPACING: {
                             type: ArgumentType.NUMBER,
-                            defaultValue: 100
+                            defaultValue: 2
+                        },
+                        ANGLE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 45
                         }
                     },
                     filter: [TargetType.SPRITE]
@@ -1588,144 +5237,438 @@ class VPenBlocks {
                     filter: [TargetType.SPRITE]
                 },
                 {
-                    opcode: 'isDrawingShown',
-                    blockType: BlockType.BOOLEAN,
+                    opcode: 'isDrawingShown',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxVPen.isDrawingShown',
+                        default: 'drawing shown?',
+                        description: 'is the drawing of this sprite visible?'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                '---',
+                {
+                    opcode: 'clearAll',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.clearAll',
+                        default: 'erase all drawings',
+                        description: 'erase all pen trails and stamps'
+                    })
+                },
+                {
+                    opcode: 'clear',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.clear',
+                        default: 'erase drawings of this sprite',
+                        description: 'clear the pen trails of the sprite'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'eraseLast',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.eraseLast',
+                        default: 'erase last drawing',
+                        description: 'remove the last drawing of the sprite'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'simplifyDrawing',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.simplifyDrawing',
+                        default: 'simplify drawing of [SPRITE] with tolerance [TOLERANCE] mm',
+                        description: 'simplify the lines which have been drawn by the sprite'
+                    }),
+                    arguments: {
+                        SPRITE: {
+                            type: ArgumentType.STRING,
+                            menu: 'spriteMenu',
+                            defaultValue: '_myself_'
+                        },
+                        TOLERANCE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0.2
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                '---',
+                {
+                    opcode: 'stepForMM',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxVPen.stepForMM',
+                        default: 'steps for [MM] mm',
+                        description: 'convert millimeters to steps'
+                    }),
+                    arguments: {
+                        MM: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    }
+                },
+                {
+                    opcode: 'mmForStep',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxVPen.mmForStep',
+                        default: 'mm for [STEP] steps',
+                        description: 'convert steps to millimeters'
+                    }),
+                    arguments: {
+                        STEP: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        }
+                    }
+                },
+                {
+                    opcode: 'getStepPerMM',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxVPen.getStepPerMM',
+                        default: 'step/mm',
+                        description: 'step per mm'
+                    })
+                },
+                {
+                    opcode: 'setStepPerMM',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setStepPerMM',
+                        default: 'set step/mm to [STEP_PER_MM]',
+                        description: 'set step per mm'
+                    }),
+                    arguments: {
+                        STEP_PER_MM: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 2
+                        }
+                    }
+                },
+                {
+                    opcode: 'setSnapGrid',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.setSnapGrid',
+                        default: 'set snap grid to [GRID] mm',
+                        description: 'set the spacing of the grid to snap the positions of lines to'
+                    }),
+                    arguments: {
+                        GRID: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 5
+                        }
+                    }
+                },
+                {
+                    opcode: 'snapOff',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.snapOff',
+                        default: 'snap off',
+                        description: 'stop snapping the positions of lines to the grid'
+                    })
+                },
+                {
+                    opcode: 'showSnapGrid',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.showSnapGrid',
+                        default: 'show snap grid',
+                        description: 'show the snap grid on the stage'
+                    })
+                },
+                {
+                    opcode: 'hideSnapGrid',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.hideSnapGrid',
+                        default: 'hide snap grid',
+                        description: 'hide the snap grid on the stage'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'drawingSVG',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxVPen.drawingSVG',
+                        default: 'SVG of my drawing',
+                        description: 'SVG markup of the drawing of the sprite'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'lastPathData',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxVPen.lastPathData',
+                        default: 'path data of last line',
+                        description: 'path data of the last line of the sprite'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'downloadAllDrawing',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.downloadAllDrawing',
+                        default: 'download all drawings as [FORMAT] named [FILENAME]',
+                        description: 'download all sprites as SVG or PDF'
+                    }),
+                    arguments: {
+                        FORMAT: {
+                            type: ArgumentType.STRING,
+                            menu: 'fileFormatMenu',
+                            defaultValue: VPenBlocks.FILE_FORMATS.SVG
+                        },
+                        FILENAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'vpen'
+                        }
+                    }
+                },
+                {
+                    opcode: 'downloadSpriteDrawing',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.downloadSpriteDrawing',
+                        default: 'download drawing by the sprite as [FORMAT] named [FILENAME]',
+                        description: 'download sprite drawing as SVG or PDF'
+                    }),
+                    arguments: {
+                        FORMAT: {
+                            type: ArgumentType.STRING,
+                            menu: 'fileFormatMenu',
+                            defaultValue: VPenBlocks.FILE_FORMATS.SVG
+                        },
+                        FILENAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'sprite'
+                        }
+                    },
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'downloadSpriteDrawingAsPNG',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.isDrawingShown',
-                        default: 'drawing shown?',
-                        description: 'is the drawing of this sprite visible?'
+                        id: 'xcxVPen.downloadSpriteDrawingAsPNG',
+                        default: 'download drawing by the sprite as PNG at [DPI] dpi named [FILENAME]',
+                        description: 'download sprite drawing as PNG image at the resolution'
                     }),
+                    arguments: {
+                        DPI: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: VPenBlocks.DEFAULT_PNG_DPI
+                        },
+                        FILENAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'sprite'
+                        }
+                    },
                     filter: [TargetType.SPRITE]
                 },
-                '---',
                 {
-                    opcode: 'clearAll',
+                    opcode: 'downloadAllDrawingAsPNG',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.clearAll',
-                        default: 'erase all drawings',
-                        description: 'erase all pen trails and stamps'
-                    })
+                        id: 'xcxVPen.downloadAllDrawingAsPNG',
+                        default: 'download all drawings as PNG at [DPI] dpi named [FILENAME]',
+                        description: 'download all sprites as PNG image at the resolution'
+                    }),
+                    arguments: {
+                        DPI: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: VPenBlocks.DEFAULT_PNG_DPI
+                        },
+                        FILENAME: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'vpen'
+                        }
+                    }
                 },
                 {
-                    opcode: 'clear',
+                    opcode: 'setPage',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.clear',
-                        default: 'erase drawings of this sprite',
-                        description: 'clear the pen trails of the sprite'
+                        id: 'xcxVPen.setPage',
+                        default: 'set page to [PAPER] [ORIENTATION] margin [MARGIN] mm',
+                        description: 'set the page for paged outputs'
                     }),
-                    filter: [TargetType.SPRITE]
+                    arguments: {
+                        PAPER: {
+                            type: ArgumentType.STRING,
+                            menu: 'paperSizeMenu',
+                            defaultValue: VPenBlocks.PAPER_SIZES.A4
+                        },
+                        ORIENTATION: {
+                            type: ArgumentType.STRING,
+                            menu: 'pageOrientationMenu',
+                            defaultValue: VPenBlocks.PAGE_ORIENTATIONS.LANDSCAPE
+                        },
+                        MARGIN: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    }
                 },
                 {
-                    opcode: 'eraseLast',
+                    opcode: 'setCustomPageSize',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.eraseLast',
-                        default: 'erase last drawing',
-                        description: 'remove the last drawing of the sprite'
+                        id: 'xcxVPen.setCustomPageSize',
+                        default: 'set custom page size to [WIDTH] x [HEIGHT] mm',
+                        description: 'set the size of the custom page'
                     }),
-                    filter: [TargetType.SPRITE]
+                    arguments: {
+                        WIDTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: VPenBlocks.DEFAULT_PAGE_SETUP.customWidth
+                        },
+                        HEIGHT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: VPenBlocks.DEFAULT_PAGE_SETUP.customHeight
+                        }
+                    }
                 },
-                '---',
                 {
-                    opcode: 'stepForMM',
-                    blockType: BlockType.REPORTER,
+                    opcode: 'setPageFit',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.stepForMM',
-                        default: 'steps for [MM] mm',
-                        description: 'convert millimeters to steps'
+                        id: 'xcxVPen.setPageFit',
+                        default: 'set page fit to [FIT]',
+                        description: 'set the way to fit the drawing in the page'
                     }),
                     arguments: {
-                        MM: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 10
+                        FIT: {
+                            type: ArgumentType.STRING,
+                            menu: 'pageFitMenu',
+                            defaultValue: VPenBlocks.PAGE_FITS.ACTUAL
                         }
                     }
                 },
                 {
-                    opcode: 'mmForStep',
-                    blockType: BlockType.REPORTER,
+                    opcode: 'setPlotterOrigin',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.mmForStep',
-                        default: 'mm for [STEP] steps',
-                        description: 'convert steps to millimeters'
+                        id: 'xcxVPen.setPlotterOrigin',
+                        default: 'set plotter origin to [ORIGIN]',
+                        description: 'set the origin for plotter outputs'
                     }),
                     arguments: {
-                        STEP: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 100
+                        ORIGIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'plotterOriginMenu',
+                            defaultValue: VPenBlocks.PLOTTER_ORIGINS.BOTTOM_LEFT
                         }
                     }
                 },
                 {
-                    opcode: 'getStepPerMM',
-                    blockType: BlockType.REPORTER,
+                    opcode: 'setGCodePenCommand',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.getStepPerMM',
-                        default: 'step/mm',
-                        description: 'step per mm'
-                    })
+                        id: 'xcxVPen.setGCodePenCommand',
+                        default: 'set G-code for pen [PEN_ACTION] to [COMMAND]',
+                        description: 'set the G-code to lift or lower the pen'
+                    }),
+                    arguments: {
+                        PEN_ACTION: {
+                            type: ArgumentType.STRING,
+                            menu: 'penActionMenu',
+                            defaultValue: VPenBlocks.PEN_ACTIONS.UP
+                        },
+                        COMMAND: {
+                            type: ArgumentType.STRING,
+                            defaultValue: VPenBlocks.DEFAULT_PLOTTER_SETTINGS.gcodePenUp
+                        }
+                    }
                 },
                 {
-                    opcode: 'setStepPerMM',
+                    opcode: 'setGCodeFeedRate',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.setStepPerMM',
-                        default: 'set step/mm to [STEP_PER_MM]',
-                        description: 'set step per mm'
+                        id: 'xcxVPen.setGCodeFeedRate',
+                        default: 'set G-code feed rate for [MOVE] to [RATE] mm/min',
+                        description: 'set the G-code feed rate'
                     }),
                     arguments: {
-                        STEP_PER_MM: {
+                        MOVE: {
+                            type: ArgumentType.STRING,
+                            menu: 'plotterMoveMenu',
+                            defaultValue: VPenBlocks.PLOTTER_MOVES.DRAW
+                        },
+                        RATE: {
                             type: ArgumentType.NUMBER,
-                            defaultValue: 2
+                            defaultValue: VPenBlocks.DEFAULT_PLOTTER_SETTINGS.gcodeDrawFeedRate
                         }
                     }
                 },
-                '---',
                 {
-                    opcode: 'downloadAllDrawing',
+                    opcode: 'setPlotOrder',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.downloadAllDrawing',
-                        default: 'download all drawings as [FORMAT] named [FILENAME]',
-                        description: 'download all sprites as SVG or PDF'
+                        id: 'xcxVPen.setPlotOrder',
+                        default: 'set plot order to [PLOT_ORDER]',
+                        description: 'set the order to draw lines in plotter outputs'
                     }),
                     arguments: {
-                        FORMAT: {
-                            type: ArgumentType.STRING,
-                            menu: 'fileFormatMenu',
-                            defaultValue: 'svg'
-                        },
-                        FILENAME: {
+                        PLOT_ORDER: {
                             type: ArgumentType.STRING,
-                            defaultValue: 'vpen'
+                            menu: 'plotOrderMenu',
+                            defaultValue: VPenBlocks.PLOT_ORDERS.NEAREST_REVERSING
                         }
                     }
                 },
                 {
-                    opcode: 'downloadSpriteDrawing',
+                    opcode: 'travelSavedByPlotOrder',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxVPen.travelSavedByPlotOrder',
+                        default: 'travel saved by plot order (mm)',
+                        description: 'travel distance saved by the plot order in the last export'
+                    })
+                },
+                '---',
+                {
+                    opcode: 'importSVGFile',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'xcxVPen.downloadSpriteDrawing',
-                        default: 'download drawing by the sprite as [FORMAT] named [FILENAME]',
-                        description: 'download sprite drawing as SVG or PDF'
+                        id: 'xcxVPen.importSVGFile',
+                        default: 'import SVG file',
+                        description: 'import an SVG file into the drawing of the sprite'
+                    }),
+                    filter: [TargetType.SPRITE]
+                },
+                {
+                    opcode: 'importSVG',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxVPen.importSVG',
+                        default: 'import SVG [SVG]',
+                        description: 'import SVG markup or data URL into the drawing of the sprite'
                     }),
                     arguments: {
-                        FORMAT: {
-                            type: ArgumentType.STRING,
-                            menu: 'fileFormatMenu',
-                            defaultValue: 'svg'
-                        },
-                        FILENAME: {
+                        SVG: {
                             type: ArgumentType.STRING,
-                            defaultValue: 'sprite'
+                            defaultValue: '<svg></svg>'
                         }
                     },
                     filter: [TargetType.SPRITE]
                 }
             ],
             menus: {
+                spriteMenu: {
+                    acceptReporters: true,
+                    items: 'getSpriteMenuItems'
+                },
                 penTypesMenu: {
                     acceptReporters: false,
                     items: 'getPenTypesMenuItems'
@@ -1734,6 +5677,14 @@ class VPenBlocks {
                     acceptReporters: false,
                     items: 'getLineShapesMenuItems'
                 },
+                calligraphyMenu: {
+                    acceptReporters: false,
+                    items: 'getCalligraphyMenuItems'
+                },
+                symmetryMenu: {
+                    acceptReporters: false,
+                    items: 'getSymmetryMenuItems'
+                },
                 changeLayerMenu: {
                     acceptReporters: false,
                     items: 'getChangeLayerMenuItems'
@@ -1745,28 +5696,428 @@ class VPenBlocks {
                 fileFormatMenu: {
                     acceptReporters: false,
                     items: 'getFileFormatMenuItems'
+                },
+                paperSizeMenu: {
+                    acceptReporters: false,
+                    items: 'getPaperSizeMenuItems'
+                },
+                pageOrientationMenu: {
+                    acceptReporters: false,
+                    items: 'getPageOrientationMenuItems'
+                },
+                pageFitMenu: {
+                    acceptReporters: false,
+                    items: 'getPageFitMenuItems'
+                },
+                plotterOriginMenu: {
+                    acceptReporters: false,
+                    items: 'getPlotterOriginMenuItems'
+                },
+                penActionMenu: {
+                    acceptReporters: false,
+                    items: 'getPenActionMenuItems'
+                },
+                plotterMoveMenu: {
+                    acceptReporters: false,
+                    items: 'getPlotterMoveMenuItems'
+                },
+                arcSweepMenu: {
+                    acceptReporters: false,
+                    items: 'getArcSweepMenuItems'
+                },
+                arcSizeMenu: {
+                    acceptReporters: false,
+                    items: 'getArcSizeMenuItems'
+                },
+                paintPartMenu: {
+                    acceptReporters: false,
+                    items: 'getPaintPartMenuItems'
+                },
+                lineCapMenu: {
+                    acceptReporters: false,
+                    items: 'getLineCapMenuItems'
+                },
+                lineJoinMenu: {
+                    acceptReporters: false,
+                    items: 'getLineJoinMenuItems'
+                },
+                autoCloseMenu: {
+                    acceptReporters: false,
+                    items: 'getAutoCloseMenuItems'
+                },
+                fillRuleMenu: {
+                    acceptReporters: false,
+                    items: 'getFillRuleMenuItems'
+                },
+                fillModeMenu: {
+                    acceptReporters: false,
+                    items: 'getFillModeMenuItems'
+                },
+                textStyleMenu: {
+                    acceptReporters: false,
+                    items: 'getTextStyleMenuItems'
+                },
+                pathUnitMenu: {
+                    acceptReporters: false,
+                    items: 'getPathUnitMenuItems'
+                },
+                plotOrderMenu: {
+                    acceptReporters: false,
+                    items: 'getPlotOrderMenuItems'
                 }
             }
-        };
+        };
+    }
+
+    getSpriteMenuItems () {
+        const spriteNames = this.runtime.targets
+            .filter(target => target.isOriginal && target.isSprite())
+            .map(target => target.sprite.name);
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.spriteMenu.myself',
+                    default: 'myself',
+                    description: 'the sprite itself'
+                }),
+                value: '_myself_'
+            }
+        ].concat(spriteNames);
+    }
+
+    getPenTypesMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.penTypesMenu.trail',
+                    default: 'trail',
+                    description: 'pen type'
+                }),
+                value: VPenBlocks.PEN_TYPES.TRAIL
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.penTypesMenu.plotter',
+                    default: 'plotter',
+                    description: 'plotter pen type'
+                }),
+                value: VPenBlocks.PEN_TYPES.PLOTTER
+            }
+        ];
+    }
+
+    getArcSweepMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.arcSweepMenu.clockwise',
+                    default: 'clockwise',
+                    description: 'sweep the arc clockwise'
+                }),
+                value: VPenBlocks.ARC_SWEEPS.CLOCKWISE
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.arcSweepMenu.counterclockwise',
+                    default: 'counterclockwise',
+                    description: 'sweep the arc counterclockwise'
+                }),
+                value: VPenBlocks.ARC_SWEEPS.COUNTERCLOCKWISE
+            }
+        ];
+    }
+
+    getArcSizeMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.arcSizeMenu.small',
+                    default: 'small arc',
+                    description: 'draw the arc of 180 degrees or less'
+                }),
+                value: VPenBlocks.ARC_SIZES.SMALL
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.arcSizeMenu.large',
+                    default: 'large arc',
+                    description: 'draw the arc of more than 180 degrees'
+                }),
+                value: VPenBlocks.ARC_SIZES.LARGE
+            }
+        ];
+    }
+
+    getPaintPartMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.paintPartMenu.pen',
+                    default: 'pen',
+                    description: 'the line of the pen'
+                }),
+                value: VPenBlocks.PAINT_PARTS.PEN
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.paintPartMenu.fill',
+                    default: 'fill',
+                    description: 'the fill of the pen'
+                }),
+                value: VPenBlocks.PAINT_PARTS.FILL
+            }
+        ];
+    }
+
+    getCalligraphyMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.calligraphyMenu.off',
+                    default: 'off',
+                    description: 'the same width all along the line'
+                }),
+                value: VPenBlocks.CALLIGRAPHY_MODES.OFF
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.calligraphyMenu.speed',
+                    default: 'speed',
+                    description: 'thinner where the sprite moves faster'
+                }),
+                value: VPenBlocks.CALLIGRAPHY_MODES.SPEED
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.calligraphyMenu.pressure',
+                    default: 'pressure',
+                    description: 'the width by the pen pressure'
+                }),
+                value: VPenBlocks.CALLIGRAPHY_MODES.PRESSURE
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.calligraphyMenu.nib',
+                    default: 'nib angle',
+                    description: 'the width by the direction of the line to the nib'
+                }),
+                value: VPenBlocks.CALLIGRAPHY_MODES.NIB
+            }
+        ];
+    }
+
+    getSymmetryMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.symmetryMenu.off',
+                    default: 'off',
+                    description: 'only the line'
+                }),
+                value: VPenBlocks.SYMMETRY_MODES.OFF
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.symmetryMenu.leftRight',
+                    default: 'mirror left and right',
+                    description: 'a copy mirrored across the vertical line'
+                }),
+                value: VPenBlocks.SYMMETRY_MODES.MIRROR_LEFT_RIGHT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.symmetryMenu.topBottom',
+                    default: 'mirror top and bottom',
+                    description: 'a copy mirrored across the horizontal line'
+                }),
+                value: VPenBlocks.SYMMETRY_MODES.MIRROR_TOP_BOTTOM
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.symmetryMenu.rotation',
+                    default: 'rotation',
+                    description: 'copies rotated around the center'
+                }),
+                value: VPenBlocks.SYMMETRY_MODES.ROTATION
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.symmetryMenu.kaleidoscope',
+                    default: 'kaleidoscope',
+                    description: 'rotated copies and their mirror images'
+                }),
+                value: VPenBlocks.SYMMETRY_MODES.KALEIDOSCOPE
+            }
+        ];
     }
 
-    getPenTypesMenuItems () {
+    getLineCapMenuItems () {
         return [
             {
                 text: formatMessage({
-                    id: 'xcxVPen.penTypesMenu.trail',
-                    default: 'trail',
-                    description: 'pen type'
+                    id: 'xcxVPen.lineCapMenu.butt',
+                    default: 'butt',
+                    description: 'flat end at the end point'
                 }),
-                value: VPenBlocks.PEN_TYPES.TRAIL
+                value: VPenBlocks.LINE_CAPS.BUTT
             },
             {
                 text: formatMessage({
-                    id: 'xcxVPen.penTypesMenu.plotter',
-                    default: 'plotter',
-                    description: 'plotter pen type'
+                    id: 'xcxVPen.lineCapMenu.round',
+                    default: 'round',
+                    description: 'round end'
                 }),
-                value: VPenBlocks.PEN_TYPES.PLOTTER
+                value: VPenBlocks.LINE_CAPS.ROUND
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.lineCapMenu.square',
+                    default: 'square',
+                    description: 'flat end beyond the end point'
+                }),
+                value: VPenBlocks.LINE_CAPS.SQUARE
+            }
+        ];
+    }
+
+    getLineJoinMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.lineJoinMenu.miter',
+                    default: 'miter',
+                    description: 'sharp corner'
+                }),
+                value: VPenBlocks.LINE_JOINS.MITER
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.lineJoinMenu.round',
+                    default: 'round',
+                    description: 'round corner'
+                }),
+                value: VPenBlocks.LINE_JOINS.ROUND
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.lineJoinMenu.bevel',
+                    default: 'bevel',
+                    description: 'cut corner'
+                }),
+                value: VPenBlocks.LINE_JOINS.BEVEL
+            }
+        ];
+    }
+
+    getAutoCloseMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.autoCloseMenu.on',
+                    default: 'on',
+                    description: 'close lines which end near the start'
+                }),
+                value: VPenBlocks.AUTO_CLOSE_STATES.ON
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.autoCloseMenu.off',
+                    default: 'off',
+                    description: 'close lines only by the block'
+                }),
+                value: VPenBlocks.AUTO_CLOSE_STATES.OFF
+            }
+        ];
+    }
+
+    getFillRuleMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.fillRuleMenu.nonzero',
+                    default: 'nonzero',
+                    description: 'inside if the lines go around it in one direction more than the other'
+                }),
+                value: VPenBlocks.FILL_RULES.NONZERO
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.fillRuleMenu.evenodd',
+                    default: 'even-odd',
+                    description: 'inside if an odd number of lines go around it'
+                }),
+                value: VPenBlocks.FILL_RULES.EVENODD
+            }
+        ];
+    }
+
+    getFillModeMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.fillModeMenu.solid',
+                    default: 'solid',
+                    description: 'paint with the fill color'
+                }),
+                value: VPenBlocks.FILL_MODES.SOLID
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.fillModeMenu.hatch',
+                    default: 'hatch',
+                    description: 'fill with parallel lines'
+                }),
+                value: VPenBlocks.FILL_MODES.HATCH
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.fillModeMenu.crossHatch',
+                    default: 'cross-hatch',
+                    description: 'fill with crossed lines'
+                }),
+                value: VPenBlocks.FILL_MODES.CROSS_HATCH
+            }
+        ];
+    }
+
+    getTextStyleMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.textStyleMenu.singleStroke',
+                    default: 'single stroke',
+                    description: 'text of single strokes of the pen'
+                }),
+                value: VPenBlocks.TEXT_STYLES.SINGLE_STROKE
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.textStyleMenu.outline',
+                    default: 'outline',
+                    description: 'text of filled outlines'
+                }),
+                value: VPenBlocks.TEXT_STYLES.OUTLINE
+            }
+        ];
+    }
+
+    getPathUnitMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.pathUnitMenu.steps',
+                    default: 'steps',
+                    description: 'coordinates in steps on the stage'
+                }),
+                value: VPenBlocks.PATH_UNITS.STEPS
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.pathUnitMenu.mm',
+                    default: 'mm',
+                    description: 'coordinates in millimeters'
+                }),
+                value: VPenBlocks.PATH_UNITS.MM
             }
         ];
     }
@@ -1788,6 +6139,14 @@ class VPenBlocks {
                     description: 'curve line shape'
                 }),
                 value: VPenBlocks.LINE_SHAPES.CURVE
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.lineShapesMenu.spline',
+                    default: 'spline',
+                    description: 'spline line shape through the positions'
+                }),
+                value: VPenBlocks.LINE_SHAPES.SPLINE
             }
         ];
     }
@@ -1842,7 +6201,7 @@ class VPenBlocks {
                     default: 'SVG',
                     description: 'SVG file format'
                 }),
-                value: 'svg'
+                value: VPenBlocks.FILE_FORMATS.SVG
             },
             {
                 text: formatMessage({
@@ -1850,7 +6209,250 @@ class VPenBlocks {
                     default: 'PDF',
                     description: 'PDF file format'
                 }),
-                value: 'pdf'
+                value: VPenBlocks.FILE_FORMATS.PDF
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.fileFormatMenu.gcode',
+                    default: 'G-code',
+                    description: 'G-code file format'
+                }),
+                value: VPenBlocks.FILE_FORMATS.GCODE
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.fileFormatMenu.hpgl',
+                    default: 'HPGL',
+                    description: 'HPGL file format'
+                }),
+                value: VPenBlocks.FILE_FORMATS.HPGL
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.fileFormatMenu.png',
+                    default: 'PNG',
+                    description: 'PNG file format'
+                }),
+                value: VPenBlocks.FILE_FORMATS.PNG
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.fileFormatMenu.dxf',
+                    default: 'DXF',
+                    description: 'DXF file format'
+                }),
+                value: VPenBlocks.FILE_FORMATS.DXF
+            }
+        ];
+    }
+
+    getPaperSizeMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.paperSizeMenu.stage',
+                    default: 'stage size',
+                    description: 'page of the stage size'
+                }),
+                value: VPenBlocks.PAPER_SIZES.STAGE
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.paperSizeMenu.A4',
+                    default: 'A4',
+                    description: 'A4 paper'
+                }),
+                value: VPenBlocks.PAPER_SIZES.A4
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.paperSizeMenu.A3',
+                    default: 'A3',
+                    description: 'A3 paper'
+                }),
+                value: VPenBlocks.PAPER_SIZES.A3
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.paperSizeMenu.letter',
+                    default: 'Letter',
+                    description: 'US Letter paper'
+                }),
+                value: VPenBlocks.PAPER_SIZES.LETTER
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.paperSizeMenu.custom',
+                    default: 'custom',
+                    description: 'page of the custom size'
+                }),
+                value: VPenBlocks.PAPER_SIZES.CUSTOM
+            }
+        ];
+    }
+
+    getPageOrientationMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.pageOrientationMenu.portrait',
+                    default: 'portrait',
+                    description: 'portrait page'
+                }),
+                value: VPenBlocks.PAGE_ORIENTATIONS.PORTRAIT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.pageOrientationMenu.landscape',
+                    default: 'landscape',
+                    description: 'landscape page'
+                }),
+                value: VPenBlocks.PAGE_ORIENTATIONS.LANDSCAPE
+            }
+        ];
+    }
+
+    getPageFitMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.pageFitMenu.actual',
+                    default: 'actual size',
+                    description: 'actual size at the center of the page'
+                }),
+                value: VPenBlocks.PAGE_FITS.ACTUAL
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.pageFitMenu.fit',
+                    default: 'scale to fit',
+                    description: 'scale the drawing to fit in the page'
+                }),
+                value: VPenBlocks.PAGE_FITS.FIT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.pageFitMenu.tile',
+                    default: 'tile pages',
+                    description: 'actual size across several pages'
+                }),
+                value: VPenBlocks.PAGE_FITS.TILE
+            }
+        ];
+    }
+
+    getPlotterOriginMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotterOriginMenu.bottomLeft',
+                    default: 'bottom-left',
+                    description: 'origin at the bottom-left corner'
+                }),
+                value: VPenBlocks.PLOTTER_ORIGINS.BOTTOM_LEFT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotterOriginMenu.bottomRight',
+                    default: 'bottom-right',
+                    description: 'origin at the bottom-right corner'
+                }),
+                value: VPenBlocks.PLOTTER_ORIGINS.BOTTOM_RIGHT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotterOriginMenu.topLeft',
+                    default: 'top-left',
+                    description: 'origin at the top-left corner'
+                }),
+                value: VPenBlocks.PLOTTER_ORIGINS.TOP_LEFT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotterOriginMenu.topRight',
+                    default: 'top-right',
+                    description: 'origin at the top-right corner'
+                }),
+                value: VPenBlocks.PLOTTER_ORIGINS.TOP_RIGHT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotterOriginMenu.center',
+                    default: 'center',
+                    description: 'origin at the center of the stage'
+                }),
+                value: VPenBlocks.PLOTTER_ORIGINS.CENTER
+            }
+        ];
+    }
+
+    getPenActionMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.penActionMenu.up',
+                    default: 'up',
+                    description: 'lift the plotter pen'
+                }),
+                value: VPenBlocks.PEN_ACTIONS.UP
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.penActionMenu.down',
+                    default: 'down',
+                    description: 'lower the plotter pen'
+                }),
+                value: VPenBlocks.PEN_ACTIONS.DOWN
+            }
+        ];
+    }
+
+    getPlotterMoveMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotterMoveMenu.draw',
+                    default: 'drawing',
+                    description: 'move with the pen down'
+                }),
+                value: VPenBlocks.PLOTTER_MOVES.DRAW
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotterMoveMenu.travel',
+                    default: 'traveling',
+                    description: 'move with the pen up'
+                }),
+                value: VPenBlocks.PLOTTER_MOVES.TRAVEL
+            }
+        ];
+    }
+
+    getPlotOrderMenuItems () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotOrderMenu.drawing',
+                    default: 'as drawn',
+                    description: 'draw lines in the order of drawing'
+                }),
+                value: VPenBlocks.PLOT_ORDERS.DRAWING
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotOrderMenu.nearest',
+                    default: 'nearest first',
+                    description: 'draw the nearest line next'
+                }),
+                value: VPenBlocks.PLOT_ORDERS.NEAREST
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxVPen.plotOrderMenu.nearestReversing',
+                    default: 'nearest first from either end',
+                    description: 'draw the nearest line next from either end'
+                }),
+                value: VPenBlocks.PLOT_ORDERS.NEAREST_REVERSING
             }
         ];
     }
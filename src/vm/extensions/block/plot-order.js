@@ -0,0 +1,105 @@
+import {distance} from './polyline.js';
+
+/**
+ * The maximum distance between endpoints to be regarded as the same point.
+ * @type {number}
+ */
+const JOIN_TOLERANCE = 1e-3;
+
+/**
+ * Return the point where the pen is lifted after drawing the polyline.
+ * @param {object} polyline - the polyline.
+ * @returns {Array.<number>} - the end point [x, y].
+ */
+const endOf = polyline => (polyline.closed ?
+    polyline.points[0] :
+    polyline.points[polyline.points.length - 1]);
+
+/**
+ * Return the distance to travel with the pen up to draw the polylines in order.
+ * @param {Array.<object>} polylines - the polylines to draw.
+ * @param {Array.<number>} [start] - the point where the pen is at first [x, y].
+ * @returns {number} - the travel distance.
+ */
+const travelDistance = (polylines, start = [0, 0]) => {
+    let position = start;
+    return polylines.reduce((total, polyline) => {
+        const travel = distance(position, polyline.points[0]);
+        position = endOf(polyline);
+        return total + travel;
+    }, 0);
+};
+
+/**
+ * Return the nearest way to start drawing the polyline from the position.
+ * @param {object} polyline - the polyline.
+ * @param {Array.<number>} position - the point where the pen is [x, y].
+ * @param {boolean} reverse - whether the polyline can be drawn from the other end.
+ * @returns {{distance: number, points: Array.<Array.<number>>}} - the travel distance and the points in order.
+ */
+const nearestStartOf = (polyline, position, reverse) => {
+    const points = polyline.points;
+    let best = {distance: distance(position, points[0]), points};
+    if (!reverse) {
+        return best;
+    }
+    if (polyline.closed) {
+        // A closed polyline can start from any vertex.
+        points.forEach((point, index) => {
+            const travel = distance(position, point);
+            if (travel < best.distance) {
+                best = {distance: travel, points: points.slice(index).concat(points.slice(0, index))};
+            }
+        });
+        return best;
+    }
+    const travel = distance(position, points[points.length - 1]);
+    if (travel < best.distance) {
+        best = {distance: travel, points: points.slice().reverse()};
+    }
+    return best;
+};
+
+/**
+ * Reorder the polylines to reduce the travel with the pen up.
+ * The next polyline is the nearest one from the end of the previous one,
+ * and open polylines which continue from the previous one with the same stroke are joined into one.
+ * @param {Array.<object>} polylines - the polylines {points, closed, stroke} to draw.
+ * @param {object} [options] - the options.
+ * @param {boolean} [options.reverse] - whether polylines can be drawn from the other end.
+ * @param {Array.<number>} [options.start] - the point where the pen is at first [x, y].
+ * @returns {Array.<object>} - the reordered polylines.
+ */
+const optimizePlotOrder = (polylines, options = {}) => {
+    const reverse = !!options.reverse;
+    const remaining = polylines.slice();
+    const ordered = [];
+    let position = options.start || [0, 0];
+    while (remaining.length > 0) {
+        let nearestIndex = 0;
+        let nearest = null;
+        for (let index = 0; index < remaining.length; index++) {
+            const candidate = nearestStartOf(remaining[index], position, reverse);
+            if (!nearest || candidate.distance < nearest.distance) {
+                nearestIndex = index;
+                nearest = candidate;
+            }
+        }
+        const polyline = Object.assign({}, remaining.splice(nearestIndex, 1)[0], {points: nearest.points});
+        const previous = ordered[ordered.length - 1];
+        if (previous && !previous.closed && !polyline.closed &&
+            previous.stroke === polyline.stroke &&
+            nearest.distance <= JOIN_TOLERANCE) {
+            previous.points = previous.points.concat(polyline.points.slice(1));
+        } else {
+            ordered.push(polyline);
+        }
+        position = endOf(polyline);
+    }
+    return ordered;
+};
+
+export {
+    travelDistance,
+    optimizePlotOrder
+};
@@ -0,0 +1,72 @@
+/**
+ * The table to calculate CRC-32 of PNG chunks.
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculate CRC-32 of the bytes.
+ * @param {Uint8Array} bytes - the bytes.
+ * @returns {number} - the CRC-32 value.
+ */
+const crc32 = bytes => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Set the physical resolution of PNG image.
+ * A pHYs chunk is inserted after the IHDR chunk and existing pHYs chunks are removed.
+ * @param {Uint8Array} png - the bytes of the PNG image.
+ * @param {number} dpi - the resolution in dots per inch.
+ * @returns {Uint8Array} - the bytes of the PNG image with the resolution.
+ */
+const setPNGResolution = (png, dpi) => {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    // pHYs chunk: length, type, pixels per unit X, pixels per unit Y, unit (1: meter), CRC
+    const phys = new Uint8Array(21);
+    const physView = new DataView(phys.buffer);
+    physView.setUint32(0, 9);
+    phys.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+    physView.setUint32(8, pixelsPerMeter);
+    physView.setUint32(12, pixelsPerMeter);
+    phys[16] = 1;
+    physView.setUint32(17, crc32(phys.subarray(4, 17)));
+    const chunks = [png.subarray(0, 8)]; // signature
+    let offset = 8;
+    while (offset < png.length) {
+        const chunkLength = view.getUint32(offset) + 12;
+        const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+        if (type !== 'pHYs') {
+            chunks.push(png.subarray(offset, offset + chunkLength));
+        }
+        if (type === 'IHDR') {
+            chunks.push(phys);
+        }
+        offset += chunkLength;
+    }
+    const result = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    chunks.reduce((position, chunk) => {
+        result.set(chunk, position);
+        return position + chunk.length;
+    }, 0);
+    return result;
+};
+
+export {
+    setPNGResolution
+};
@@ -0,0 +1,481 @@
+import {Matrix, PathArray, Point} from '@svgdotjs/svg.js';
+
+/**
+ * The maximum number of segments to approximate one curve.
+ * @type {number}
+ */
+const MAX_CURVE_SEGMENTS = 256;
+
+/**
+ * Element types which contain other elements to be drawn.
+ * @type {Array.<string>}
+ */
+const CONTAINER_TYPES = ['svg', 'g', 'a'];
+
+/**
+ * Element types which are converted to polylines.
+ * @type {Array.<string>}
+ */
+const SHAPE_TYPES = ['path', 'line', 'polyline', 'polygon', 'rect', 'circle', 'ellipse'];
+
+/**
+ * Return the distance between two points.
+ * @param {Array.<number>} p0 - the first point [x, y].
+ * @param {Array.<number>} p1 - the second point [x, y].
+ * @returns {number} - the distance.
+ */
+const distance = (p0, p1) => Math.hypot(p1[0] - p0[0], p1[1] - p0[1]);
+
+/**
+ * Return the number of segments to approximate a curve.
+ * @param {number} deviation - the size of the second difference of the control points.
+ * @param {number} tolerance - the maximum distance between the curve and the segments.
+ * @returns {number} - the number of segments.
+ */
+const curveSegments = (deviation, tolerance) => Math.min(
+    MAX_CURVE_SEGMENTS,
+    Math.max(1, Math.ceil(Math.sqrt(deviation / (4 * tolerance))))
+);
+
+/**
+ * Add points of a quadratic Bézier curve to the points.
+ * @param {Array.<Array.<number>>} points - the points to add to. The last one is the start of the curve.
+ * @param {Array.<number>} c - the control point.
+ * @param {Array.<number>} end - the end point.
+ * @param {number} tolerance - the maximum distance between the curve and the segments.
+ */
+const addQuadraticCurve = (points, c, end, tolerance) => {
+    const start = points[points.length - 1];
+    const deviation = Math.hypot(start[0] - (2 * c[0]) + end[0], start[1] - (2 * c[1]) + end[1]);
+    const n = curveSegments(deviation, tolerance);
+    for (let i = 1; i <= n; i++) {
+        const t = i / n;
+        const u = 1 - t;
+        points.push([
+            (u * u * start[0]) + (2 * u * t * c[0]) + (t * t * end[0]),
+            (u * u * start[1]) + (2 * u * t * c[1]) + (t * t * end[1])
+        ]);
+    }
+};
+
+/**
+ * Add points of a cubic Bézier curve to the points.
+ * @param {Array.<Array.<number>>} points - the points to add to. The last one is the start of the curve.
+ * @param {Array.<number>} c1 - the first control point.
+ * @param {Array.<number>} c2 - the second control point.
+ * @param {Array.<number>} end - the end point.
+ * @param {number} tolerance - the maximum distance between the curve and the segments.
+ */
+const addCubicCurve = (points, c1, c2, end, tolerance) => {
+    const start = points[points.length - 1];
+    const deviation = 1.5 * Math.max(
+        Math.hypot(start[0] - (2 * c1[0]) + c2[0], start[1] - (2 * c1[1]) + c2[1]),
+        Math.hypot(c1[0] - (2 * c2[0]) + end[0], c1[1] - (2 * c2[1]) + end[1])
+    );
+    const n = curveSegments(deviation, tolerance);
+    for (let i = 1; i <= n; i++) {
+        const t = i / n;
+        const u = 1 - t;
+        points.push([
+            (u * u * u * start[0]) + (3 * u * u * t * c1[0]) + (3 * u * t * t * c2[0]) + (t * t * t * end[0]),
+            (u * u * u * start[1]) + (3 * u * u * t * c1[1]) + (3 * u * t * t * c2[1]) + (t * t * t * end[1])
+        ]);
+    }
+};
+
+/**
+ * Add points of an elliptical arc to the points.
+ * The conversion follows the implementation notes of the SVG specification (F.6.5).
+ * @param {Array.<Array.<number>>} points - the points to add to. The last one is the start of the arc.
+ * @param {Array.<number>} arc - the arc parameters [rx, ry, x-axis-rotation, large-arc-flag, sweep-flag, x, y].
+ * @param {number} tolerance - the maximum distance between the arc and the segments.
+ */
+const addArc = (points, arc, tolerance) => {
+    const start = points[points.length - 1];
+    const end = [arc[5], arc[6]];
+    let rx = Math.abs(arc[0]);
+    let ry = Math.abs(arc[1]);
+    if (rx === 0 || ry === 0 || distance(start, end) === 0) {
+        points.push(end);
+        return;
+    }
+    const phi = arc[2] * Math.PI / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const dx = (start[0] - end[0]) / 2;
+    const dy = (start[1] - end[1]) / 2;
+    const x1 = (cosPhi * dx) + (sinPhi * dy);
+    const y1 = (-sinPhi * dx) + (cosPhi * dy);
+    const lambda = ((x1 * x1) / (rx * rx)) + ((y1 * y1) / (ry * ry));
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+    const sign = (!!arc[3] === !!arc[4]) ? -1 : 1;
+    const numerator = Math.max(0, (rx * rx * ry * ry) - (rx * rx * y1 * y1) - (ry * ry * x1 * x1));
+    const coefficient = sign * Math.sqrt(numerator / ((rx * rx * y1 * y1) + (ry * ry * x1 * x1)));
+    const cx1 = coefficient * rx * y1 / ry;
+    const cy1 = -coefficient * ry * x1 / rx;
+    const cx = (cosPhi * cx1) - (sinPhi * cy1) + ((start[0] + end[0]) / 2);
+    const cy = (sinPhi * cx1) + (cosPhi * cy1) + ((start[1] + end[1]) / 2);
+    const theta1 = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+    let deltaTheta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - theta1;
+    if (arc[4] && deltaTheta < 0) {
+        deltaTheta += 2 * Math.PI;
+    } else if (!arc[4] && deltaTheta > 0) {
+        deltaTheta -= 2 * Math.PI;
+    }
+    const maxRadius = Math.max(rx, ry);
+    const stepAngle = (tolerance < maxRadius) ?
+        2 * Math.acos(1 - (tolerance / maxRadius)) :
+        Math.PI / 2;
+    const n = Math.min(MAX_CURVE_SEGMENTS, Math.max(1, Math.ceil(Math.abs(deltaTheta) / stepAngle)));
+    for (let i = 1; i < n; i++) {
+        const theta = theta1 + (deltaTheta * i / n);
+        const ex = rx * Math.cos(theta);
+        const ey = ry * Math.sin(theta);
+        points.push([
+            (cosPhi * ex) - (sinPhi * ey) + cx,
+            (sinPhi * ex) + (cosPhi * ey) + cy
+        ]);
+    }
+    points.push(end);
+};
+
+/**
+ * Convert path data to polylines.
+ * Curves are approximated with line segments.
+ * A closed polyline does not repeat its start point at the end.
+ * @param {PathArray|string} pathData - the path data.
+ * @param {number} tolerance - the maximum distance between the curves and the segments.
+ * @returns {Array.<{points: Array.<Array.<number>>, closed: boolean}>} - polylines of each subpath.
+ */
+const pathToPolylines = (pathData, tolerance) => {
+    const pathArray = (pathData instanceof PathArray) ? pathData : new PathArray(pathData);
+    const polylines = [];
+    let current = null;
+    let subpathStart = [0, 0];
+    let lastControl = null;
+    let lastCommand = '';
+    pathArray.forEach(segment => {
+        const command = segment[0];
+        const cursor = current ? current.points[current.points.length - 1] : subpathStart;
+        if (command !== 'M' && !current) {
+            // Drawing without moveto continues from the start of the previous subpath.
+            current = {points: [subpathStart], closed: false};
+            polylines.push(current);
+        }
+        switch (command) {
+        case 'M':
+            subpathStart = [segment[1], segment[2]];
+            current = {points: [subpathStart], closed: false};
+            polylines.push(current);
+            break;
+        case 'L':
+            current.points.push([segment[1], segment[2]]);
+            break;
+        case 'H':
+            current.points.push([segment[1], cursor[1]]);
+            break;
+        case 'V':
+            current.points.push([cursor[0], segment[1]]);
+            break;
+        case 'Q':
+            addQuadraticCurve(current.points, [segment[1], segment[2]], [segment[3], segment[4]], tolerance);
+            lastControl = [segment[1], segment[2]];
+            break;
+        case 'T': {
+            const control = (lastControl && (lastCommand === 'Q' || lastCommand === 'T')) ?
+                [(2 * cursor[0]) - lastControl[0], (2 * cursor[1]) - lastControl[1]] :
+                cursor;
+            addQuadraticCurve(current.points, control, [segment[1], segment[2]], tolerance);
+            lastControl = control;
+            break;
+        }
+        case 'C':
+            addCubicCurve(current.points,
+                [segment[1], segment[2]], [segment[3], segment[4]], [segment[5], segment[6]], tolerance);
+            lastControl = [segment[3], segment[4]];
+            break;
+        case 'S': {
+            const control = (lastControl && (lastCommand === 'C' || lastCommand === 'S')) ?
+                [(2 * cursor[0]) - lastControl[0], (2 * cursor[1]) - lastControl[1]] :
+                cursor;
+            addCubicCurve(current.points, control, [segment[1], segment[2]], [segment[3], segment[4]], tolerance);
+            lastControl = [segment[1], segment[2]];
+            break;
+        }
+        case 'A':
+            addArc(current.points, segment.slice(1), tolerance);
+            break;
+        case 'Z':
+            if (current.points.length > 1 && distance(current.points[0], cursor) === 0) {
+                // The closing segment draws back to the start.
+                current.points.pop();
+            }
+            current.closed = true;
+            current = null;
+            break;
+        }
+        lastCommand = command;
+    });
+    return polylines.filter(polyline => polyline.points.length > 1);
+};
+
+/**
+ * Convert a shape element to polylines in its own coordinates.
+ * @param {Element} element - the shape element.
+ * @param {number} tolerance - the maximum distance between the curves and the segments.
+ * @returns {Array.<{points: Array.<Array.<number>>, closed: boolean}>} - polylines of the shape.
+ */
+const shapeToPolylines = (element, tolerance) => {
+    const num = name => parseFloat(element.attr(name)) || 0;
+    switch (element.type) {
+    case 'path':
+        return pathToPolylines(element.array(), tolerance);
+    case 'line':
+        return [{points: [[num('x1'), num('y1')], [num('x2'), num('y2')]], closed: false}];
+    case 'polyline':
+    case 'polygon': {
+        const points = element.array().map(point => [point[0], point[1]]);
+        return (points.length > 1) ? [{points, closed: element.type === 'polygon'}] : [];
+    }
+    case 'rect': {
+        const x = num('x');
+        const y = num('y');
+        const width = num('width');
+        const height = num('height');
+        return [{points: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]], closed: true}];
+    }
+    case 'circle':
+    case 'ellipse': {
+        const cx = num('cx');
+        const cy = num('cy');
+        const rx = (element.type === 'circle') ? num('r') : num('rx');
+        const ry = (element.type === 'circle') ? num('r') : num('ry');
+        if (rx <= 0 || ry <= 0) {
+            return [];
+        }
+        return pathToPolylines(
+            `M${cx + rx} ${cy}A${rx} ${ry} 0 1 1 ${cx - rx} ${cy}A${rx} ${ry} 0 1 1 ${cx + rx} ${cy}Z`,
+            tolerance);
+    }
+    }
+    return [];
+};
+
+/**
+ * Parse a dash array of SVG.
+ * @param {string?} value - the value of stroke-dasharray.
+ * @returns {Array.<number>} - the lengths of dashes and gaps in turn, or empty array for a solid line.
+ */
+const parseDashArray = value => {
+    if (!value || value === 'none') {
+        return [];
+    }
+    const lengths = value.trim().split(/[\s,]+/)
+        .map(parseFloat);
+    if (lengths.some(length => !(length >= 0)) || lengths.every(length => length === 0)) {
+        return [];
+    }
+    // An odd number of lengths is repeated to make an even number of lengths.
+    return (lengths.length % 2 === 0) ? lengths : lengths.concat(lengths);
+};
+
+/**
+ * Split a polyline into the dashes of the pattern.
+ * A dash of zero length becomes a polyline of the same two points to make a dot.
+ * @param {{points: Array.<Array.<number>>, closed: boolean}} polyline - the polyline to split.
+ * @param {Array.<number>} dashArray - the lengths of dashes and gaps in turn.
+ * @param {number} dashOffset - the distance into the pattern to start the polyline.
+ * @returns {Array.<{points: Array.<Array.<number>>, closed: boolean}>} - the dashes.
+ */
+const dashPolyline = (polyline, dashArray, dashOffset) => {
+    const patternLength = dashArray.reduce((sum, length) => sum + length, 0);
+    const points = polyline.closed ? polyline.points.concat([polyline.points[0]]) : polyline.points;
+    const dashes = [];
+    // Find the position in the pattern at the start of the polyline.
+    let index = 0;
+    let remaining = (((dashOffset % patternLength) + patternLength) % patternLength);
+    while (remaining > dashArray[index] || (remaining === dashArray[index] && remaining > 0)) {
+        remaining -= dashArray[index];
+        index = (index + 1) % dashArray.length;
+    }
+    remaining = dashArray[index] - remaining;
+    let dash = (index % 2 === 0) ? [points[0]] : null;
+    for (let i = 1; i < points.length; i++) {
+        const start = points[i - 1];
+        const end = points[i];
+        const length = distance(start, end);
+        let position = 0;
+        while (length - position >= remaining) {
+            position += remaining;
+            const t = position / length;
+            const point = [start[0] + ((end[0] - start[0]) * t), start[1] + ((end[1] - start[1]) * t)];
+            if (dash) {
+                dash.push(point);
+                dashes.push(dash);
+                dash = null;
+            } else {
+                dash = [point];
+            }
+            index = (index + 1) % dashArray.length;
+            remaining = dashArray[index];
+            if (dash && remaining === 0) {
+                // A dot
+                dashes.push([point, point]);
+                dash = null;
+                index = (index + 1) % dashArray.length;
+                remaining = dashArray[index];
+            }
+        }
+        remaining -= length - position;
+        if (dash && distance(dash[dash.length - 1], end) > 0) {
+            dash.push(end);
+        }
+    }
+    if (dash && dash.length > 1) {
+        dashes.push(dash);
+    }
+    return dashes.map(dashPoints => ({points: dashPoints, closed: false}));
+};
+
+/**
+ * Return the distance from the point to the segment.
+ * @param {Array.<number>} point - the point [x, y].
+ * @param {Array.<number>} start - the start of the segment [x, y].
+ * @param {Array.<number>} end - the end of the segment [x, y].
+ * @returns {number} - the distance.
+ */
+const distanceToSegment = (point, start, end) => {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const lengthSquared = (dx * dx) + (dy * dy);
+    if (lengthSquared === 0) {
+        return distance(point, start);
+    }
+    const t = Math.max(0, Math.min(1, (((point[0] - start[0]) * dx) + ((point[1] - start[1]) * dy)) / lengthSquared));
+    return distance(point, [start[0] + (t * dx), start[1] + (t * dy)]);
+};
+
+/**
+ * Remove the points which are within the tolerance from the lines between the remaining points
+ * by the Ramer-Douglas-Peucker algorithm. The first and the last points are always kept.
+ * @param {Array.<Array.<number>>} points - the points [x, y] of the polyline.
+ * @param {number} tolerance - the maximum distance between the removed points and the simplified polyline.
+ * @returns {Array.<Array.<number>>} - the remaining points.
+ */
+const simplifyPoints = (points, tolerance) => {
+    if (points.length < 3) {
+        return points.slice();
+    }
+    const keeps = points.map((point, index) => (index === 0 || index === points.length - 1));
+    // Use a stack instead of recursion for long freehand lines.
+    const ranges = [[0, points.length - 1]];
+    while (ranges.length > 0) {
+        const [first, last] = ranges.pop();
+        let farthest = -1;
+        let farthestDistance = tolerance;
+        for (let index = first + 1; index < last; index++) {
+            const pointDistance = distanceToSegment(points[index], points[first], points[last]);
+            if (pointDistance > farthestDistance) {
+                farthest = index;
+                farthestDistance = pointDistance;
+            }
+        }
+        if (farthest >= 0) {
+            keeps[farthest] = true;
+            ranges.push([first, farthest], [farthest, last]);
+        }
+    }
+    return points.filter((point, index) => keeps[index]);
+};
+
+/**
+ * Return the value of a presentation attribute which is set by style or attribute.
+ * @param {Element} element - the element.
+ * @param {string} name - the name of the property.
+ * @returns {string?} - the value or null if it was not set.
+ */
+const presentationValue = (element, name) => {
+    const styleValue = element.node.style ? element.node.style.getPropertyValue(name) : '';
+    if (styleValue) {
+        return styleValue;
+    }
+    const attrValue = element.node.getAttribute(name);
+    return attrValue === null ? null : attrValue;
+};
+
+/**
+ * Convert an element and its descendants to polylines.
+ * The points are transformed to the coordinates of the parent of the element.
+ * Hidden elements and elements which are not shapes (images, texts and so on) are ignored.
+ * Dashed strokes are split into the dashes unless the pattern is shorter than the tolerance.
+ * @param {Element} element - the element to convert.
+ * @param {object} options - the options.
+ * @param {number} options.tolerance - the maximum distance between the curves and the segments.
+ * @param {Matrix} [options.matrix] - the transformation from the parent of the element.
+ * @param {string} [options.stroke] - the stroke color inherited from the parent.
+ * @param {string} [options.dashArray] - the stroke-dasharray inherited from the parent.
+ * @param {string} [options.dashOffset] - the stroke-dashoffset inherited from the parent.
+ * @param {boolean} [options.ignoreDashes] - whether to keep dashed strokes in one piece to get the outlines.
+ * @returns {Array.<{points: Array.<Array.<number>>, closed: boolean, stroke: string, element: Element}>}
+ *  - the polylines.
+ */
+const elementToPolylines = (element, options) => {
+    const isContainer = CONTAINER_TYPES.includes(element.type);
+    if (!isContainer && !SHAPE_TYPES.includes(element.type)) {
+        return [];
+    }
+    if (presentationValue(element, 'display') === 'none') {
+        return [];
+    }
+    const parentMatrix = options.matrix || new Matrix();
+    const matrix = parentMatrix.multiply(new Matrix(element));
+    const strokeValue = presentationValue(element, 'stroke');
+    const stroke = (strokeValue === null) ? (options.stroke || 'none') : strokeValue;
+    const dashArrayValue = presentationValue(element, 'stroke-dasharray');
+    const dashArray = (dashArrayValue === null) ? (options.dashArray || null) : dashArrayValue;
+    const dashOffsetValue = presentationValue(element, 'stroke-dashoffset');
+    const dashOffset = (dashOffsetValue === null) ? (options.dashOffset || null) : dashOffsetValue;
+    if (isContainer) {
+        return element.children().reduce((polylines, child) => polylines.concat(
+            elementToPolylines(child, {
+                tolerance: options.tolerance,
+                matrix,
+                stroke,
+                dashArray,
+                dashOffset,
+                ignoreDashes: options.ignoreDashes
+            })
+        ), []);
+    }
+    // Approximate in the local coordinates with the tolerance which is scaled to them.
+    const scale = Math.sqrt(Math.abs((matrix.a * matrix.d) - (matrix.b * matrix.c))) || 1;
+    let polylines = shapeToPolylines(element, options.tolerance / scale);
+    const dashes = options.ignoreDashes ? [] : parseDashArray(dashArray);
+    // A pattern finer than the tolerance looks solid and would make too many dashes to plot.
+    if (dashes.reduce((sum, length) => sum + length, 0) >= options.tolerance / scale) {
+        polylines = polylines.reduce((dashed, polyline) => dashed.concat(
+            dashPolyline(polyline, dashes, parseFloat(dashOffset) || 0)
+        ), []);
+    }
+    return polylines
+        .map(polyline => ({
+            points: polyline.points.map(point => {
+                const transformed = new Point(point[0], point[1]).transform(matrix);
+                return [transformed.x, transformed.y];
+            }),
+            closed: polyline.closed,
+            stroke,
+            element
+        }));
+};
+
+export {
+    distance,
+    dashPolyline,
+    simplifyPoints,
+    pathToPolylines,
+    elementToPolylines
+};
@@ -0,0 +1,90 @@
+/**
+ * The namespace of SVG elements.
+ * @type {string}
+ */
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Element types which are allowed in a drawing.
+ * @type {Array.<string>}
+ */
+const ALLOWED_ELEMENTS = [
+    'g', 'path', 'line', 'polyline', 'polygon', 'rect', 'circle', 'ellipse', 'image',
+    'defs', 'linearGradient', 'radialGradient', 'stop', 'clipPath'
+];
+
+/**
+ * Attributes which are allowed on the elements of a drawing.
+ * @type {Array.<string>}
+ */
+const ALLOWED_ATTRIBUTES = [
+    // Structure and geometry
+    'id', 'class', 'transform', 'd', 'points', 'pathLength',
+    'x', 'y', 'width', 'height', 'x1', 'y1', 'x2', 'y2',
+    'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'fr',
+    'href', 'xlink:href', 'preserveAspectRatio',
+    'offset', 'gradientUnits', 'gradientTransform', 'spreadMethod', 'clipPathUnits',
+    'data-source',
+    // Presentation
+    'style', 'color', 'display', 'visibility', 'opacity',
+    'fill', 'fill-opacity', 'fill-rule',
+    'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap', 'stroke-linejoin',
+    'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset', 'vector-effect',
+    'clip-path', 'clip-rule', 'stop-color', 'stop-opacity'
+];
+
+/**
+ * Whether the value of the attribute refers only to the resources in the drawing.
+ * A link must be a fragment or a data URL of a raster image as a stamp,
+ * and url() in a value must be a fragment.
+ * @param {Attr} attribute - the attribute to check.
+ * @returns {boolean} - true if the value is safe.
+ */
+const isSafeValue = attribute => {
+    const value = attribute.value.trim();
+    if (attribute.localName === 'href') {
+        return value.startsWith('#') || /^data:image\/(png|jpeg|gif|webp)[;,]/i.test(value);
+    }
+    if (/@import|expression\s*\(/i.test(value)) {
+        return false;
+    }
+    return (value.match(/url\s*\(/gi) || []).length ===
+        (value.match(/url\(\s*['"]?#[^)]*\)/gi) || []).length;
+};
+
+/**
+ * Remove the nodes and the attributes which are not allowed in a drawing from the descendants of the element.
+ * Scripts, event handlers, foreign objects and links to external resources are removed with them.
+ * @param {Element} element - the DOM element whose descendants are sanitized in place.
+ * @returns {number} - the number of the removed nodes and attributes.
+ */
+const sanitizeSVG = element => {
+    let removed = 0;
+    Array.from(element.childNodes).forEach(node => {
+        if (node.nodeType === node.TEXT_NODE && node.data.trim() === '') {
+            return;
+        }
+        if (node.nodeType !== node.ELEMENT_NODE ||
+            node.namespaceURI !== SVG_NAMESPACE ||
+            !ALLOWED_ELEMENTS.includes(node.localName)) {
+            node.remove();
+            removed++;
+            return;
+        }
+        Array.from(node.attributes).forEach(attribute => {
+            if (attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:')) {
+                return;
+            }
+            if (!ALLOWED_ATTRIBUTES.includes(attribute.name) || !isSafeValue(attribute)) {
+                node.removeAttributeNode(attribute);
+                removed++;
+            }
+        });
+        removed += sanitizeSVG(node);
+    });
+    return removed;
+};
+
+export {
+    sanitizeSVG
+};
@@ -0,0 +1,213 @@
+import {pathToPolylines} from './polyline.js';
+
+/**
+ * The height of capital letters in the units of the glyphs.
+ * Glyphs are drawn downward from the top of capitals at y = 0 to the baseline at y = 10,
+ * and descenders go down to y = 13.
+ * @type {number}
+ */
+const CAP_HEIGHT = 10;
+
+/**
+ * The space between letters in the units of the glyphs.
+ * @type {number}
+ */
+const LETTER_SPACING = 2;
+
+/**
+ * The distance between baselines in the units of the glyphs.
+ * @type {number}
+ */
+const LINE_HEIGHT = 16;
+
+/**
+ * Path data of the bowl of the lowercase letters.
+ * @type {string}
+ */
+const BOWL = 'M7 6.5A3.5 3.5 0 0 0 0 6.5A3.5 3.5 0 0 0 7 6.5Z';
+
+/**
+ * Path data of the letter 'S' which is shared with '$'.
+ * @type {string}
+ */
+const LETTER_S = 'M6.2 1.6C5.5 0.5 4.5 0 3.2 0C1.5 0 0.3 1 0.3 2.5C0.3 4 1.5 4.6 3.3 5' +
+    'C5.3 5.4 6.6 6.1 6.6 7.5C6.6 9 5.2 10 3.3 10C1.8 10 0.6 9.4 0 8.3';
+
+/**
+ * The single-stroke glyphs of the printable ASCII characters.
+ * Each glyph is [the width of the ink, the path data of the strokes].
+ * @type {object.<string, Array>}
+ */
+const GLYPHS = {
+    ' ': [4, ''],
+    '!': [0, 'M0 0V7M0 9.7V10'],
+    '"': [2, 'M0 0V2.5M2 0V2.5'],
+    '#': [6, 'M2 0L1 10M5 0L4 10M0 3.3H6M0 6.7H6'],
+    '$': [6.6, `${LETTER_S}M3.3 -1V11`],
+    '%': [7, 'M7 0L0 10M0 1.5A1.5 1.5 0 0 0 3 1.5A1.5 1.5 0 0 0 0 1.5ZM4 8.5A1.5 1.5 0 0 0 7 8.5A1.5 1.5 0 0 0 4 8.5Z'],
+    '&': [7, 'M7 10L1.8 3.5C1 2.4 1.4 0 3.2 0C5 0 5.3 2.4 3.8 3.6L1.2 5.6C-0.5 7 0.2 10 3 10C4.6 10 5.8 9.2 7 6.5'],
+    '\'': [0, 'M0 0V2.5'],
+    '(': [2.5, 'M2.5 -1A4 7 0 0 0 2.5 11'],
+    ')': [2.5, 'M0 -1A4 7 0 0 1 0 11'],
+    '*': [5, 'M2.5 1V6M0.3 2.2L4.7 4.8M4.7 2.2L0.3 4.8'],
+    '+': [6, 'M3 2.5V8.5M0 5.5H6'],
+    ',': [0.5, 'M0.5 9.5V10L0 11.5'],
+    '-': [4, 'M0 5.5H4'],
+    '.': [0, 'M0 9.7V10'],
+    '/': [5, 'M5 -0.5L0 10.5'],
+    '0': [6, 'M3 0A3 5 0 0 0 3 10A3 5 0 0 0 3 0Z'],
+    '1': [3, 'M0.5 2L3 0V10'],
+    '2': [6, 'M0.3 2.5A3 2.7 0 0 1 6 2.8C6 4.5 4.5 5.6 0 10H6'],
+    '3': [6, 'M0 0H6L2.5 4.5H3.5A3 2.75 0 1 1 0.3 8.8'],
+    '4': [6.5, 'M5 10V0L0 7H6.5'],
+    '5': [6, 'M6 0H1L0.5 4.5C1.2 4 2.1 3.8 3 3.8A3 3.1 0 1 1 0.2 8.6'],
+    '6': [6, 'M5.5 0.8C3.5 -0.3 0 0.8 0 7M0 7A3 3 0 0 0 6 7A3 3 0 0 0 0 7Z'],
+    '7': [6, 'M0 0H6L2 10'],
+    '8': [6, 'M3 0A2.5 2.5 0 0 0 3 5A2.5 2.5 0 0 0 3 0ZM3 5A3 2.5 0 0 0 3 10A3 2.5 0 0 0 3 5Z'],
+    '9': [6, 'M0 3A3 3 0 0 0 6 3A3 3 0 0 0 0 3ZM6 3C6 9.2 2.5 10.3 0.5 9.2'],
+    ':': [0, 'M0 3.7V4M0 9.7V10'],
+    ';': [0.5, 'M0.5 3.7V4M0.5 9.5V10L0 11.5'],
+    '<': [6, 'M6 2.5L0 5.5L6 8.5'],
+    '=': [6, 'M0 4H6M0 7H6'],
+    '>': [6, 'M0 2.5L6 5.5L0 8.5'],
+    '?': [5.6, 'M0.2 2.2A2.8 2.5 0 1 1 4 4.5C3 5 2.8 5.6 2.8 7M2.8 9.7V10'],
+    '@': [9, 'M6.5 3.5V6.2A1.25 1.25 0 0 0 9 6.2V5A4.5 5 0 1 0 7 9.3M6.5 5A1.75 1.75 0 0 0 3 5A1.75 1.75 0 0 0 6.5 5Z'],
+    'A': [7, 'M0 10L3.5 0L7 10M1.3 6.3H5.7'],
+    'B': [6.5, 'M0 10V0H3.5A2.5 2.5 0 0 1 3.5 5H0M3.5 5H4A2.5 2.5 0 0 1 4 10H0'],
+    'C': [7, 'M5.97 1.46A3.5 5 0 1 0 5.97 8.54'],
+    'D': [7, 'M0 0H2.5A4.5 5 0 0 1 2.5 10H0Z'],
+    'E': [6, 'M6 0H0V10H6M0 5H4.5'],
+    'F': [6, 'M6 0H0V10M0 5H4.5'],
+    'G': [7, 'M5.97 1.46A3.5 5 0 1 0 7 5H4'],
+    'H': [7, 'M0 0V10M7 0V10M0 5H7'],
+    'I': [0, 'M0 0V10'],
+    'J': [5, 'M5 0V7A2.5 3 0 0 1 0 7'],
+    'K': [6.5, 'M0 0V10M6.5 0L0 6.5M2.3 4.2L6.5 10'],
+    'L': [6, 'M0 0V10H6'],
+    'M': [8, 'M0 10V0L4 7L8 0V10'],
+    'N': [7, 'M0 10V0L7 10V0'],
+    'O': [7, 'M3.5 0A3.5 5 0 0 0 3.5 10A3.5 5 0 0 0 3.5 0Z'],
+    'P': [6.75, 'M0 10V0H4A2.75 2.75 0 0 1 4 5.5H0'],
+    'Q': [7.5, 'M3.5 0A3.5 5 0 0 0 3.5 10A3.5 5 0 0 0 3.5 0ZM4.5 7.5L7.5 10.5'],
+    'R': [6.75, 'M0 10V0H4A2.75 2.75 0 0 1 4 5.5H0M3.5 5.5L6.5 10'],
+    'S': [6.6, LETTER_S],
+    'T': [7, 'M0 0H7M3.5 0V10'],
+    'U': [7, 'M0 0V6.5A3.5 3.5 0 0 0 7 6.5V0'],
+    'V': [7, 'M0 0L3.5 10L7 0'],
+    'W': [10, 'M0 0L2.5 10L5 2L7.5 10L10 0'],
+    'X': [7, 'M0 0L7 10M7 0L0 10'],
+    'Y': [7, 'M0 0L3.5 5L7 0M3.5 5V10'],
+    'Z': [7, 'M0 0H7L0 10H7'],
+    '[': [2.5, 'M2.5 -1H0V11H2.5'],
+    '\\': [5, 'M0 -0.5L5 10.5'],
+    ']': [2.5, 'M0 -1H2.5V11H0'],
+    '^': [5, 'M0 3L2.5 0L5 3'],
+    '_': [7, 'M0 11.5H7'],
+    '`': [1.5, 'M0 0L1.5 1.5'],
+    'a': [7, `M7 3V10${BOWL}`],
+    'b': [7, `M0 0V10${BOWL}`],
+    'c': [6, 'M5.97 4.03A3.5 3.5 0 1 0 5.97 8.97'],
+    'd': [7, `M7 0V10${BOWL}`],
+    'e': [7, 'M0 6.5H7A3.5 3.5 0 1 0 5.97 8.97'],
+    'f': [4.5, 'M5 0H3.5A2 2 0 0 0 1.5 2V10M0 3.5H4.5'],
+    'g': [7, `M7 3V11A3 2 0 0 1 1 11${BOWL}`],
+    'h': [7, 'M0 0V10M0 6.5A3.5 3.5 0 0 1 7 6.5V10'],
+    'i': [0, 'M0 3V10M0 0.8V1.1'],
+    'j': [2, 'M2 3V11A2 2 0 0 1 0 13M2 0.8V1.1'],
+    'k': [5.5, 'M0 0V10M5.5 3L0 8M2 6.2L5.5 10'],
+    'l': [0, 'M0 0V10'],
+    'm': [10, 'M0 3V10M0 5.5A2.5 2.5 0 0 1 5 5.5V10M5 5.5A2.5 2.5 0 0 1 10 5.5V10'],
+    'n': [7, 'M0 3V10M0 6.5A3.5 3.5 0 0 1 7 6.5V10'],
+    'o': [7, BOWL],
+    'p': [7, `M0 3V13${BOWL}`],
+    'q': [7, `M7 3V13${BOWL}`],
+    'r': [5, 'M0 3V10M0 6.5A3.5 3.5 0 0 1 3.5 3H5'],
+    's': [5.4, 'M5.2 4C4.7 3.3 3.9 3 2.8 3C1.4 3 0.4 3.7 0.4 4.8C0.4 5.9 1.4 6.3 2.8 6.6' +
+        'C4.3 6.9 5.4 7.4 5.4 8.5C5.4 9.5 4.3 10 2.8 10C1.6 10 0.6 9.6 0 8.8'],
+    't': [4.5, 'M1.5 0.5V8.5A1.5 1.5 0 0 0 3 10H4.5M0 3H4'],
+    'u': [7, 'M0 3V6.5A3.5 3.5 0 0 0 7 6.5M7 3V10'],
+    'v': [6, 'M0 3L3 10L6 3'],
+    'w': [9, 'M0 3L2 10L4.5 4.5L7 10L9 3'],
+    'x': [6, 'M0 3L6 10M6 3L0 10'],
+    'y': [6.5, 'M0 3L3.7 10M6.5 3L2.5 13'],
+    'z': [6, 'M0 3H6L0 10H6'],
+    '{': [3, 'M3 -1C1.5 -1 1.5 0 1.5 1.5V3.5C1.5 4.5 1 5 0 5C1 5 1.5 5.5 1.5 6.5V8.5C1.5 10 1.5 11 3 11'],
+    '|': [0, 'M0 -1V11'],
+    '}': [3, 'M0 -1C1.5 -1 1.5 0 1.5 1.5V3.5C1.5 4.5 2 5 3 5C2 5 1.5 5.5 1.5 6.5V8.5C1.5 10 1.5 11 0 11'],
+    '~': [6, 'M0 6C1 4.5 2 4.5 3 5.5C4 6.5 5 6.5 6 5']
+};
+
+/**
+ * Lay out the text with the single-stroke font.
+ * The origin is at the start of the baseline of the first line and the height of capitals is 1.
+ * Lines are separated by '\n' and characters without glyphs are drawn as '?'.
+ * @param {string} text - the text to lay out.
+ * @param {number} tolerance - the maximum distance between curves and the segments in the height of capitals.
+ * @returns {Array.<{points: Array.<Array.<number>>, closed: boolean}>} - the strokes of the text.
+ */
+const textToPolylines = (text, tolerance) => {
+    const polylines = [];
+    String(text).split('\n')
+        .forEach((line, lineIndex) => {
+            let left = 0;
+            const top = (lineIndex * LINE_HEIGHT) - CAP_HEIGHT;
+            Array.from(line).forEach(char => {
+                const [width, pathData] = GLYPHS[char] || GLYPHS['?'];
+                if (pathData) {
+                    pathToPolylines(pathData, tolerance * CAP_HEIGHT).forEach(polyline => {
+                        polylines.push({
+                            points: polyline.points.map(point => [
+                                (left + point[0]) / CAP_HEIGHT,
+                                (top + point[1]) / CAP_HEIGHT
+                            ]),
+                            closed: polyline.closed
+                        });
+                    });
+                }
+                left += width + LETTER_SPACING;
+            });
+        });
+    return polylines;
+};
+
+/**
+ * Make path data of the outline of the strokes.
+ * Each segment becomes a shape with round ends in the same winding,
+ * so the path filled with the nonzero rule covers the strokes of the width.
+ * @param {Array.<{points: Array.<Array.<number>>, closed: boolean}>} polylines - the strokes.
+ * @param {number} width - the width of the strokes.
+ * @returns {string} - the path data of the outline.
+ */
+const outlinePathData = (polylines, width) => {
+    const r = width / 2;
+    const formatNumber = value => `${Number(value.toFixed(3))}`;
+    const p = point => `${formatNumber(point[0])} ${formatNumber(point[1])}`;
+    const arc = `A${formatNumber(r)} ${formatNumber(r)} 0 0 0 `;
+    const commands = [];
+    polylines.forEach(polyline => {
+        const points = polyline.closed ? polyline.points.concat([polyline.points[0]]) : polyline.points;
+        for (let i = 1; i < points.length; i++) {
+            const [x0, y0] = points[i - 1];
+            const [x1, y1] = points[i];
+            const length = Math.hypot(x1 - x0, y1 - y0);
+            if (length === 0) {
+                continue;
+            }
+            const nx = -(y1 - y0) / length * r;
+            const ny = (x1 - x0) / length * r;
+            commands.push(
+                `M${p([x0 + nx, y0 + ny])}`,
+                `L${p([x1 + nx, y1 + ny])}`,
+                `${arc}${p([x1 - nx, y1 - ny])}`,
+                `L${p([x0 - nx, y0 - ny])}`,
+                `${arc}${p([x0 + nx, y0 + ny])}Z`
+            );
+        }
+    });
+    return commands.join('');
+};
+
+export {
+    textToPolylines,
+    outlinePathData
+};
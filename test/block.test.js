@@ -1,11 +1,34 @@
 import { VPenBlocks, blockClass } from "../src/vm/extensions/block/index.js";
+import FileSaver from 'file-saver';
+import DxfParser from 'dxf-parser';
+import { pathToPolylines } from "../src/vm/extensions/block/polyline.js";
+
+const readBlob = blob => new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+});
+
+const moveTo = (block, target, x, y) => {
+    const [oldX, oldY] = [target.x, target.y];
+    target.x = x;
+    target.y = y;
+    block.onTargetMoved(target, oldX, oldY, false);
+};
+
+// Run the update of the pen skin which was requested last.
+const nextFrame = () => global.requestAnimationFrame.mock.calls.pop()[0]();
 
 describe("VPenBlocks", () => {
     let block;
     let runtime;
     let target;
+    let requestAnimationFrame;
 
     beforeEach(() => {
+        // The pen skin is not updated in the tests.
+        requestAnimationFrame = global.requestAnimationFrame;
+        global.requestAnimationFrame = jest.fn();
         target = {
             id: 'testTarget',
             x: 0,
@@ -30,6 +53,7 @@ describe("VPenBlocks", () => {
                 createSVGSkin: jest.fn().mockReturnValue(1),
                 createDrawable: jest.fn().mockReturnValue(2),
                 updateDrawableSkinId: jest.fn(),
+                updateDrawableVisible: jest.fn(),
                 updateSVGSkin: jest.fn(),
                 requestRedraw: jest.fn()
             },
@@ -40,6 +64,10 @@ describe("VPenBlocks", () => {
         block = new blockClass(runtime);
     });
 
+    afterEach(() => {
+        global.requestAnimationFrame = requestAnimationFrame;
+    });
+
     it("should have an id and a name", () => {
         const info = block.getInfo();
         expect(info.id).toBe('xcxVPen');
@@ -85,5 +113,1209 @@ describe("VPenBlocks", () => {
             const penState = block._getPenState(target);
             expect(penState.penAttributes.lineShape).toBe(VPenBlocks.LINE_SHAPES.CURVE);
         });
+
+        it('should set line cap and join to new lines and clones', () => {
+            block.setLineCap({ LINE_CAP: 'square' }, { target });
+            block.setLineJoin({ LINE_JOIN: 'miter', MITER_LIMIT: 0.5 }, { target });
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            const penPath = block._getPenState(target).penPath;
+            expect(penPath.attr('stroke-linecap')).toBe('square');
+            expect(penPath.attr('stroke-linejoin')).toBe('miter');
+            expect(penPath.attr('stroke-miterlimit')).toBe(1);
+            const clone = { id: 'clone' };
+            block.onTargetCreated(clone, target);
+            expect(block._getPenState(clone).penAttributes).toEqual(expect.objectContaining({
+                lineCap: 'square',
+                lineJoin: 'miter',
+                miterLimit: 1
+            }));
+        });
+
+        it('should ignore the invalid lengths in the dash pattern', () => {
+            const penState = block._getPenState(target);
+            block.setDashPattern({ PATTERN: '4 abc, 2 -1' }, { target });
+            expect(penState.penAttributes.dashPattern).toEqual([4, 2]);
+            block.setDashPattern({ PATTERN: 'abc 0' }, { target });
+            expect(penState.penAttributes.dashPattern).toEqual([]);
+        });
+    });
+
+    describe('project saving', () => {
+        beforeEach(() => {
+            target.isOriginal = true;
+            runtime.targets = [target];
+            runtime.renderer.updateDrawableVisible = jest.fn();
+            runtime.renderer.getDrawableOrder = jest.fn().mockReturnValue(3);
+            runtime.renderer.setDrawableOrder = jest.fn();
+            runtime.renderer._layerGroups = {sprite: {drawListOffset: 5}};
+        });
+
+        it('should save the drawing in the extension storage', () => {
+            block.penDown({ PEN_TYPE: 'plotter' }, { target });
+            block.plot({}, { target });
+            target.x = 10;
+            block.onTargetMoved(target, 0, 0, false);
+            block.plot({}, { target });
+            block.penUp({}, { target });
+            const saved = JSON.parse(JSON.stringify(target.extensionStorage));
+            expect(saved.xcxVPen.drawing).toContain('<path');
+            expect(saved.xcxVPen.penAttributes.diameter).toBe(1);
+            expect(saved.xcxVPen.isVisible).toBe(true);
+            expect(saved.xcxVPen.layerOrder).toBe(3);
+        });
+
+        it('should restore the drawing when the project was loaded', () => {
+            block.setPenSizeTo({ SIZE: 3 }, { target });
+            block.penDown({ PEN_TYPE: 'plotter' }, { target });
+            block.plot({}, { target });
+            target.x = 10;
+            block.onTargetMoved(target, 0, 0, false);
+            block.plot({}, { target });
+            block.penUp({}, { target });
+            block.hideDrawing({}, { target });
+            target.extensionStorage = JSON.parse(JSON.stringify(target.extensionStorage));
+
+            const loadedBlock = new blockClass(runtime);
+            loadedBlock.onProjectLoaded();
+            const penState = loadedBlock._penStateFor(target);
+            expect(penState.drawing.find('path').length).toBe(1);
+            expect(penState.penAttributes.diameter).toBe(3);
+            expect(penState.isVisible).toBe(false);
+            expect(runtime.renderer.updateDrawableVisible).toHaveBeenLastCalledWith(2, false);
+            expect(runtime.renderer.setDrawableOrder).toHaveBeenCalled();
+        });
+
+        it('should restore gradients, hatches and stamps', () => {
+            block.setFillMode({ FILL_MODE: 'hatch' }, { target });
+            block.setLinearGradient({ PART: 'pen', COLOR1: '#ffff00', COLOR2: '#ff0000', ANGLE: 90 }, { target });
+            block.drawRectangle({ WIDTH: 40, HEIGHT: 10 }, { target });
+            block._getPenState(target).drawing.image('data:image/png;base64,AAAA');
+            const saved = JSON.parse(JSON.stringify(target.extensionStorage)).xcxVPen.drawing;
+            target.extensionStorage = JSON.parse(JSON.stringify(target.extensionStorage));
+
+            const loadedBlock = new blockClass(runtime);
+            loadedBlock.onProjectLoaded();
+            expect(loadedBlock._penStateFor(target).drawing.svg(false)).toBe(saved);
+        });
+
+        it('should not restore a drawing which has scripts', () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            target.extensionStorage = {
+                xcxVPen: {
+                    drawing: '<path d="M0 0L10 10"></path><script>alert(1)</script>' +
+                        '<image href="data:image/png;base64,AAAA" onload="alert(2)"></image>',
+                    layerOrder: 0
+                }
+            };
+            const loadedBlock = new blockClass(runtime);
+            loadedBlock.onProjectLoaded();
+            expect(loadedBlock._penStateFor(target)).toBeUndefined();
+            expect(runtime.renderer.setDrawableOrder).not.toHaveBeenCalled();
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
+    });
+
+    describe('SVG import', () => {
+        it('should import SVG scaled by its size in mm', () => {
+            const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100mm" height="50mm" viewBox="10 20 200 100">' +
+                '<path d="M10 20L210 120" stroke="#000" stroke-width="0.2"/></svg>';
+            expect(block.importSVG({ SVG: svg }, { target })).toBe('imported');
+            const penState = block._getPenState(target);
+            const importGroup = penState.drawing.children()[0];
+            expect(importGroup.attr('transform')).toBe('matrix(1,0,0,1,-10,-20)');
+            expect(importGroup.find('path').length).toBe(1);
+            expect(penState.hasThinLines).toBe(true);
+        });
+
+        it('should import SVG from a data URL', () => {
+            const svg = '<svg xmlns="http://www.w3.org/2000/svg"><circle r="5"/></svg>';
+            const dataURL = `data:image/svg+xml;base64,${btoa(svg)}`;
+            expect(block.importSVG({ SVG: dataURL }, { target })).toBe('imported');
+            const penState = block._getPenState(target);
+            expect(penState.drawing.find('circle').length).toBe(1);
+        });
+
+        it('should drop scripts and event handlers', () => {
+            const svg = '<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)">' +
+                '<script>alert(2)</script>' +
+                '<g onclick="alert(3)"><path d="M0 0L10 10" onmouseover="alert(4)"/></g></svg>';
+            expect(block.importSVG({ SVG: svg }, { target })).toBe('imported');
+            const importGroup = block._getPenState(target).drawing.first();
+            expect(importGroup.find('path').length).toBe(1);
+            expect(importGroup.svg()).not.toMatch(/script|alert|onclick|onmouseover/);
+        });
+
+        it('should not import a string which is not SVG', () => {
+            expect(block.importSVG({ SVG: 'hello' }, { target })).toBe('not SVG');
+            expect(block.importSVG({ SVG: '<html></html>' }, { target })).toBe('not SVG');
+        });
+
+        describe('from a file', () => {
+            let click;
+            let hasFocus;
+
+            beforeEach(() => {
+                jest.useFakeTimers();
+                click = jest.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(() => {});
+                hasFocus = jest.spyOn(document, 'hasFocus');
+            });
+
+            afterEach(() => {
+                click.mockRestore();
+                hasFocus.mockRestore();
+                jest.useRealTimers();
+            });
+
+            it('should be canceled when the browser does not open the dialog', async () => {
+                const removeEventListener = jest.spyOn(window, 'removeEventListener');
+                hasFocus.mockReturnValue(true);
+                let settled = false;
+                const result = block.importSVGFile({}, { target })
+                    .then(value => {
+                        settled = true;
+                        return value;
+                    });
+                expect(click).toHaveBeenCalledTimes(1);
+                jest.advanceTimersByTime(blockClass.FILE_DIALOG_WAIT - 1);
+                await Promise.resolve();
+                expect(settled).toBe(false);
+                jest.advanceTimersByTime(1);
+                await expect(result).resolves.toBe('canceled');
+                expect(removeEventListener).toHaveBeenCalledWith('focus', expect.any(Function));
+                expect(block._penStateFor(target)).toBeUndefined();
+                removeEventListener.mockRestore();
+            });
+
+            it('should import the selected file when the dialog opened', async () => {
+                let input;
+                click.mockImplementation(function () {
+                    input = this;
+                });
+                hasFocus.mockReturnValue(false);
+                const result = block.importSVGFile({}, { target });
+                jest.advanceTimersByTime(blockClass.FILE_DIALOG_WAIT);
+                const svg = '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0L10 10"/></svg>';
+                Object.defineProperty(input, 'files', {value: [{text: () => Promise.resolve(svg)}]});
+                input.dispatchEvent(new Event('change'));
+                await expect(result).resolves.toBe('imported');
+                expect(block._getPenState(target).drawing.find('path').length).toBe(1);
+            });
+
+            it('should be canceled when the dialog closed without a file', async () => {
+                hasFocus.mockReturnValue(false);
+                const result = block.importSVGFile({}, { target });
+                jest.advanceTimersByTime(1000);
+                window.dispatchEvent(new Event('focus'));
+                jest.advanceTimersByTime(1000);
+                await expect(result).resolves.toBe('canceled');
+            });
+        });
+    });
+
+    describe('G-code export', () => {
+        let saveAs;
+
+        beforeEach(() => {
+            saveAs = jest.spyOn(FileSaver, 'saveAs').mockImplementation(() => {});
+            target.sprite = { name: 'Sprite1' };
+        });
+
+        afterEach(() => {
+            saveAs.mockRestore();
+        });
+
+        it('should write moves in mm with the pen commands', async () => {
+            const penState = block._getPenState(target);
+            penState.drawing.path('M240 180L260 180L260 160Z').stroke('#000000');
+            block.setGCodePenCommand({ PEN_ACTION: 'down', COMMAND: 'M3 S90' }, { target });
+            block.setGCodeFeedRate({ MOVE: 'draw', RATE: 500 }, { target });
+            block.downloadSpriteDrawing({ FORMAT: 'gcode', FILENAME: 'plot' }, { target });
+            expect(saveAs).toHaveBeenCalledWith(expect.any(Blob), 'plot.gcode');
+            const gcode = (await readBlob(saveAs.mock.calls[0][0])).split('\n');
+            expect(gcode).toEqual([
+                'G21',
+                'G90',
+                'G0 Z5',
+                'G1 X120 Y90 F3000',
+                'M3 S90',
+                'G1 X130 Y90 F500',
+                'G1 X130 Y100',
+                'G1 X120 Y90',
+                'G0 Z5',
+                'G1 X0 Y0 F3000',
+                ''
+            ]);
+        });
+
+        it('should not draw shapes which are only filled', async () => {
+            const penState = block._getPenState(target);
+            penState.drawing.rect(20, 10).fill('#00ff00')
+                .stroke('none');
+            block.downloadSpriteDrawing({ FORMAT: 'gcode', FILENAME: 'plot' }, { target });
+            const gcode = (await readBlob(saveAs.mock.calls[0][0])).split('\n');
+            expect(gcode).toEqual(['G21', 'G90', 'G0 Z5', 'G1 X0 Y0 F3000', '']);
+        });
+
+        it('should lift the pen between dashes', async () => {
+            const penState = block._getPenState(target);
+            block.setDashPattern({ PATTERN: '4, 2' }, { target });
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            expect(penState.penPath.attr('stroke-dasharray')).toBe('8 4');
+            penState.penPath.plot('M240 180L260 180');
+            block.penUp({}, { target });
+            block.downloadSpriteDrawing({ FORMAT: 'gcode', FILENAME: 'plot' }, { target });
+            const gcode = (await readBlob(saveAs.mock.calls[0][0])).split('\n');
+            expect(gcode.filter(line => line === 'G1 Z0')).toHaveLength(2);
+            expect(gcode).toContain('G1 X126 Y90 F3000');
+        });
+
+        it('should move the origin', async () => {
+            const penState = block._getPenState(target);
+            penState.drawing.path('M240 180L260 180').stroke('#000000');
+            block.setPlotterOrigin({ ORIGIN: 'top-left' });
+            block.downloadSpriteDrawing({ FORMAT: 'gcode', FILENAME: 'plot' }, { target });
+            const gcode = await readBlob(saveAs.mock.calls[0][0]);
+            expect(gcode).toContain('G1 X120 Y-90 F3000');
+        });
+
+        it('should reorder lines and report the saved travel', async () => {
+            const penState = block._getPenState(target);
+            penState.drawing.path('M200 0L220 0').stroke('#000000');
+            penState.drawing.path('M0 356L20 356').stroke('#000000');
+            block.setPlotOrder({ PLOT_ORDER: 'nearest-reversing' });
+            block.downloadSpriteDrawing({ FORMAT: 'gcode', FILENAME: 'plot' }, { target });
+            const gcode = await readBlob(saveAs.mock.calls[0][0]);
+            expect(gcode.indexOf('G1 X0 Y2 F3000')).toBeLessThan(gcode.indexOf('G1 X100 Y180 F3000'));
+            const drawnOrderTravel = Math.hypot(100, 180) + Math.hypot(110, 178);
+            const nearestOrderTravel = 2 + Math.hypot(90, 178);
+            expect(block.travelSavedByPlotOrder()).toBeCloseTo(drawnOrderTravel - nearestOrderTravel, 1);
+        });
+    });
+
+    describe('shapes', () => {
+        beforeEach(() => {
+            target.direction = 90;
+        });
+
+        it('should draw a rectangle in mm centered on the sprite', () => {
+            target.x = 10;
+            target.y = 20;
+            block.setPenSizeTo({ SIZE: 2 }, { target });
+            block.drawRectangle({ WIDTH: 20, HEIGHT: 10 }, { target });
+            const rect = block._getPenState(target).drawing.last();
+            expect(rect.type).toBe('rect');
+            expect([rect.x(), rect.y(), rect.width(), rect.height()]).toEqual([230, 150, 40, 20]);
+            expect(rect.attr('stroke-width')).toBe(4);
+            expect(rect.attr('fill')).toBe('none');
+            expect(rect.attr('transform')).toBeUndefined();
+        });
+
+        it('should rotate shapes by the direction of the sprite', () => {
+            target.direction = 0;
+            block.drawEllipse({ WIDTH: 20, HEIGHT: 10 }, { target });
+            const ellipse = block._getPenState(target).drawing.last();
+            expect(ellipse.type).toBe('ellipse');
+            expect([ellipse.cx(), ellipse.cy(), ellipse.attr('rx'), ellipse.attr('ry')]).toEqual([240, 180, 20, 10]);
+            expect(ellipse.attr('transform')).toBe('rotate(-90 240 180)');
+        });
+
+        it('should draw polygons and stars with a vertex in the direction', () => {
+            block.drawPolygon({ SIDES: 4, RADIUS: 10 }, { target });
+            const polygon = block._getPenState(target).drawing.last();
+            const vertices = polygon.array();
+            expect(vertices).toHaveLength(4);
+            expect(vertices[0][0]).toBeCloseTo(260);
+            expect(vertices[0][1]).toBeCloseTo(180);
+            expect(vertices[1][0]).toBeCloseTo(240);
+            expect(vertices[1][1]).toBeCloseTo(200);
+            block.drawStar({ POINTS: 5, OUTER: 10, INNER: 4 }, { target });
+            const star = block._getPenState(target).drawing.last().array();
+            expect(star).toHaveLength(10);
+            expect(Math.hypot(star[1][0] - 240, star[1][1] - 180)).toBeCloseTo(8);
+        });
+
+        it('should ignore shapes without size', () => {
+            block.drawCircle({ RADIUS: 0 }, { target });
+            block.drawPolygon({ SIDES: 2, RADIUS: 10 }, { target });
+            expect(block._getPenState(target).drawing.children()).toHaveLength(0);
+        });
+
+        it('should draw path data relative to the sprite with the upward y-axis', () => {
+            target.x = 10;
+            target.y = 20;
+            block.drawPath({ D: 'M 0 0 l 10 10 h 5 v -5 a 5 5 0 0 1 10 0 z', UNIT: 'mm' }, { target });
+            const path = block._getPenState(target).drawing.last();
+            expect(path.array().toString().trim()).toBe('M250 160L270 140H280V150A10 10 0 0 0 300 150Z');
+            block.drawPath({ D: 'M 0 0 L 20 0', UNIT: 'steps' }, { target });
+            expect(block._getPenState(target).drawing.last().array().toString().trim()).toBe('M250 160L270 160');
+        });
+
+        it('should start path data without moveto from the sprite', () => {
+            target.x = 10;
+            target.y = 20;
+            block.drawPath({ D: 'L 10 10 l 10 0', UNIT: 'steps' }, { target });
+            expect(block._getPenState(target).drawing.last().array().toString().trim()).toBe('M250 160L260 150L270 150');
+        });
+
+        it('should ignore invalid path data', () => {
+            block.drawPath({ D: 'garbage', UNIT: 'mm' }, { target });
+            block.drawPath({ D: 'M 10 10', UNIT: 'mm' }, { target });
+            expect(block._getPenState(target).drawing.children()).toHaveLength(0);
+        });
+    });
+
+    describe('spline', () => {
+        beforeEach(() => {
+            block.setLineShape({ LINE_SHAPE: 'spline' }, { target });
+        });
+
+        it('should pass through every position smoothly', () => {
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            moveTo(block, target, 30, 0);
+            moveTo(block, target, 60, 30);
+            moveTo(block, target, 90, 0);
+            const plots = block._getPenState(target).penPath.array();
+            expect(plots.map(segment => segment[0]).join('')).toBe('MCCC');
+            expect(plots.map(segment => segment.slice(-2))).toEqual([
+                [240, 180], [270, 180], [300, 150], [330, 180]
+            ]);
+            // The control points around each position are on a line through it.
+            [1, 2].forEach(i => {
+                const position = plots[i].slice(-2);
+                expect(plots[i][3] + plots[i + 1][1]).toBeCloseTo(position[0] * 2);
+                expect(plots[i][4] + plots[i + 1][2]).toBeCloseTo(position[1] * 2);
+            });
+            // Catmull-Rom spline: the tangent at (270, 180) is half of the vector from (240, 180) to (300, 150).
+            expect(plots[2][1]).toBeCloseTo(270 + (60 / 6));
+            expect(plots[2][2]).toBeCloseTo(180 - (30 / 6));
+        });
+
+        it('should draw straight segments at the full tension', () => {
+            block.setCurveTension({ TENSION: 5 }, { target });
+            expect(block._getPenState(target).penAttributes.curveTension).toBe(1);
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            moveTo(block, target, 30, 0);
+            moveTo(block, target, 60, 30);
+            const plots = block._getPenState(target).penPath.array();
+            expect(plots[2].slice(1)).toEqual([270, 180, 300, 150, 300, 150]);
+        });
+
+        it('should restore the end when the plotter reference moves', () => {
+            block.plot({}, { target });
+            moveTo(block, target, 30, 0);
+            block.plot({}, { target });
+            const penPath = block._getPenState(target).penPath;
+            const committed = penPath.array()[1].slice();
+            moveTo(block, target, 60, 30);
+            expect(penPath.array()[1]).not.toEqual(committed);
+            moveTo(block, target, 0, -60);
+            expect(penPath.array()).toHaveLength(3);
+            block.penUp({}, { target });
+            expect(penPath.array()[1]).toEqual(committed);
+        });
+
+        it('should close the spline smoothly', () => {
+            block.plot({}, { target });
+            [[30, 30], [60, 0], [30, -30], [1, 1]].forEach(([x, y]) => {
+                moveTo(block, target, x, y);
+                block.plot({}, { target });
+            });
+            const penPath = block._getPenState(target).penPath;
+            block.penUp({}, { target });
+            const plots = penPath.array();
+            expect(plots[plots.length - 1][0]).toBe('Z');
+            const last = plots[plots.length - 2];
+            expect(last.slice(-2)).toEqual([240, 180]);
+            expect(last[3] + plots[1][1]).toBeCloseTo(480);
+            expect(last[4] + plots[1][2]).toBeCloseTo(360);
+        });
+    });
+
+    describe('text', () => {
+        beforeEach(() => {
+            target.direction = 90;
+        });
+
+        it('should write single strokes from the sprite on the baseline', () => {
+            block.writeText({ TEXT: 'T', TEXT_STYLE: 'single-stroke', SIZE: 10 }, { target });
+            const text = block._getPenState(target).drawing.last();
+            expect(text.type).toBe('path');
+            expect(text.attr('d')).toBe('M240 160L254 160M247 160L247 180');
+            expect(text.attr('fill')).toBe('none');
+            expect(text.attr('stroke')).toBe('#000000');
+        });
+
+        it('should write filled outlines of the strokes', () => {
+            block.setPenSizeTo({ SIZE: 1 }, { target });
+            block.writeText({ TEXT: '-', TEXT_STYLE: 'outline', SIZE: 10 }, { target });
+            const text = block._getPenState(target).drawing.last();
+            expect(text.attr('d')).toBe('M240 172L248 172A1 1 0 0 0 248 170L240 170A1 1 0 0 0 240 172Z');
+            expect(text.attr('fill')).toBe('#000000');
+            expect(text.attr('stroke')).toBe('none');
+        });
+
+        it('should not write empty text', () => {
+            block.writeText({ TEXT: ' ', TEXT_STYLE: 'single-stroke', SIZE: 10 }, { target });
+            expect(block._getPenState(target).drawing.children()).toHaveLength(0);
+        });
+    });
+
+    describe('arcs and curves', () => {
+        beforeEach(() => {
+            target.setXY = jest.fn((x, y) => {
+                const [oldX, oldY] = [target.x, target.y];
+                target.x = x;
+                target.y = y;
+                block.onTargetMoved(target, oldX, oldY, false);
+            });
+        });
+
+        it('should add an arc to the trail and move the sprite to its end', () => {
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            block.arcTo({ X: 100, Y: 0, RADIUS: 50, SWEEP: 'counterclockwise' }, { target });
+            expect([target.x, target.y]).toEqual([100, 0]);
+            const penPath = block._getPenState(target).penPath;
+            expect(penPath.array().toString().trim()).toBe('M240 180A50 50 0 0 0 340 180');
+            target.setXY(100, 50);
+            expect(penPath.array().toString().trim()).toBe('M240 180A50 50 0 0 0 340 180L340 130');
+        });
+
+        it('should keep the last line of the trail before an arc', () => {
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            target.setXY(10, 0);
+            target.setXY(20, 0);
+            block.arcTo({ X: 40, Y: 0, RADIUS: 10, SWEEP: 'clockwise' }, { target });
+            const penPath = block._getPenState(target).penPath;
+            expect(penPath.array().toString().trim()).toBe('M240 180L250 180L260 180A10 10 0 0 1 280 180');
+            block.penUp({}, { target });
+            expect(penPath.array().toString().trim()).toBe('M240 180L250 180L260 180A10 10 0 0 1 280 180');
+        });
+
+        it('should add a cubic Bézier curve to the plotter path', () => {
+            block.plot({}, { target });
+            block.curveTo({ X1: 0, Y1: 100, X2: 100, Y2: 100, X: 100, Y: 0 }, { target });
+            const penPath = block._getPenState(target).penPath;
+            expect(penPath.array().toString().trim()).toBe('M240 180C240 80 340 80 340 180');
+            target.setXY(100, -50);
+            expect(penPath.array().toString().trim()).toBe('M240 180C240 80 340 80 340 180L340 230');
+        });
+
+        it('should only move the sprite when the pen is up', () => {
+            block.arcTo({ X: 100, Y: 0, RADIUS: 50, SWEEP: 'clockwise' }, { target });
+            block.curveTo({ X1: 100, Y1: 100, X2: 0, Y2: 100, X: 0, Y: 50 }, { target });
+            const penState = block._getPenState(target);
+            expect([target.x, target.y]).toEqual([0, 50]);
+            expect(penState.penPath).toBeNull();
+            expect(penState.drawing.children()).toHaveLength(0);
+        });
+
+        it('should draw the arc of more than 180 degrees', () => {
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            block.arcTo({ X: 100, Y: 0, RADIUS: 60, SWEEP: 'clockwise', ARC_SIZE: 'large' }, { target });
+            const penPath = block._getPenState(target).penPath;
+            expect(penPath.array().toString().trim()).toBe('M240 180A60 60 0 1 1 340 180');
+            const ys = pathToPolylines(penPath.array(), 0.01)[0].points.map(point => point[1]);
+            // The center is below the chord on the stage, so the arc reaches 60 above the center.
+            expect(Math.min(...ys)).toBeCloseTo(180 - (60 + Math.sqrt((60 * 60) - (50 * 50))), 1);
+        });
+
+        it('should end the arc and the curve on the snap grid', () => {
+            block.setSnapGrid({ GRID: 5 });
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            block.arcTo({ X: 23, Y: 4, RADIUS: 10, SWEEP: 'clockwise' }, { target });
+            expect([target.x, target.y]).toEqual([20, 0]);
+            block.curveTo({ X1: 20, Y1: 20, X2: 40, Y2: 20, X: 38, Y: 11 }, { target });
+            expect([target.x, target.y]).toEqual([40, 10]);
+            moveTo(block, target, 41, 9);
+            const penPath = block._getPenState(target).penPath;
+            expect(penPath.array().toString().trim()).toBe('M240 180A10 10 0 0 1 260 180C260 160 280 160 280 170');
+        });
+
+        it('should close a trail which ends with a curve at the start', () => {
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            block.arcTo({ X: 100, Y: 0, RADIUS: 50, SWEEP: 'clockwise' }, { target });
+            block.arcTo({ X: 0, Y: 0, RADIUS: 50, SWEEP: 'clockwise' }, { target });
+            const penPath = block._getPenState(target).penPath;
+            block.penUp({}, { target });
+            expect(penPath.array().toString().trim()).toBe('M240 180A50 50 0 0 1 340 180A50 50 0 0 1 240 180Z');
+        });
+    });
+
+    describe('page setup', () => {
+        it('should use the stage size with the margins by default', () => {
+            block.setPage({ PAPER: 'stage', ORIENTATION: 'portrait', MARGIN: 5 });
+            expect(block._pageLayoutFor(240, 180)).toEqual({
+                pageWidth: 250,
+                pageHeight: 190,
+                pages: [{ x: 5, y: 5, scale: 1, clip: null }]
+            });
+        });
+
+        it('should scale the drawing to fit in the page', () => {
+            block.setPage({ PAPER: 'A4', ORIENTATION: 'portrait', MARGIN: 10 });
+            block.setPageFit({ FIT: 'fit' });
+            const layout = block._pageLayoutFor(240, 180);
+            expect([layout.pageWidth, layout.pageHeight]).toEqual([210, 297]);
+            expect(layout.pages).toHaveLength(1);
+            expect(layout.pages[0].scale).toBeCloseTo(190 / 240);
+            expect(layout.pages[0].x).toBeCloseTo(10);
+            expect(layout.pages[0].y).toBeCloseTo(10 + ((277 - (180 * 190 / 240)) / 2));
+        });
+
+        it('should tile the drawing across pages', () => {
+            block.setCustomPageSize({ WIDTH: 100, HEIGHT: 150 });
+            block.setPage({ PAPER: 'custom', ORIENTATION: 'landscape', MARGIN: 0 });
+            block.setPageFit({ FIT: 'tile' });
+            const layout = block._pageLayoutFor(240, 180);
+            expect([layout.pageWidth, layout.pageHeight]).toEqual([150, 100]);
+            expect(layout.pages.map(page => [page.x, page.y])).toEqual([
+                [0, 0], [-150, 0],
+                [0, -100], [-150, -100]
+            ]);
+            expect(layout.pages[0].clip).toEqual({ x: 0, y: 0, width: 150, height: 100 });
+        });
+    });
+
+    describe('HPGL export', () => {
+        let saveAs;
+
+        beforeEach(() => {
+            saveAs = jest.spyOn(FileSaver, 'saveAs').mockImplementation(() => {});
+            target.sprite = { name: 'Sprite1' };
+        });
+
+        afterEach(() => {
+            saveAs.mockRestore();
+        });
+
+        it('should select a pen for each stroke color and close paths at the start', async () => {
+            const penState = block._getPenState(target);
+            penState.drawing.path('M240 180L260 180L260 160Z').stroke('#ff0000');
+            penState.drawing.path('M0 360L2 358').stroke('#0000ff');
+            penState.drawing.path('M0 0L2 2').stroke('#ff0000');
+            block.downloadSpriteDrawing({ FORMAT: 'hpgl', FILENAME: 'plot' }, { target });
+            expect(saveAs).toHaveBeenCalledWith(expect.any(Blob), 'plot.hpgl');
+            const hpgl = (await readBlob(saveAs.mock.calls[0][0])).split('\n');
+            expect(hpgl).toEqual([
+                'IN;',
+                'SP1;',
+                'PU4800,3600;',
+                'PD5200,3600,5200,4000,4800,3600;',
+                'PU0,7200;',
+                'PD40,7160;',
+                'SP2;',
+                'PU0,0;',
+                'PD40,40;',
+                'PU;',
+                'SP0;',
+                ''
+            ]);
+        });
+
+        it('should not plot shapes which are only filled', async () => {
+            const penState = block._getPenState(target);
+            penState.drawing.rect(20, 10).fill('#00ff00')
+                .stroke('none');
+            penState.drawing.path('M0 0L2 2L2 0Z').fill('#ff0000');
+            penState.drawing.path('M0 0L2 2').stroke('#0000ff');
+            block.downloadSpriteDrawing({ FORMAT: 'hpgl', FILENAME: 'plot' }, { target });
+            const hpgl = (await readBlob(saveAs.mock.calls[0][0])).split('\n');
+            expect(hpgl).toEqual(['IN;', 'SP1;', 'PU0,7200;', 'PD40,7160;', 'PU;', 'SP0;', '']);
+        });
+
+        it('should select pens for named colors and currentColor', async () => {
+            const fillStyles = { red: '#ff0000' };
+            const context = {
+                _fillStyle: '#000000',
+                get fillStyle () {
+                    return this._fillStyle;
+                },
+                set fillStyle (value) {
+                    this._fillStyle = fillStyles[value] || (value.startsWith('#') ? value : this._fillStyle);
+                }
+            };
+            const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+            const penState = block._getPenState(target);
+            penState.drawing.path('M0 0L2 2').stroke('black');
+            penState.drawing.path('M0 0L4 4').stroke('red');
+            penState.drawing.path('M0 0L6 6').stroke('currentColor');
+            penState.drawing.path('M0 0L8 8').stroke('#000');
+            block.downloadSpriteDrawing({ FORMAT: 'hpgl', FILENAME: 'plot' }, { target });
+            getContext.mockRestore();
+            const hpgl = (await readBlob(saveAs.mock.calls[0][0])).split('\n');
+            expect(hpgl).toEqual([
+                'IN;',
+                'SP1;',
+                'PU0,7200;',
+                'PD40,7160;',
+                'PU0,7200;',
+                'PD120,7080;',
+                'PU0,7200;',
+                'PD160,7040;',
+                'SP2;',
+                'PU0,7200;',
+                'PD80,7120;',
+                'PU;',
+                'SP0;',
+                ''
+            ]);
+        });
+    });
+
+    describe('PNG export', () => {
+        let savePNG;
+
+        beforeEach(() => {
+            savePNG = jest.spyOn(block, '_savePNGAsFile').mockImplementation(() => Promise.resolve(''));
+            target.sprite = { name: 'Sprite1' };
+        });
+
+        afterEach(() => {
+            savePNG.mockRestore();
+        });
+
+        it('should save the sprite drawing at the resolution', () => {
+            block._getPenState(target).drawing.path('M0 0L10 10').stroke('#000000');
+            block.downloadSpriteDrawingAsPNG({ DPI: 150, FILENAME: 'image' }, { target });
+            expect(savePNG).toHaveBeenCalledWith(expect.anything(), 'image', 150);
+            expect(block.downloadSpriteDrawingAsPNG({ DPI: 0, FILENAME: 'image' }, { target }))
+                .toBe('invalid dpi');
+        });
+
+        it('should include the hidden drawing', () => {
+            const penState = block._getPenState(target);
+            penState.drawing.path('M0 0L10 10').stroke('#000000');
+            penState.isVisible = false;
+            block.downloadSpriteDrawing({ FORMAT: 'png', FILENAME: 'image' }, { target });
+            expect(savePNG.mock.calls[0][0].findOne('#Sprite1')).not.toBeNull();
+        });
+    });
+
+    describe('DXF export', () => {
+        let saveAs;
+
+        beforeEach(() => {
+            saveAs = jest.spyOn(FileSaver, 'saveAs').mockImplementation(() => {});
+            target.sprite = { name: 'Sprite1' };
+        });
+
+        afterEach(() => {
+            saveAs.mockRestore();
+        });
+
+        it('should write the strokes in named colors and currentColor', async () => {
+            const penState = block._getPenState(target);
+            penState.drawing.path('M240 180L260 180').stroke('black');
+            penState.drawing.path('M240 180L240 160').stroke('currentColor');
+            // Without a canvas to resolve the colors, they are black.
+            const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+            block.downloadSpriteDrawing({ FORMAT: 'dxf', FILENAME: 'drawing' }, { target });
+            getContext.mockRestore();
+            expect(saveAs).toHaveBeenCalledWith(expect.any(Blob), 'drawing.dxf');
+            const parsed = new DxfParser().parseSync(await readBlob(saveAs.mock.calls[0][0]));
+            expect(parsed.entities).toHaveLength(2);
+            parsed.entities.forEach(entity => expect(entity.colorIndex).toBe(7));
+            expect(parsed.entities[0].vertices.map(vertex => [vertex.x, vertex.y])).toEqual([[120, 90], [130, 90]]);
+        });
+    });
+
+    describe('gradients', () => {
+        let saveAs;
+
+        beforeEach(() => {
+            saveAs = jest.spyOn(FileSaver, 'saveAs').mockImplementation(() => {});
+            target.sprite = { name: 'Sprite1' };
+            target.direction = 90;
+        });
+
+        afterEach(() => {
+            saveAs.mockRestore();
+        });
+
+        it('should fill with a gradient in the defs of the drawing', () => {
+            const penState = block._getPenState(target);
+            block.setLinearGradient({ PART: 'fill', COLOR1: '#ffff00', COLOR2: '#ff0000', ANGLE: 90 }, { target });
+            expect(penState.penAttributes.fillOpacity).toBe(1);
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            const gradient = penState.drawing.defs().findOne('linearGradient');
+            expect(penState.penPath.attr('fill')).toBe(`url(#${gradient.id()})`);
+            [0, 0.5, 1, 0.5].forEach((value, index) => {
+                expect(gradient.attr(['x1', 'y1', 'x2', 'y2'][index])).toBeCloseTo(value);
+            });
+            expect(gradient.find('stop').map(stop => stop.attr('stop-color'))).toEqual(['#ffff00', '#ff0000']);
+            block.penUp({}, { target });
+            block.setLinearGradient({ PART: 'fill', COLOR1: '#ffff00', COLOR2: '#ff0000', ANGLE: 90 }, { target });
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            expect(penState.drawing.defs().find('linearGradient')).toHaveLength(1);
+            block.setFillColorToColor({ COLOR: '#00ff00' }, { target });
+            expect(penState.penAttributes.fillGradient).toBeNull();
+            expect(penState.penPath.attr('fill')).toBe('#00ff00');
+        });
+
+        it('should fit the gradient to a straight horizontal line', () => {
+            const penState = block._getPenState(target);
+            block.setLinearGradient({ PART: 'pen', COLOR1: '#ffff00', COLOR2: '#ff0000', ANGLE: 90 }, { target });
+            block.drawPath({ D: 'M 0 0 L 40 0', UNIT: 'steps' }, { target });
+            const line = penState.drawing.last();
+            const fitted = penState.drawing.root().findOne(line.attr('stroke').slice(4, -1));
+            expect(fitted.attr('gradientUnits')).toBe('userSpaceOnUse');
+            expect([fitted.attr('x1'), fitted.attr('y1'), fitted.attr('x2'), fitted.attr('y2')]).toEqual([240, 180, 280, 180]);
+            expect(fitted.find('stop').map(stop => stop.attr('stop-color'))).toEqual(['#ffff00', '#ff0000']);
+            block.drawPath({ D: 'M 0 0 L 40 40', UNIT: 'steps' }, { target });
+            const source = penState.drawing.defs().findOne('linearGradient');
+            expect(penState.drawing.last().attr('stroke')).toBe(`url(#${source.id()})`);
+        });
+
+        it('should fit the gradient to the line being drawn at the next frame', () => {
+            const penState = block._getPenState(target);
+            block.setLinearGradient({ PART: 'pen', COLOR1: '#ffff00', COLOR2: '#ff0000', ANGLE: 90 }, { target });
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            const source = penState.drawing.defs().findOne('linearGradient');
+            moveTo(block, target, 10, 0);
+            moveTo(block, target, 20, 0);
+            expect(penState.penPath.attr('stroke')).toBe(`url(#${source.id()})`);
+            nextFrame();
+            const fitted = penState.drawing.root().findOne(penState.penPath.attr('stroke').slice(4, -1));
+            expect([fitted.attr('x1'), fitted.attr('x2')]).toEqual([240, 260]);
+            moveTo(block, target, 30, 0);
+            moveTo(block, target, 40, 0);
+            nextFrame();
+            expect([fitted.attr('x1'), fitted.attr('x2')]).toEqual([240, 280]);
+            expect(penState.penPathBounds.count).toBe(3);
+            moveTo(block, target, 40, 10);
+            nextFrame();
+            expect(penState.penPath.attr('stroke')).toBe(`url(#${source.id()})`);
+        });
+
+        it('should copy the gradients with the drawing on export', async () => {
+            const penState = block._getPenState(target);
+            block.setRadialGradient({ PART: 'pen', COLOR1: '#ff0000', COLOR2: '#0000ff' }, { target });
+            block.drawRectangle({ WIDTH: 20, HEIGHT: 10 }, { target });
+            const stroke = penState.drawing.last().attr('stroke');
+            const svg = block.drawingSVG({}, { target });
+            expect(svg).toContain(`<radialGradient id="${stroke.slice(5, -1)}"`);
+            expect(svg).toContain(`stroke="${stroke}"`);
+            block.downloadSpriteDrawing({ FORMAT: 'hpgl', FILENAME: 'plot' }, { target });
+            const hpgl = (await readBlob(saveAs.mock.calls[0][0])).split('\n');
+            expect(hpgl).toContain('SP1;');
+            expect(hpgl).not.toContain('SP2;');
+        });
+    });
+
+    describe('hatch fill', () => {
+        beforeEach(() => {
+            target.direction = 90;
+            block.setFillColorToColor({ COLOR: '#ff0000' }, { target });
+            block.setFillMode({ FILL_MODE: 'hatch' }, { target });
+        });
+
+        it('should hatch a closed line instead of filling it', () => {
+            const penState = block._getPenState(target);
+            block.setHatch({ SPACING: 5, ANGLE: 0 }, { target });
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            expect(penState.penPath.attr('fill')).toBe('none');
+            penState.penPath.plot('M200 140L280 140L280 220L200 220L200 140');
+            block.penUp({}, { target });
+            const [hatch, outline] = penState.drawing.children();
+            expect(outline.array().toString()).toContain('Z');
+            expect(hatch.hasClass('xcx-vpen-hatch')).toBe(true);
+            expect(hatch.attr('stroke')).toBe('#ff0000');
+            expect(hatch.array().filter(command => command[0] === 'M')).toHaveLength(8);
+            block.eraseLast({}, { target });
+            expect(penState.drawing.children()).toHaveLength(0);
+        });
+
+        it('should cross-hatch shapes in the coordinates of the drawing', () => {
+            block.setFillMode({ FILL_MODE: 'cross-hatch' }, { target });
+            block.setHatch({ SPACING: 10, ANGLE: 0 }, { target });
+            target.direction = 0;
+            block.drawRectangle({ WIDTH: 40, HEIGHT: 10 }, { target });
+            const hatch = block._getPenState(target).drawing.first();
+            expect(hatch.attr('transform')).toBeUndefined();
+            const xs = hatch.array().map(command => command[1]);
+            const ys = hatch.array().map(command => command[2]);
+            // The rectangle is rotated to be 20 wide and 80 high.
+            expect(Math.min(...xs)).toBeCloseTo(230);
+            expect(Math.max(...xs)).toBeCloseTo(250);
+            expect(Math.min(...ys)).toBeCloseTo(140);
+            expect(Math.max(...ys)).toBeCloseTo(220);
+        });
+    });
+
+    describe('compound paths', () => {
+        it('should close each subpath in one path with the fill rule', () => {
+            const penState = block._getPenState(target);
+            block.setFillColorToColor({ COLOR: '#ff0000' }, { target });
+            block.setFillRule({ FILL_RULE: 'evenodd' }, { target });
+            block.plot({}, { target });
+            [[40, 0], [40, 40], [0, 40], [0, 0]].forEach(([x, y]) => {
+                moveTo(block, target, x, y);
+                block.plot({}, { target });
+            });
+            moveTo(block, target, 10, 10);
+            block.startNewSubpath({}, { target });
+            [[30, 10], [30, 30], [10, 30], [10, 10]].forEach(([x, y]) => {
+                moveTo(block, target, x, y);
+                block.plot({}, { target });
+            });
+            moveTo(block, target, 100, 100);
+            block.startNewSubpath({}, { target });
+            block.penUp({}, { target });
+            const paths = penState.drawing.children();
+            expect(paths).toHaveLength(1);
+            expect(paths[0].attr('fill-rule')).toBe('evenodd');
+            expect(paths[0].array().toString().trim()).toBe(
+                'M240 180L280 180L280 140L240 140L240 180ZM250 170L270 170L270 150L250 150L250 170Z'
+            );
+        });
+
+        it('should keep the last line of the trail before a new subpath', () => {
+            const penState = block._getPenState(target);
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            moveTo(block, target, 10, 0);
+            moveTo(block, target, 20, 0);
+            block.startNewSubpath({}, { target });
+            expect(penState.penPath.array().toString().trim()).toBe('M240 180L250 180L260 180M260 180');
+            moveTo(block, target, 20, 10);
+            expect(penState.penPath.array().toString().trim()).toBe('M240 180L250 180L260 180M260 180L260 170');
+        });
+
+        it('should do nothing without a line', () => {
+            block.startNewSubpath({}, { target });
+            expect(block._getPenState(target).drawing.children()).toHaveLength(0);
+        });
+    });
+
+    describe('closing lines', () => {
+        const plotLine = points => {
+            block.plot({}, { target });
+            points.forEach(([x, y]) => {
+                moveTo(block, target, x, y);
+                block.plot({}, { target });
+            });
+        };
+
+        it('should close the line wherever it ends and keep the pen down', () => {
+            const penState = block._getPenState(target);
+            plotLine([[40, 0], [40, 40]]);
+            moveTo(block, target, 100, 100);
+            block.closePath({}, { target });
+            const [closed, next] = penState.drawing.children();
+            expect(closed.array().toString().trim()).toBe('M240 180L280 180L280 140Z');
+            expect(next).toBe(penState.penPath);
+            expect(next.array().toString().trim()).toBe('M340 80');
+        });
+
+        it('should lead a curve back to the start to close it smoothly', () => {
+            const penState = block._getPenState(target);
+            block.setLineShape({ LINE_SHAPE: 'curve' }, { target });
+            plotLine([[40, 0], [40, 40]]);
+            block.closePath({}, { target });
+            const closed = penState.drawing.first().array();
+            expect(closed.map(command => command[0])).toEqual(['M', 'Q', 'Q', 'Q', 'Z']);
+            expect(closed[2].slice(1, 3)).toEqual([280, 140]);
+            expect(closed[3].slice(-2)).toEqual(closed[0].slice(1));
+        });
+
+        it('should close lines automatically by the distance setting', () => {
+            const penState = block._getPenState(target);
+            const square = [[40, 0], [40, 40], [0, 40], [0, 10]];
+            block.setAutoClose({ AUTO_CLOSE: 'off' }, { target });
+            plotLine(square);
+            block.penUp({}, { target });
+            expect(penState.drawing.last().array().toString()).not.toContain('Z');
+            block.setAutoClose({ AUTO_CLOSE: 'on' }, { target });
+            moveTo(block, target, 0, 0);
+            plotLine(square);
+            block.penUp({}, { target });
+            expect(penState.drawing.last().array().toString()).not.toContain('Z');
+            block.setAutoCloseDistance({ DISTANCE: 6 }, { target });
+            moveTo(block, target, 0, 0);
+            plotLine(square);
+            block.penUp({}, { target });
+            expect(penState.drawing.last().array().toString()).toContain('Z');
+        });
+    });
+
+    describe('simplification', () => {
+        it('should simplify straight lines when the pen is up', () => {
+            const penState = block._getPenState(target);
+            block.setSimplifyTolerance({ TOLERANCE: 0.5 }, { target });
+            block.plot({}, { target });
+            [[10, 0.2], [20, -0.2], [30, 0], [30, 30]].forEach(([x, y]) => {
+                moveTo(block, target, x, y);
+                block.plot({}, { target });
+            });
+            block.penUp({}, { target });
+            expect(penState.drawing.last().array().toString().trim()).toBe('M240 180L270 180L270 150');
+        });
+
+        it('should simplify existing lines and keep curves and closed loops', () => {
+            const penState = block._getPenState(target);
+            const line = penState.drawing.path('M0 0L10 0.2L20 0L20 20L10 20.1L0 20Z');
+            const curve = penState.drawing.path('M0 0Q10 0.2 20 0T40 0');
+            block.simplifyDrawing({ SPRITE: '_myself_', TOLERANCE: 0.5 }, { target });
+            expect(line.array().toString().trim()).toBe('M0 0L20 0L20 20L0 20Z');
+            expect(curve.array().toString().trim()).toBe('M0 0Q10 0.2 20 0T40 0');
+        });
+
+        it('should simplify lines in groups but not the lines being drawn', () => {
+            const penState = block._getPenState(target);
+            const imported = penState.drawing.group()
+                .path('M0 0L10 0.2L20 0');
+            const clone = { id: 'clone', x: 0, y: 0, addListener: jest.fn() };
+            block.onTargetCreated(clone, target);
+            const cloneLine = block._getPenState(clone).drawing.path('M0 0L10 0.2L20 0');
+            block.penDown({ PEN_TYPE: 'trail' }, { target: clone });
+            const cloneDrawing = block._getPenState(clone).penPath;
+            cloneDrawing.plot('M0 0L10 0.2L20 0');
+            block.simplifyDrawing({ SPRITE: '_myself_', TOLERANCE: 0.5 }, { target });
+            expect(imported.array().toString().trim()).toBe('M0 0L20 0');
+            expect(cloneLine.array().toString().trim()).toBe('M0 0L20 0');
+            expect(cloneDrawing.array().toString().trim()).toBe('M0 0L10 0.2L20 0');
+        });
+    });
+
+    describe('snap grid', () => {
+        beforeEach(() => {
+            runtime.renderer._groupOrdering = ['background', 'video', 'pen', 'sprite'];
+            runtime.renderer._layerGroups = {
+                background: { groupIndex: 0, drawListOffset: 0 },
+                video: { groupIndex: 1, drawListOffset: 1 },
+                pen: { groupIndex: 2, drawListOffset: 1 },
+                sprite: { groupIndex: 3, drawListOffset: 3 }
+            };
+        });
+
+        it('should snap the positions of lines to the grid in mm', () => {
+            const penState = block._getPenState(target);
+            block.setSnapGrid({ GRID: 5 });
+            target.x = 3.2;
+            target.y = -1.7;
+            block.plot({}, { target });
+            moveTo(block, target, 17.9, 4.1);
+            moveTo(block, target, 18.6, 1.2);
+            block.plot({}, { target });
+            moveTo(block, target, -6.3, 21.4);
+            block.plot({}, { target });
+            expect(penState.penPath.array().toString().trim()).toBe('M240 180L260 180L230 160');
+            block.snapOff();
+            moveTo(block, target, 1.5, 1.5);
+            expect(penState.penPath.array().toString().trim()).toBe('M240 180L260 180L230 160L241.5 178.5');
+        });
+
+        it('should show the grid on the stage but not in the drawing', () => {
+            block.setSnapGrid({ GRID: 10 });
+            block.showSnapGrid();
+            const gridSVG = runtime.renderer.createSVGSkin.mock.calls[0][0];
+            expect(gridSVG).toContain('M240 0V360');
+            expect(gridSVG).toContain('M0 180H480');
+            expect(runtime.renderer.createDrawable).toHaveBeenCalledWith(blockClass.SNAP_GRID_LAYER);
+            expect(runtime.renderer._groupOrdering)
+                .toEqual(['background', 'video', blockClass.SNAP_GRID_LAYER, 'pen', 'sprite']);
+            expect(runtime.renderer._layerGroups[blockClass.SNAP_GRID_LAYER])
+                .toEqual({ groupIndex: 2, drawListOffset: 1 });
+            expect(runtime.renderer._layerGroups.sprite.groupIndex).toBe(4);
+            expect(runtime.renderer.updateDrawableVisible).toHaveBeenLastCalledWith(2, true);
+            block.hideSnapGrid();
+            expect(runtime.renderer.updateDrawableVisible).toHaveBeenLastCalledWith(2, false);
+            expect(block.drawingSVG({}, { target })).toBe('');
+        });
+
+        it('should draw the grid again when the stage size changes', () => {
+            block.setSnapGrid({ GRID: 10 });
+            block.showSnapGrid();
+            runtime.renderer.getNativeSize = () => [640, 360];
+            block.onStageSizeChanged();
+            const gridSVG = runtime.renderer.updateSVGSkin.mock.calls.pop()[1];
+            expect(gridSVG).toContain('M320 0V360');
+            expect(gridSVG).toContain('M0 180H640');
+        });
+    });
+
+    describe('symmetry', () => {
+        const plotLine = points => {
+            block.plot({}, { target });
+            points.forEach(([x, y]) => {
+                moveTo(block, target, x, y);
+                block.plot({}, { target });
+            });
+        };
+
+        it('should draw a mirrored copy of the line while drawing', () => {
+            const penState = block._getPenState(target);
+            block.setSymmetry({ SYMMETRY: 'left-right' }, { target });
+            block.setPenColorToColor({ COLOR: '#ff0000' }, { target });
+            plotLine([[40, 0], [40, 40]]);
+            const [copy, line] = penState.drawing.children();
+            expect(line).toBe(penState.penPath);
+            expect(copy.hasClass('xcx-vpen-symmetry')).toBe(true);
+            expect(copy.attr('transform')).toBe('matrix(-1,0,0,1,480,0)');
+            expect(copy.attr('stroke')).toBe('#ff0000');
+            // The copies follow the line at the next frame instead of every move.
+            expect(copy.array()).toHaveLength(1);
+            nextFrame();
+            expect(copy.array().toString()).toBe(line.array().toString());
+            block.penUp({}, { target });
+            expect(copy.array().toString().trim()).toBe('M240 180L280 180L280 140');
+            block.eraseLast({}, { target });
+            expect(penState.drawing.children()).toHaveLength(0);
+        });
+
+        it('should rotate and mirror the copies around the center in the kaleidoscope', () => {
+            const penState = block._getPenState(target);
+            block.setSymmetry({ SYMMETRY: 'kaleidoscope' }, { target });
+            block.setSymmetryFolds({ FOLDS: 4 }, { target });
+            block.setSymmetryCenter({ X: 10, Y: 20 }, { target });
+            plotLine([[40, 0]]);
+            block.penUp({}, { target });
+            const transforms = penState.drawing.children()
+                .filter(child => child.hasClass('xcx-vpen-symmetry'))
+                .map(copy => copy.attr('transform'));
+            expect(transforms).toEqual([
+                'matrix(-1,0,0,1,500,0)',
+                'rotate(90,250,160)',
+                'rotate(90,250,160) matrix(-1,0,0,1,500,0)',
+                'rotate(180,250,160)',
+                'rotate(180,250,160) matrix(-1,0,0,1,500,0)',
+                'rotate(270,250,160)',
+                'rotate(270,250,160) matrix(-1,0,0,1,500,0)'
+            ]);
+            expect(penState.drawing.children()).toHaveLength(8);
+        });
+
+        it('should not leave the copies of a line which has not been drawn', () => {
+            const penState = block._getPenState(target);
+            block.setSymmetry({ SYMMETRY: 'rotation' }, { target });
+            block.penDown({ PEN_TYPE: 'plotter' }, { target });
+            block.plot({}, { target });
+            block.penUp({}, { target });
+            expect(penState.drawing.children()).toHaveLength(0);
+        });
+    });
+
+    describe('calligraphy', () => {
+        beforeEach(() => {
+            block.setPenSizeTo({ SIZE: 4 }, { target });
+            block.setPenColorToColor({ COLOR: '#0000ff' }, { target });
+        });
+
+        it('should draw a filled outline which is thinner where the sprite moves faster', () => {
+            const penState = block._getPenState(target);
+            block.setCalligraphy({ CALLIGRAPHY: 'speed' }, { target });
+            runtime.currentMSecs = 0;
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            [2, 42, 44].forEach(x => {
+                runtime.currentMSecs += 100;
+                moveTo(block, target, x, 0);
+            });
+            expect(penState.penPath.attr('fill')).toBe('#0000ff');
+            expect(penState.penPath.attr('stroke')).toBe('none');
+            const widths = penState.widthSamples.map(sample => sample.width);
+            expect(widths[0]).toBe(8);
+            expect(widths[2]).toBeLessThan(widths[1]);
+            block.setFillColorToColor({ COLOR: '#ff0000' }, { target });
+            expect(penState.penPath.attr('fill')).toBe('#0000ff');
+            block.penUp({}, { target });
+            expect(penState.widthSamples).toBeNull();
+            expect(penState.drawing.last().array().toString()).toContain('A');
+        });
+
+        it('should change the width by the distance in the time between the frames', () => {
+            const penState = block._getPenState(target);
+            block.setCalligraphy({ CALLIGRAPHY: 'speed' }, { target });
+            runtime.currentMSecs = 1000;
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            // 10 mm in 100 ms is 100 mm/s, which halves the width before smoothing.
+            runtime.currentMSecs += 100;
+            moveTo(block, target, 20, 0);
+            expect(penState.widthSamples[1].width).toBeCloseTo((8 + 4) / 2);
+            // The same distance in a longer time is slower.
+            runtime.currentMSecs += 400;
+            moveTo(block, target, 40, 0);
+            expect(penState.widthSamples[2].width).toBeCloseTo((6 + (8 / 1.25)) / 2);
+            // The moves in the same frame keep the width.
+            moveTo(block, target, 60, 0);
+            expect(penState.widthSamples[3].width).toBeCloseTo(penState.widthSamples[2].width);
+            expect(penState.penPath.array()).toHaveLength(10);
+        });
+
+        it('should change the width by the pressure and the nib angle', () => {
+            const penState = block._getPenState(target);
+            block.setCalligraphy({ CALLIGRAPHY: 'pressure' }, { target });
+            block.setPenPressure({ PRESSURE: 50 }, { target });
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            moveTo(block, target, 10, 0);
+            expect(penState.widthSamples.map(sample => sample.width)).toEqual([4, 4]);
+            block.setCalligraphy({ CALLIGRAPHY: 'nib' }, { target });
+            block.setNibAngle({ ANGLE: 0 }, { target });
+            moveTo(block, target, 20, 0);
+            moveTo(block, target, 20, 10);
+            const widths = penState.widthSamples.map(sample => sample.width);
+            expect(widths[0]).toBeCloseTo(0.8);
+            expect(widths[2]).toBeCloseTo(8);
+        });
+    });
+
+    describe('costume from drawing', () => {
+        beforeEach(() => {
+            target.sprite = { name: 'Sprite1' };
+            target.addCostume = jest.fn();
+            runtime.requestTargetsUpdate = jest.fn();
+            runtime.renderer.getSkinSize = jest.fn().mockReturnValue([24, 14]);
+            runtime.storage = {
+                AssetType: { ImageVector: 'ImageVector' },
+                DataFormat: { SVG: 'svg' },
+                createAsset: jest.fn().mockReturnValue({
+                    assetId: 'abc',
+                    encodeTextData: jest.fn()
+                })
+            };
+        });
+
+        it('should add a costume cropped to the drawing', () => {
+            const penState = block._getPenState(target);
+            penState.drawing.path('M100 100L120 110').stroke({ width: 4, color: '#000000' });
+            expect(block.makeCostumeFromDrawing({ NAME: 'art', SPRITE: '_myself_' }, { target })).toBe('made');
+            expect(runtime.renderer.createSVGSkin).toHaveBeenLastCalledWith(
+                expect.stringContaining('viewBox="98 98 24 14"'),
+                [12, 7]
+            );
+            expect(target.addCostume).toHaveBeenCalledWith(expect.objectContaining({
+                name: 'art',
+                md5: 'abc.svg',
+                rotationCenterX: 12,
+                rotationCenterY: 7
+            }));
+        });
+
+        it('should not make a costume without drawing', () => {
+            block._getPenState(target);
+            expect(block.makeCostumeFromDrawing({ NAME: 'art', SPRITE: '_myself_' }, { target })).toBe('no drawing');
+            expect(target.addCostume).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('drawing reporters', () => {
+        it('should report SVG of the drawing', () => {
+            expect(block.drawingSVG({}, { target })).toBe('');
+            const penState = block._getPenState(target);
+            penState.drawing.path('M0 0L10 10');
+            const svg = block.drawingSVG({}, { target });
+            expect(svg).toContain('width="240mm"');
+            expect(svg).toContain('<path d="M0 0L10 10"');
+            expect(block.importSVG({ SVG: svg }, { target })).toBe('imported');
+        });
+
+        it('should report path data of the current or last line', () => {
+            expect(block.lastPathData({}, { target })).toBe('');
+            block.penDown({ PEN_TYPE: 'trail' }, { target });
+            expect(block.lastPathData({}, { target })).toBe('M240 180');
+            block.penUp({}, { target });
+            const penState = block._getPenState(target);
+            penState.drawing.path('M0 0L10 10');
+            expect(block.lastPathData({}, { target })).toBe('M0 0L10 10');
+        });
     });
 });
@@ -0,0 +1,57 @@
+import {variableWidthOutline, updateVariableWidthOutline} from '../src/vm/extensions/block/calligraphy.js';
+
+describe('calligraphy', () => {
+    describe('variableWidthOutline', () => {
+        it('should go around the line with the widths', () => {
+            expect(variableWidthOutline([
+                {point: [0, 0], width: 2},
+                {point: [10, 0], width: 4}
+            ])).toEqual([
+                ['M', 0, -1],
+                ['L', 10, -2],
+                ['A', 2, 2, 0, 0, 1, 10, 2],
+                ['L', 0, 1],
+                ['A', 1, 1, 0, 0, 1, 0, -1],
+                ['Z']
+            ]);
+        });
+
+        it('should offset the middle points across the direction between the neighbors', () => {
+            const outline = variableWidthOutline([
+                {point: [0, 0], width: 2},
+                {point: [10, 0], width: 2},
+                {point: [10, 10], width: 2}
+            ]);
+            const middle = outline[1];
+            expect(middle[0]).toBe('L');
+            expect(middle[1]).toBeCloseTo(10 + Math.SQRT1_2);
+            expect(middle[2]).toBeCloseTo(-Math.SQRT1_2);
+        });
+
+        it('should have only the start without length', () => {
+            expect(variableWidthOutline([{point: [3, 4], width: 2}])).toEqual([['M', 3, 4]]);
+            expect(variableWidthOutline([])).toEqual([]);
+        });
+    });
+
+    describe('updateVariableWidthOutline', () => {
+        const samples = [[0, 0], [10, 0], [20, 5], [25, 15], [20, 30]]
+            .map((point, index) => ({point, width: index + 1}));
+
+        it('should make the same outline as a new one when samples are added', () => {
+            const outline = variableWidthOutline(samples.slice(0, 1));
+            for (let count = 1; count < samples.length; count++) {
+                updateVariableWidthOutline(outline, samples.slice(0, count + 1), count);
+                expect(outline).toEqual(variableWidthOutline(samples.slice(0, count + 1)));
+            }
+        });
+
+        it('should make the same outline as a new one when the last sample is removed', () => {
+            for (let count = samples.length; count > 1; count--) {
+                const outline = variableWidthOutline(samples.slice(0, count));
+                updateVariableWidthOutline(outline, samples.slice(0, count - 1), count);
+                expect(outline).toEqual(variableWidthOutline(samples.slice(0, count - 1)));
+            }
+        });
+    });
+});
@@ -0,0 +1,62 @@
+import DxfParser from 'dxf-parser';
+import {nearestColorIndex, toDXF} from '../src/vm/extensions/block/dxf.js';
+
+describe('dxf', () => {
+    describe('nearestColorIndex', () => {
+        it('should map basic colors to the standard indexes', () => {
+            expect(nearestColorIndex([255, 0, 0])).toBe(1);
+            expect(nearestColorIndex([0, 0, 255])).toBe(5);
+            expect(nearestColorIndex([0, 0, 0])).toBe(7);
+        });
+
+        it('should map other colors to the nearest index', () => {
+            expect(nearestColorIndex([255, 127, 127])).toBe(11);
+            expect(nearestColorIndex([170, 170, 170])).toBe(253);
+        });
+    });
+
+    describe('toDXF', () => {
+        const layers = [
+            {
+                name: 'Sprite:1',
+                polylines: [
+                    {points: [[0, 0], [10, 0], [10, 5.25]], closed: true, color: [255, 0, 0]},
+                    {points: [[1, 1], [2, 2]], closed: false, color: null}
+                ]
+            }
+        ];
+
+        it('should write layers and polylines in R12', () => {
+            const dxf = toDXF(layers).split('\n');
+            expect(dxf.slice(dxf.indexOf('$ACADVER') + 1, dxf.indexOf('$ACADVER') + 3)).toEqual(['1', 'AC1009']);
+            // $INSUNITS is ignored in R12.
+            expect(dxf).not.toContain('$INSUNITS');
+            const entity = dxf.indexOf('POLYLINE');
+            expect(dxf.slice(entity + 1, entity + 17)).toEqual([
+                '8', 'Sprite_1',
+                '62', '1',
+                '66', '1',
+                '10', '0', '20', '0', '30', '0',
+                '70', '1',
+                '0', 'VERTEX'
+            ]);
+            const seqend = dxf.indexOf('SEQEND');
+            expect(dxf.slice(entity, seqend).filter(value => value === 'VERTEX')).toHaveLength(3);
+            expect(dxf.slice(seqend + 1, seqend + 3)).toEqual(['8', 'Sprite_1']);
+            expect(dxf[dxf.length - 2]).toBe('EOF');
+        });
+
+        it('should be read by a DXF parser', () => {
+            const parsed = new DxfParser().parseSync(toDXF(layers));
+            expect(parsed.header.$ACADVER).toBe('AC1009');
+            expect(Object.keys(parsed.tables.layer.layers)).toEqual(['Sprite_1']);
+            expect(Object.keys(parsed.tables.lineType.lineTypes)).toEqual(['CONTINUOUS']);
+            expect(parsed.entities).toHaveLength(2);
+            const [closed, open] = parsed.entities;
+            expect(closed).toEqual(expect.objectContaining({type: 'POLYLINE', layer: 'Sprite_1', shape: true}));
+            expect(closed.vertices.map(vertex => [vertex.x, vertex.y])).toEqual([[0, 0], [10, 0], [10, 5.25]]);
+            expect(open).toEqual(expect.objectContaining({type: 'POLYLINE', shape: false}));
+            expect(open.vertices.map(vertex => [vertex.x, vertex.y])).toEqual([[1, 1], [2, 2]]);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+import {hatchLines} from '../src/vm/extensions/block/hatch.js';
+
+describe('hatch', () => {
+    const square = [[0, 0], [10, 0], [10, 10], [0, 10]];
+
+    it('should draw lines on the grid in a zigzag', () => {
+        expect(hatchLines([square], 4, 0)).toEqual([
+            [[0, 0], [10, 0]],
+            [[10, 4], [0, 4]],
+            [[0, 8], [10, 8]]
+        ]);
+    });
+
+    it('should leave holes by the even-odd rule', () => {
+        const hole = [[3, 3], [7, 3], [7, 7], [3, 7]];
+        expect(hatchLines([square, hole], 5, 0, 'evenodd')).toEqual([
+            [[0, 0], [10, 0]],
+            [[10, 5], [7, 5]],
+            [[3, 5], [0, 5]]
+        ]);
+    });
+
+    it('should leave holes going around backward by the nonzero rule', () => {
+        const hole = [[3, 3], [7, 3], [7, 7], [3, 7]];
+        expect(hatchLines([square, hole], 5, 0)).toEqual([
+            [[0, 0], [10, 0]],
+            [[10, 5], [0, 5]]
+        ]);
+        expect(hatchLines([square, hole.slice().reverse()], 5, 0)).toEqual([
+            [[0, 0], [10, 0]],
+            [[10, 5], [7, 5]],
+            [[3, 5], [0, 5]]
+        ]);
+    });
+
+    it('should rotate lines by the angle', () => {
+        const segments = hatchLines([square], 4, Math.PI / 2);
+        expect(segments.length).toBeGreaterThan(0);
+        segments.forEach(([from, to]) => {
+            expect(from[0]).toBeCloseTo(to[0]);
+        });
+    });
+
+    it('should not draw without spacing', () => {
+        expect(hatchLines([square], 0, 0)).toEqual([]);
+    });
+});
@@ -0,0 +1,68 @@
+import {optimizePlotOrder, travelDistance} from '../src/vm/extensions/block/plot-order.js';
+
+describe('plot-order', () => {
+    const line = (points, stroke = '#000000') => ({points, closed: false, stroke});
+
+    describe('travelDistance', () => {
+        it('should sum the moves between polylines', () => {
+            expect(travelDistance([
+                line([[3, 4], [10, 4]]),
+                line([[10, 10], [0, 0]])
+            ])).toBe(11);
+        });
+
+        it('should return to the start of a closed polyline', () => {
+            expect(travelDistance([
+                {points: [[0, 0], [10, 0], [10, 10]], closed: true, stroke: 'none'},
+                line([[0, 5], [0, 6]])
+            ])).toBe(5);
+        });
+    });
+
+    describe('optimizePlotOrder', () => {
+        it('should draw the nearest polyline next', () => {
+            const polylines = [
+                line([[100, 0], [101, 0]]),
+                line([[1, 0], [2, 0]]),
+                line([[50, 0], [51, 0]])
+            ];
+            const ordered = optimizePlotOrder(polylines);
+            expect(ordered.map(polyline => polyline.points[0][0])).toEqual([1, 50, 100]);
+            expect(travelDistance(ordered)).toBeLessThan(travelDistance(polylines));
+        });
+
+        it('should reverse polylines only when allowed', () => {
+            const polylines = [
+                line([[0, 0], [10, 0]]),
+                line([[20, 5], [10, 5]])
+            ];
+            expect(optimizePlotOrder(polylines)[1].points).toEqual([[20, 5], [10, 5]]);
+            expect(optimizePlotOrder(polylines, {reverse: true})[1].points).toEqual([[10, 5], [20, 5]]);
+        });
+
+        it('should start a closed polyline at the nearest vertex', () => {
+            const ordered = optimizePlotOrder([
+                {points: [[10, 10], [20, 10], [20, 0], [10, 0]], closed: true, stroke: 'none'}
+            ], {reverse: true});
+            expect(ordered[0].points[0]).toEqual([10, 0]);
+        });
+
+        it('should join continuing polylines of the same stroke', () => {
+            const ordered = optimizePlotOrder([
+                line([[10, 0], [20, 0]]),
+                line([[0, 0], [10, 0]]),
+                line([[20, 0], [30, 0]], '#ff0000')
+            ]);
+            expect(ordered).toHaveLength(2);
+            expect(ordered[0].points).toEqual([[0, 0], [10, 0], [20, 0]]);
+            expect(ordered[1].stroke).toBe('#ff0000');
+        });
+
+        it('should not change the given polylines', () => {
+            const polylines = [line([[10, 0], [20, 0]]), line([[0, 0], [10, 0]])];
+            optimizePlotOrder(polylines, {reverse: true});
+            expect(polylines[0].points).toEqual([[10, 0], [20, 0]]);
+            expect(polylines[1].points).toEqual([[0, 0], [10, 0]]);
+        });
+    });
+});
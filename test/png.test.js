@@ -0,0 +1,53 @@
+import {setPNGResolution} from '../src/vm/extensions/block/png.js';
+
+const chunk = (type, data) => {
+    const bytes = new Uint8Array(12 + data.length);
+    new DataView(bytes.buffer).setUint32(0, data.length);
+    bytes.set(Array.from(type, c => c.charCodeAt(0)), 4);
+    bytes.set(data, 8);
+    return bytes;
+};
+
+const concat = arrays => {
+    const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+    arrays.reduce((position, array) => {
+        result.set(array, position);
+        return position + array.length;
+    }, 0);
+    return result;
+};
+
+const chunkTypes = png => {
+    const view = new DataView(png.buffer);
+    const types = [];
+    for (let offset = 8; offset < png.length; offset += view.getUint32(offset) + 12) {
+        types.push(String.fromCharCode(...png.subarray(offset + 4, offset + 8)));
+    }
+    return types;
+};
+
+describe('setPNGResolution', () => {
+    const signature = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+    it('should insert pHYs chunk after IHDR', () => {
+        const png = concat([signature, chunk('IHDR', new Uint8Array(13)), chunk('IEND', new Uint8Array(0))]);
+        const result = setPNGResolution(png, 300);
+        expect(chunkTypes(result)).toEqual(['IHDR', 'pHYs', 'IEND']);
+        const view = new DataView(result.buffer);
+        const physOffset = 8 + 25;
+        expect(view.getUint32(physOffset + 8)).toBe(11811);
+        expect(view.getUint32(physOffset + 12)).toBe(11811);
+        expect(result[physOffset + 16]).toBe(1);
+        expect(view.getUint32(physOffset + 17)).toBe(0x78a53f76);
+    });
+
+    it('should replace existing pHYs chunk', () => {
+        const png = concat([
+            signature,
+            chunk('IHDR', new Uint8Array(13)),
+            chunk('pHYs', new Uint8Array(9)),
+            chunk('IEND', new Uint8Array(0))
+        ]);
+        expect(chunkTypes(setPNGResolution(png, 96))).toEqual(['IHDR', 'pHYs', 'IEND']);
+    });
+});
@@ -0,0 +1,116 @@
+import {SVG} from '@svgdotjs/svg.js';
+import {dashPolyline, simplifyPoints, pathToPolylines, elementToPolylines} from '../src/vm/extensions/block/polyline.js';
+
+describe('polyline', () => {
+    describe('pathToPolylines', () => {
+        it('should convert straight lines to a polyline', () => {
+            const polylines = pathToPolylines('M0 0L10 0H20V10', 0.1);
+            expect(polylines).toEqual([
+                {points: [[0, 0], [10, 0], [20, 0], [20, 10]], closed: false}
+            ]);
+        });
+
+        it('should split subpaths and mark closed ones', () => {
+            const polylines = pathToPolylines('M0 0L10 0L10 10Z M20 20L30 30', 0.1);
+            expect(polylines.length).toBe(2);
+            expect(polylines[0].closed).toBe(true);
+            expect(polylines[1].closed).toBe(false);
+            expect(polylines[1].points[0]).toEqual([20, 20]);
+        });
+
+        it('should approximate curves within the tolerance', () => {
+            const polylines = pathToPolylines('M0 0Q50 100 100 0', 0.1);
+            const points = polylines[0].points;
+            expect(points.length).toBeGreaterThan(10);
+            expect(points[points.length - 1]).toEqual([100, 0]);
+            const top = points.reduce((max, point) => Math.max(max, point[1]), 0);
+            expect(top).toBeCloseTo(50, 0);
+        });
+
+        it('should approximate arcs on the circle', () => {
+            const polylines = pathToPolylines('M10 0A10 10 0 0 1 -10 0', 0.01);
+            polylines[0].points.forEach(point => {
+                expect(Math.hypot(point[0], point[1])).toBeCloseTo(10, 1);
+            });
+        });
+    });
+
+    describe('dashPolyline', () => {
+        it('should split the polyline into the dashes across the corners', () => {
+            const dashes = dashPolyline({points: [[0, 0], [10, 0], [10, 10]], closed: false}, [4, 2], 0);
+            expect(dashes.map(dash => dash.points)).toEqual([
+                [[0, 0], [4, 0]],
+                [[6, 0], [10, 0]],
+                [[10, 2], [10, 6]],
+                [[10, 8], [10, 10]]
+            ]);
+        });
+
+        it('should start at the offset in the pattern', () => {
+            const dashes = dashPolyline({points: [[0, 0], [10, 0]], closed: false}, [4, 2], 5);
+            expect(dashes.map(dash => dash.points)).toEqual([
+                [[1, 0], [5, 0]],
+                [[7, 0], [10, 0]]
+            ]);
+        });
+
+        it('should make dots for dashes of zero length', () => {
+            const dashes = dashPolyline({points: [[0, 0], [3, 0], [3, 3], [0, 3]], closed: false}, [0, 3], 0);
+            expect(dashes.map(dash => dash.points[0])).toEqual([[0, 0], [3, 0], [3, 3], [0, 3]]);
+            dashes.forEach(dash => expect(dash.points[1]).toEqual(dash.points[0]));
+        });
+    });
+
+    describe('simplifyPoints', () => {
+        it('should remove points within the tolerance and keep the ends', () => {
+            const points = [[0, 0], [5, 0.1], [10, -0.1], [15, 0], [15, 10]];
+            expect(simplifyPoints(points, 0.5)).toEqual([[0, 0], [15, 0], [15, 10]]);
+            expect(simplifyPoints(points, 0.05)).toEqual(points);
+        });
+
+        it('should simplify a loop which ends at the start', () => {
+            expect(simplifyPoints([[0, 0], [5, 0], [10, 0], [10, 10], [0, 0]], 1))
+                .toEqual([[0, 0], [10, 0], [10, 10], [0, 0]]);
+        });
+    });
+
+    describe('elementToPolylines', () => {
+        it('should apply transforms of groups and inherit the stroke', () => {
+            const drawing = SVG().addTo(document.createElement('div'));
+            const group = drawing.group()
+                .attr('transform', 'matrix(2,0,0,2,10,0)')
+                .attr('stroke', '#ff0000');
+            group.path('M0 0L5 5');
+            group.image('data:image/png;base64,');
+            const polylines = elementToPolylines(drawing, {tolerance: 0.1});
+            expect(polylines.length).toBe(1);
+            expect(polylines[0].points).toEqual([[10, 0], [20, 10]]);
+            expect(polylines[0].stroke).toBe('#ff0000');
+        });
+
+        it('should split dashed strokes with the inherited pattern', () => {
+            const drawing = SVG().addTo(document.createElement('div'));
+            drawing.group().attr('stroke-dasharray', '3')
+                .path('M0 0L10 0');
+            const polylines = elementToPolylines(drawing, {tolerance: 0.1});
+            expect(polylines.map(polyline => polyline.points)).toEqual([
+                [[0, 0], [3, 0]],
+                [[6, 0], [9, 0]]
+            ]);
+        });
+
+        it('should keep a stroke whole when the dash pattern is finer than the tolerance', () => {
+            const drawing = SVG().addTo(document.createElement('div'));
+            drawing.path('M0 0L10000 0').attr('stroke-dasharray', '0.0001 0.0001');
+            const polylines = elementToPolylines(drawing, {tolerance: 0.1});
+            expect(polylines.map(polyline => polyline.points)).toEqual([[[0, 0], [10000, 0]]]);
+        });
+
+        it('should ignore hidden elements', () => {
+            const drawing = SVG().addTo(document.createElement('div'));
+            drawing.group().attr('style', 'display:none')
+                .rect(10, 10);
+            expect(elementToPolylines(drawing, {tolerance: 0.1})).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,39 @@
+import {sanitizeSVG} from '../src/vm/extensions/block/sanitize.js';
+
+const parseSVG = contents => new DOMParser().parseFromString(
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">${contents}</svg>`,
+    'image/svg+xml'
+).documentElement;
+
+describe('sanitizeSVG', () => {
+    it('should keep the elements and the attributes of a drawing', () => {
+        const contents = '<defs><linearGradient id="g1" gradientUnits="userSpaceOnUse" data-source="g0">' +
+            '<stop offset="0" stop-color="#ffffff"/></linearGradient>' +
+            '<clipPath id="c1"><circle cx="5" cy="5" r="5"/></clipPath></defs>' +
+            '<g class="xcx-vpen-hatch" clip-path="url(#c1)" transform="rotate(45 0 0)">' +
+            '<path d="M0 0L10 10" stroke="url(#g1)" stroke-width="2" stroke-dasharray="1 2" fill="none"/></g>' +
+            '<image width="10" height="10" xlink:href="data:image/png;base64,AAAA"/>' +
+            '<rect width="10" height="10" style="fill: url(#g1)"/>';
+        const root = parseSVG(contents);
+        const before = root.innerHTML;
+        expect(sanitizeSVG(root)).toBe(0);
+        expect(root.innerHTML).toBe(before);
+    });
+
+    it('should remove scripts and event handlers', () => {
+        const root = parseSVG('<script>alert(1)</script>' +
+            '<g onload="alert(2)"><path d="M0 0L1 1" onclick="alert(3)"/></g>' +
+            '<foreignObject><div xmlns="http://www.w3.org/1999/xhtml">text</div></foreignObject>');
+        expect(sanitizeSVG(root)).toBe(4);
+        expect(root.innerHTML).not.toMatch(/script|alert|foreignObject/);
+        expect(root.querySelector('path').getAttribute('d')).toBe('M0 0L1 1');
+    });
+
+    it('should remove links to outside of the drawing', () => {
+        const root = parseSVG('<image href="https://example.com/a.png"/>' +
+            '<a xlink:href="javascript:alert(1)"><path d="M0 0"/></a>' +
+            '<rect fill="url(https://example.com/#g)" style="background: url(a.png)"/>');
+        expect(sanitizeSVG(root)).toBe(4);
+        expect(root.innerHTML).not.toMatch(/example|javascript|a\.png/);
+    });
+});
@@ -0,0 +1,36 @@
+import {textToPolylines, outlinePathData} from '../src/vm/extensions/block/stroke-font.js';
+
+describe('stroke-font', () => {
+    describe('textToPolylines', () => {
+        it('should put capitals on the baseline with the height of 1', () => {
+            expect(textToPolylines('L', 0.01)).toEqual([
+                {points: [[0, -1], [0, 0], [0.6, 0]], closed: false}
+            ]);
+        });
+
+        it('should advance letters and lines', () => {
+            const polylines = textToPolylines('LL\nL', 0.01);
+            expect(polylines.map(polyline => polyline.points[0])).toEqual([
+                [0, -1],
+                [0.8, -1],
+                [0, 0.6]
+            ]);
+        });
+
+        it('should draw unknown characters as question marks', () => {
+            expect(textToPolylines('あ', 0.01)).toEqual(textToPolylines('?', 0.01));
+        });
+    });
+
+    describe('outlinePathData', () => {
+        it('should make a round ended shape for each segment', () => {
+            const pathData = outlinePathData([
+                {points: [[0, 0], [10, 0], [10, 10]], closed: false}
+            ], 2);
+            expect(pathData).toBe(
+                'M0 1L10 1A1 1 0 0 0 10 -1L0 -1A1 1 0 0 0 0 1Z' +
+                'M9 0L9 10A1 1 0 0 0 11 10L11 0A1 1 0 0 0 9 0Z'
+            );
+        });
+    });
+});